@@ -1,17 +1,24 @@
 import { useCallback, useEffect, useRef, useState } from 'react';
 import { SONGS } from './autoplayerSongs';
+import { SOURCES } from './sessionRecorder';
+
+const BEAT_MS = 400; // interval between notes without an external clock
 
 /**
  * React hook that provides autoplay functionality.
  *
- * @param {object} handleKeyPressRef - ref to latest handleKeyPress(keyObj, velocity)
- * @param {object} handleKeyReleaseRef - ref to latest handleKeyRelease(keyObj)
+ * @param {object} handleKeyPressRef - ref to latest handleKeyPress(keyObj, velocity, source)
+ * @param {object} handleKeyReleaseRef - ref to latest handleKeyRelease(keyObj, source)
  * @param {Array} keyDataArray - Array of piano key objects with a `note` property
+ * @param {object} [timingRef] - ref to a function returning { beatMs, delay }
+ *   to play a note per beat of an external clock, or null for the usual pace;
+ *   read before every note, so the song follows the clock's tempo
  */
-export function useAutoplayer(handleKeyPressRef, handleKeyReleaseRef, keyDataArray) {
+export function useAutoplayer(handleKeyPressRef, handleKeyReleaseRef, keyDataArray, timingRef) {
   const [autoPlaying, setAutoPlaying] = useState(false);
   const noteTimeoutsRef = useRef([]);
   const activeNotesRef = useRef(new Set());
+  const playingRef = useRef(false); // at once, unlike autoPlaying (stop then play in one go)
 
   // Helper to clear all scheduled timeouts
   const clearAllTimeouts = () => {
@@ -24,18 +31,29 @@ export function useAutoplayer(handleKeyPressRef, handleKeyReleaseRef, keyDataArr
     activeNotesRef.current.forEach(noteName => {
       const keyObj = keyDataArray.find(k => k.note === noteName);
       if (keyObj && handleKeyReleaseRef.current) {
-        handleKeyReleaseRef.current(keyObj);
+        handleKeyReleaseRef.current(keyObj, SOURCES.AUTOPLAYER);
       }
     });
     activeNotesRef.current.clear();
     
     // Clear scheduled timeouts
     clearAllTimeouts();
+    playingRef.current = false;
     setAutoPlaying(false);
   }, [keyDataArray, handleKeyReleaseRef]);
 
+  // ms until the next note, read afresh for every note so an external
+  // clock's tempo changes are followed. `onBeat`: asked on a beat, so one
+  // that has only just gone by (timers run a little early or late) is skipped.
+  const nextBeatDelay = useCallback((onBeat) => {
+    const timing = timingRef?.current?.() || null;
+    if (!timing) return onBeat ? BEAT_MS : 0;
+    const { beatMs, delay } = timing;
+    return onBeat && delay < beatMs / 2 ? delay + beatMs : delay;
+  }, [timingRef]);
+
   const playSong = useCallback((songIndex = 0, shouldLoop = true) => {
-    if (autoPlaying) return; // Ignore if already playing
+    if (playingRef.current) return; // Ignore if already playing
 
     const song = SONGS[songIndex];
     if (!song) return;
@@ -43,24 +61,22 @@ export function useAutoplayer(handleKeyPressRef, handleKeyReleaseRef, keyDataArr
     // Clear any existing active notes before starting
     activeNotesRef.current.clear();
 
+    playingRef.current = true;
     setAutoPlaying(true);
-    const beatMs = 400; // Interval between notes
 
-    song.sequence.forEach((noteName, idx) => {
-      // Schedule note press
-      const pressId = setTimeout(() => {
-        const keyObj = keyDataArray.find(k => k.note === noteName);
-        if (keyObj && handleKeyPressRef.current) {
-          handleKeyPressRef.current(keyObj, 0.8);
-          activeNotesRef.current.add(noteName); // Track active note
-        }
-      }, idx * beatMs);
+    // Press a note, release it just before the next beat and schedule the next
+    const playNote = (idx) => {
+      const noteName = song.sequence[idx];
+      const keyObj = keyDataArray.find(k => k.note === noteName);
+      if (keyObj && handleKeyPressRef.current) {
+        handleKeyPressRef.current(keyObj, 0.8, SOURCES.AUTOPLAYER);
+        activeNotesRef.current.add(noteName); // Track active note
+      }
+      const delay = nextBeatDelay(true);
 
-      // Schedule note release just before next beat
       const releaseId = setTimeout(() => {
-        const keyObj = keyDataArray.find(k => k.note === noteName);
         if (keyObj && handleKeyReleaseRef.current) {
-          handleKeyReleaseRef.current(keyObj);
+          handleKeyReleaseRef.current(keyObj, SOURCES.AUTOPLAYER);
           activeNotesRef.current.delete(noteName); // Remove from active notes
         }
 
@@ -70,28 +86,34 @@ export function useAutoplayer(handleKeyPressRef, handleKeyReleaseRef, keyDataArr
             // Add a small delay before looping
             const loopId = setTimeout(() => {
               // Clear current timeouts
-              noteTimeoutsRef.current.forEach(id => clearTimeout(id));
-              noteTimeoutsRef.current = [];
+              clearAllTimeouts();
               // Clear active notes before looping
               activeNotesRef.current.clear();
+              playingRef.current = false;
               setAutoPlaying(false);
-              // Use setTimeout to ensure state is updated before calling playSong again
-              setTimeout(() => playSong(songIndex, shouldLoop), 0);
+              playSong(songIndex, shouldLoop);
             }, 500); // 500ms pause before looping
             noteTimeoutsRef.current.push(loopId);
           } else {
             // Just stop playing
             const stopId = setTimeout(() => {
-          setAutoPlaying(false);
+              playingRef.current = false;
+              setAutoPlaying(false);
             }, 100);
             noteTimeoutsRef.current.push(stopId);
           }
         }
-      }, idx * beatMs + beatMs * 0.9);
+      }, delay * 0.9);
+      noteTimeoutsRef.current.push(releaseId);
 
-      noteTimeoutsRef.current.push(pressId, releaseId);
-    });
-  }, [autoPlaying, keyDataArray, handleKeyPressRef, handleKeyReleaseRef]);
+      if (idx < song.sequence.length - 1) {
+        noteTimeoutsRef.current.push(setTimeout(() => playNote(idx + 1), delay));
+      }
+    };
+
+    // Wait for the next beat of an external clock
+    noteTimeoutsRef.current.push(setTimeout(() => playNote(0), nextBeatDelay(false)));
+  }, [keyDataArray, handleKeyPressRef, handleKeyReleaseRef, nextBeatDelay]);
 
   // Clear timers and release notes on unmount
   useEffect(() => {
@@ -100,7 +122,7 @@ export function useAutoplayer(handleKeyPressRef, handleKeyReleaseRef, keyDataArr
       activeNotesRef.current.forEach(noteName => {
         const keyObj = keyDataArray.find(k => k.note === noteName);
         if (keyObj && handleKeyReleaseRef.current) {
-          handleKeyReleaseRef.current(keyObj);
+          handleKeyReleaseRef.current(keyObj, SOURCES.AUTOPLAYER);
         }
       });
       activeNotesRef.current.clear();
@@ -3,14 +3,31 @@ import React, { useEffect, useRef, useImperativeHandle, forwardRef } from 'react
 // Import the adapted fluid simulation
 import { createFluidSimulation } from './webgl-fluid-wrapper';
 
-const FluidCanvas = forwardRef(({ className }, ref) => {
+const FluidCanvas = forwardRef(({ className, clock, random }, ref) => {
   const canvasRef = useRef(null);
   const simulationRef = useRef(null);
+  // Runtime services are read once, when the simulation is created
+  const runtimeRef = useRef({ clock, random });
 
   useImperativeHandle(ref, () => ({
-    triggerSplat: (excitementLevel) => {
+    triggerSplat: (excitementLevel, intensity) => {
       if (simulationRef.current) {
-        simulationRef.current.triggerSplat(excitementLevel);
+        simulationRef.current.triggerSplat(excitementLevel, intensity);
+      }
+    },
+    swirl: (amount) => {
+      if (simulationRef.current) {
+        simulationRef.current.swirl(amount);
+      }
+    },
+    streamSplat: (step) => {
+      if (simulationRef.current) {
+        simulationRef.current.streamSplat(step);
+      }
+    },
+    setTurbulence: (amount) => {
+      if (simulationRef.current) {
+        simulationRef.current.setTurbulence(amount);
       }
     }
   }));
@@ -20,7 +37,7 @@ const FluidCanvas = forwardRef(({ className }, ref) => {
       // Use requestAnimationFrame to ensure the canvas has been laid out
       const initSimulation = () => {
         // Initialize the fluid simulation
-        simulationRef.current = createFluidSimulation(canvasRef.current);
+        simulationRef.current = createFluidSimulation(canvasRef.current, runtimeRef.current);
       };
       
       // Wait for next frame to ensure canvas dimensions are set
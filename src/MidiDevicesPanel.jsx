@@ -0,0 +1,137 @@
+import React from 'react';
+
+const CHANNELS = Array.from({ length: 16 }, (_, i) => i);
+
+/**
+ * Connected MIDI inputs with a switch and a channel filter for each, so only
+ * the chosen controllers play. Settings are kept per device by the router.
+ * MPE mode treats every input as an MPE controller, which needs all its
+ * channels, so the channel filters are set aside while it is on. Below the
+ * inputs, one output port can echo the notes played (thru) and stream the
+ * machine's state as controllers.
+ */
+export function MidiDevicesPanel({
+  visible, devices, supported, onChange, mpeMode, mpeZones, onMpeModeChange,
+  clockSync, clockInTempo, onClockSyncChange, output, onOutputChange, onClose
+}) {
+  if (!visible) return null;
+
+  return (
+    <div className="fixed left-80 top-20 bg-gray-900 bg-opacity-90 text-white p-4 rounded-lg z-40 text-xs font-mono w-80 max-h-[60vh] overflow-y-auto">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-bold text-sm">MIDI inputs</h3>
+        <button className="text-gray-400 hover:text-white" onClick={onClose}>close</button>
+      </div>
+
+      <label className="flex items-center gap-2 mb-1 cursor-pointer">
+        <input type="checkbox" checked={mpeMode} onChange={e => onMpeModeChange(e.target.checked)} />
+        <span>MPE mode</span>
+      </label>
+      {mpeMode && (
+        <p className="text-gray-400 mb-2">
+          {mpeZones.lower > 0 && `Lower zone: ch 2‒${1 + mpeZones.lower}`}
+          {mpeZones.lower > 0 && mpeZones.upper > 0 && ' · '}
+          {mpeZones.upper > 0 && `Upper zone: ch ${16 - mpeZones.upper}‒15`}
+          {mpeZones.lower === 0 && mpeZones.upper === 0 && 'No zones configured'}
+        </p>
+      )}
+
+      <label className="flex items-center gap-2 mb-2 cursor-pointer">
+        <input type="checkbox" checked={clockSync} onChange={e => onClockSyncChange(e.target.checked)} />
+        <span>Follow incoming MIDI clock</span>
+        {clockSync && <span className="text-gray-400">{clockInTempo ? `${clockInTempo} BPM` : 'no clock'}</span>}
+      </label>
+
+      {!supported && <p className="text-gray-400">This browser does not support Web MIDI.</p>}
+      {supported && devices.length === 0 && <p className="text-gray-400">No MIDI inputs connected.</p>}
+
+      {devices.map(device => (
+        <div key={device.id} className="flex items-center gap-2 py-1">
+          <span
+            className={`w-2 h-2 rounded-full shrink-0 ${device.state === 'connected' ? 'bg-green-500' : 'bg-gray-500'}`}
+            title={device.state}
+          />
+          <label className="flex-1 flex items-center gap-2 truncate cursor-pointer" title={device.manufacturer || device.name}>
+            <input
+              type="checkbox"
+              checked={device.enabled}
+              onChange={e => onChange(device.id, { enabled: e.target.checked })}
+            />
+            <span className={`truncate ${device.enabled ? '' : 'text-gray-500'}`}>{device.name}</span>
+          </label>
+          <select
+            className="bg-gray-700 rounded px-1 py-0.5"
+            value={device.channel === null ? 'all' : device.channel}
+            disabled={!device.enabled || mpeMode}
+            onChange={e => onChange(device.id, { channel: e.target.value === 'all' ? null : Number(e.target.value) })}
+          >
+            <option value="all">All ch</option>
+            {CHANNELS.map(ch => <option key={ch} value={ch}>Ch {ch + 1}</option>)}
+          </select>
+        </div>
+      ))}
+
+      {supported && output && <MidiOutputSection output={output} onChange={onOutputChange} />}
+    </div>
+  );
+}
+
+function MidiOutputSection({ output, onChange }) {
+  const selected = output.ports.find(port => port.key === output.port);
+
+  return (
+    <div className="mt-4 pt-3 border-t border-gray-700">
+      <h3 className="font-bold text-sm mb-2">MIDI output</h3>
+      <div className="flex items-center gap-2 mb-2">
+        <select
+          className="flex-1 bg-gray-700 rounded px-1 py-0.5 truncate"
+          value={selected ? selected.id : 'none'}
+          onChange={e => onChange({ port: e.target.value === 'none' ? null : e.target.value })}
+        >
+          <option value="none">None</option>
+          {output.ports.map(port => <option key={port.id} value={port.id}>{port.name}</option>)}
+        </select>
+        <select
+          className="bg-gray-700 rounded px-1 py-0.5"
+          value={output.channel}
+          onChange={e => onChange({ channel: Number(e.target.value) })}
+        >
+          {CHANNELS.map(ch => <option key={ch} value={ch}>Ch {ch + 1}</option>)}
+        </select>
+      </div>
+      {output.port && !selected && <p className="text-gray-400 mb-2">Saved output is not connected.</p>}
+
+      <label className="flex items-center gap-2 py-1 cursor-pointer">
+        <input type="checkbox" checked={output.thru} onChange={e => onChange({ thru: e.target.checked })} />
+        <span>Thru: echo notes and pedals</span>
+      </label>
+      <label className="flex items-center gap-2 py-1 cursor-pointer">
+        <input type="checkbox" checked={output.state} onChange={e => onChange({ state: e.target.checked })} />
+        <span>Send machine state as CCs</span>
+      </label>
+      <label className="flex items-center gap-2 py-1 cursor-pointer">
+        <input type="checkbox" checked={output.clock} onChange={e => onChange({ clock: e.target.checked })} />
+        <span>Send MIDI clock at the detected tempo</span>
+      </label>
+
+      {output.state && (
+        <div className="mt-1 pl-5">
+          {output.controls.map(({ name, cc }) => (
+            <div key={name} className="flex items-center justify-between gap-2 py-0.5">
+              <span className="truncate">{name}</span>
+              <input
+                type="number"
+                min="0"
+                max="119"
+                placeholder="off"
+                className="w-14 bg-gray-700 rounded px-1 py-0.5"
+                value={cc ?? ''}
+                onChange={e => onChange({ cc: { name, controller: e.target.value === '' ? null : Number(e.target.value) } })}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+import React, { useRef } from 'react';
+import { TEMPO_SCALES } from './midiFilePlayer';
+
+const formatTime = (ms) => {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Playback bar for a loaded MIDI file.
+ *
+ * Shows the file and its tracks, a seekable progress bar with the loop region
+ * shaded, transport buttons, loop in/out points taken from the playhead, the
+ * tempo multiplier and per-track mute/solo.
+ */
+export function MidiTransportBar({
+  visible, fileName, tracks, playing, position, duration, loop, tempoScale, muted, soloed,
+  onPlay, onPause, onStop, onSeek, onLoop, onTempo, onMute, onSolo, onOpen, onRecent, onClose
+}) {
+  const barRef = useRef(null);
+  const scrubbingRef = useRef(false);
+
+  if (!visible) return null;
+
+  const span = duration || 1;
+  const percent = ms => `${(Math.min(ms, span) / span) * 100}%`;
+
+  const seekFromPointer = (event) => {
+    const rect = barRef.current.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    onSeek(fraction * duration);
+  };
+
+  return (
+    <div className="fixed left-4 bottom-40 bg-gray-900 bg-opacity-90 text-white p-4 rounded-lg z-40 text-xs font-mono w-[28rem] max-w-[95vw]">
+      <div className="flex items-center justify-between mb-2 gap-2">
+        <h3 className="font-bold text-sm truncate" title={fileName}>{fileName || 'MIDI file'}</h3>
+        <div className="flex gap-2 shrink-0">
+          <button className="text-gray-400 hover:text-white" onClick={onOpen}>open…</button>
+          <button className="text-gray-400 hover:text-white" onClick={onRecent}>recent</button>
+          <button className="text-gray-400 hover:text-white" onClick={onClose}>close</button>
+        </div>
+      </div>
+
+      <div
+        ref={barRef}
+        className="relative h-3 bg-black bg-opacity-50 rounded cursor-pointer select-none"
+        onPointerDown={e => {
+          scrubbingRef.current = true;
+          e.currentTarget.setPointerCapture(e.pointerId);
+          seekFromPointer(e);
+        }}
+        onPointerMove={e => scrubbingRef.current && seekFromPointer(e)}
+        onPointerUp={() => { scrubbingRef.current = false; }}
+      >
+        {loop && (
+          <div
+            className="absolute top-0 h-full bg-yellow-500 bg-opacity-30"
+            style={{ left: percent(loop.start), width: `calc(${percent(loop.end)} - ${percent(loop.start)})` }}
+          />
+        )}
+        <div className="absolute top-0 left-0 h-full bg-blue-500 bg-opacity-60 rounded" style={{ width: percent(position) }} />
+      </div>
+
+      <div className="flex items-center justify-between mt-1 text-gray-400">
+        <span>{formatTime(position)} / {formatTime(duration)}</span>
+        {loop && <span className="text-yellow-400">loop {formatTime(loop.start)}–{formatTime(loop.end)}</span>}
+      </div>
+
+      <div className="flex items-center gap-2 mt-3">
+        {playing ? (
+          <button onClick={onPause} className="bg-yellow-600 hover:bg-yellow-700 px-3 py-1 rounded">Pause</button>
+        ) : (
+          <button onClick={onPlay} className="bg-green-600 hover:bg-green-700 px-3 py-1 rounded">Play</button>
+        )}
+        <button onClick={onStop} className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded">Stop</button>
+        <span className="ml-auto">Loop</span>
+        <button
+          onClick={() => onLoop(position, loop && loop.end > position ? loop.end : duration)}
+          className="bg-gray-700 hover:bg-gray-600 px-2 py-1 rounded"
+          title="Start the loop at the playhead"
+        >
+          A
+        </button>
+        <button
+          onClick={() => onLoop(loop && loop.start < position ? loop.start : 0, position)}
+          className="bg-gray-700 hover:bg-gray-600 px-2 py-1 rounded"
+          title="End the loop at the playhead"
+        >
+          B
+        </button>
+        <button
+          onClick={() => onLoop(null)}
+          disabled={!loop}
+          className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 px-2 py-1 rounded"
+        >
+          off
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2 mt-2">
+        <span>Tempo</span>
+        {TEMPO_SCALES.map(s => (
+          <button
+            key={s}
+            onClick={() => onTempo(s)}
+            className={`px-2 py-1 rounded ${s === tempoScale ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+          >
+            {s}×
+          </button>
+        ))}
+      </div>
+
+      {tracks.length > 0 && (
+        <div className="mt-3 max-h-32 overflow-y-auto">
+          {tracks.map(track => (
+            <div key={track.index} className="flex items-center gap-2 py-0.5">
+              <span className={`flex-1 truncate ${track.notes === 0 ? 'text-gray-500' : ''}`}>
+                {track.index + 1}. {track.name || 'Untitled'}
+                <span className="text-gray-500"> · {track.notes} notes</span>
+              </span>
+              <button
+                onClick={() => onMute(track.index, !muted.includes(track.index))}
+                className={`w-6 rounded ${muted.includes(track.index) ? 'bg-red-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+                title="Mute"
+              >
+                M
+              </button>
+              <button
+                onClick={() => onSolo(track.index, !soloed.includes(track.index))}
+                className={`w-6 rounded ${soloed.includes(track.index) ? 'bg-yellow-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+                title="Solo"
+              >
+                S
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
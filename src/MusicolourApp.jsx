@@ -3,18 +3,43 @@ import * as Tone from 'tone';
 import FluidCanvas from './FluidCanvas';
 // import { createFluidSimulation } from './webgl-fluid-wrapper';
 import MusicalityEngine, { MODEL_PARAMS } from './musicalityEngine';
+import ExcitementModel, { TICK_INTERVAL } from './excitementModel';
+import { EXPERIMENTAL_METRICS } from './experimentalMetrics';
+import { parseMidi, validateMidiFile } from './midiFile';
+import RecentFiles from './recentFiles';
+import MidiDeviceRouter, { deviceKey } from './midiDevices';
+import MidiOutput, { NO_OUTPUT, STATE_INTERVAL } from './midiOutput';
+import { MidiClockIn, MidiClockOut, MIDI_CLOCK_SYNC_KEY } from './midiClock';
+import ExpressionState, { EXPRESSION, BEND_RANGE, decodeExpression } from './midiExpression';
+import MpeTracker, { MPE_MODE_KEY } from './mpe';
+import MpeSynth from './mpeSynth';
+import {
+  RESPONSE_MODE_KEY, PHRASE_GAP, PHRASE_GAP_BEATS, MIN_PHRASE_NOTES, phraseFromHistory, chooseStrategy, generateResponse
+} from './responseVoice';
+import Pedals, { PEDAL_CCS, SUSTAIN_CC, SOFT_CUTOFF, OPEN_CUTOFF } from './pedals';
+import {
+  KEYBOARD_RANGES, DEFAULT_KEYBOARD_RANGE, KEYBOARD_RANGE_KEY, MIDI_LOW, MIDI_HIGH, fitRange, outOfView
+} from './keyboardRange';
+import { createRuntime, seedFromUrl } from './runtime';
+import SessionRecorder, { SOURCES } from './sessionRecorder';
+import { sessionToMidi, downloadMidi } from './sessionExport';
+import SessionPlayer from './sessionPlayer';
+import MidiFilePlayer from './midiFilePlayer';
+import { ReplayPanel } from './ReplayPanel.jsx';
+import { MidiTransportBar } from './MidiTransportBar.jsx';
+import { RecentFilesPanel } from './RecentFilesPanel.jsx';
+import { MidiDevicesPanel } from './MidiDevicesPanel.jsx';
+import { PedalIndicator } from './PedalIndicator.jsx';
 import { useAutoplayer, AutoplayerPanel } from './Autoplayer.jsx';
 import { TutorialCards } from './TutorialCards.jsx';
 import { InfoIcon } from './InfoIcon.jsx';
 
 // Initialize Tone.js - will be started on first user interaction
 
-// Piano key data – generate a fixed 61-key range (C2-C7).
+// Piano key data – one key for every MIDI note (0‒127, C-1 to G9) so nothing
+// is dropped; the on-screen keyboard shows a configurable slice of it.
 const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 
-const START_MIDI = 36; // C2
-const KEY_COUNT = 61;   // Up to C7 inclusive
-
 const QWERTY_MAPPING = {
   C4: 'KeyQ', 'C#4': 'Digit2', D4: 'KeyW', 'D#4': 'Digit3', E4: 'KeyE',
   F4: 'KeyR', 'F#4': 'Digit5', G4: 'KeyT', 'G#4': 'Digit6', A4: 'KeyY',
@@ -24,14 +49,14 @@ const QWERTY_MAPPING = {
 
 const generatePianoKeys = () => {
   const keys = [];
-  for (let i = 0; i < KEY_COUNT; i++) {
-    const midi = START_MIDI + i;
+  for (let midi = MIDI_LOW; midi <= MIDI_HIGH; midi++) {
     const octave = Math.floor(midi / 12) - 1;
     const name = NOTE_NAMES[midi % 12];
     const note = `${name}${octave}`;
     const isBlack = name.includes('#');
     keys.push({
       note,
+      midi,
       type: isBlack ? 'black' : 'white',
       keyCode: QWERTY_MAPPING[note] || '',
       color: isBlack ? '#444' : '#ccc'
@@ -40,7 +65,22 @@ const generatePianoKeys = () => {
   return keys;
 };
 
-const PIANO_KEYS = generatePianoKeys();
+const PIANO_KEYS = generatePianoKeys(); // indexed by MIDI note number
+const KEY_BY_NOTE = new Map(PIANO_KEYS.map(k => [k.note, k]));
+
+// localStorage key for the saved MusicalityEngine state
+const ENGINE_STATE_KEY = 'musicolour-engine-state';
+
+// ms between steps of each held MPE note's dye stream
+const MPE_STREAM_INTERVAL = 50;
+
+// Sources played live by hand: the pedals act on these only
+const PEDAL_SOURCES = new Set([SOURCES.QWERTY, SOURCES.MOUSE, SOURCES.MIDI, SOURCES.MPE]);
+// Held down as a sustain pedal by QWERTY players
+const SUSTAIN_KEY = 'Space';
+
+// ms between checks of the incoming clock and top-ups of the outgoing one
+const CLOCK_PUMP_INTERVAL = 25;
 
 // Piano Component
 function PianoKey({ keyData, isPressed, onPress, onRelease, midiEnabled }) {
@@ -141,6 +181,21 @@ function PianoKey({ keyData, isPressed, onPress, onRelease, midiEnabled }) {
 //   return interpolateColor(color1.color, color2.color, localT);
 // };
 
+// The model's excitement as state: ticked on a coarse timer (its fade is
+// time-based), re-rendering only when the model reports a visible change
+function useExcitement(model) {
+  const [excitement, setExcitement] = useState(model.value);
+  useEffect(() => {
+    const unsubscribe = model.subscribe(m => setExcitement(m.value));
+    const id = setInterval(() => model.tick(), TICK_INTERVAL);
+    return () => {
+      unsubscribe();
+      clearInterval(id);
+    };
+  }, [model]);
+  return excitement;
+}
+
 // Thermometer Power Bar Component
 function PowerBar({ excitement = 0 }) {
   const [displayExcitement, setDisplayExcitement] = useState(excitement);
@@ -251,23 +306,40 @@ function PowerBar({ excitement = 0 }) {
   );
 }
 
-function Piano({ onKeyPress, onKeyRelease, pressedKeys, midiEnabled }) {
+function Piano({ onKeyPress, onKeyRelease, pressedKeys, midiEnabled, range }) {
   // Use larger dimensions when showing only QWERTY keys
   const WHITE_KEY_WIDTH = midiEnabled ? 24 : 36;
   const BLACK_KEY_WIDTH = midiEnabled ? 14 : 24;
 
   // If no MIDI is connected, show only keys with QWERTY mappings
-  const keysToShow = midiEnabled ? PIANO_KEYS : PIANO_KEYS.filter(k => k.keyCode !== '');
+  const keysToShow = midiEnabled
+    ? PIANO_KEYS.slice(range.low, range.high + 1)
+    : PIANO_KEYS.filter(k => k.keyCode !== '');
   
   const whiteKeys = keysToShow.filter(k => k.type === 'white');
   const blackKeys = keysToShow.filter(k => k.type === 'black');
 
+  // Sounding notes that fall off either end of the keyboard
+  const soundingMidi = [...pressedKeys].map(note => KEY_BY_NOTE.get(note)?.midi).filter(m => m !== undefined);
+  const hidden = outOfView(soundingMidi, { low: keysToShow[0].midi, high: keysToShow[keysToShow.length - 1].midi });
+  const hiddenLabel = (pitches) => pitches.map(m => PIANO_KEYS[m].note).join(' ');
+
   return (
     <div className="piano-container flex justify-center items-end bg-transparent overflow-visible">
       <div className="relative inline-flex" style={{
         transform: 'perspective(800px) rotateX(5deg)',
         transformStyle: 'preserve-3d'
       }}>
+        {hidden.below.length > 0 && (
+          <div className="absolute right-full bottom-1/2 mr-3 text-white text-xs font-mono whitespace-nowrap animate-pulse" title="Playing below the keyboard">
+            ◀ {hiddenLabel(hidden.below)}
+          </div>
+        )}
+        {hidden.above.length > 0 && (
+          <div className="absolute left-full bottom-1/2 ml-3 text-white text-xs font-mono whitespace-nowrap animate-pulse" title="Playing above the keyboard">
+            {hiddenLabel(hidden.above)} ▶
+          </div>
+        )}
         {whiteKeys.map((key) => (
           <PianoKey
             key={key.note}
@@ -312,8 +384,52 @@ function Piano({ onKeyPress, onKeyRelease, pressedKeys, midiEnabled }) {
 
 function MusicolourApp() {
   const [pressedKeys, setPressedKeys] = useState(new Set());
+  // Up to date at once for the key handlers (pressedKeys follows for drawing);
+  // pending: first live presses waiting for audio to start
+  const pressedKeysRef = useRef(new Set());
+  const pendingPressesRef = useRef(new Set());
+  // On-screen keyboard size: a KEYBOARD_RANGES key; `auto` grows to fit what is played
+  const [keyboardRange, setKeyboardRange] = useState(() => {
+    const saved = localStorage.getItem(KEYBOARD_RANGE_KEY);
+    return saved in KEYBOARD_RANGES ? saved : DEFAULT_KEYBOARD_RANGE;
+  });
+  const [autoRange, setAutoRange] = useState(KEYBOARD_RANGES.auto);
+  const visibleRange = keyboardRange === 'auto' ? autoRange : KEYBOARD_RANGES[keyboardRange];
+
+  const selectKeyboardRange = (size) => {
+    setKeyboardRange(size);
+    if (size === 'auto') setAutoRange(KEYBOARD_RANGES.auto);
+    localStorage.setItem(KEYBOARD_RANGE_KEY, size);
+  };
   const fluidCanvasRef = useRef(null);
-  const musicalityEngineRef = useRef(new MusicalityEngine());
+  // Shared clock + seeded RNG (pin the seed with ?seed=… for reproducible runs)
+  const runtimeRef = useRef(null);
+  if (!runtimeRef.current) {
+    runtimeRef.current = createRuntime({ seed: seedFromUrl() });
+  }
+  // Engine time: the replayed take's clock while a replay is open, else the runtime clock
+  const playerRef = useRef(null);
+  const engineClockRef = useRef({
+    now: () => (replayOpenRef.current ? playerRef.current.now() : runtimeRef.current.clock.now())
+  });
+  const replayOpenRef = useRef(false);
+  const musicalityEngineRef = useRef(null);
+  // Excitement rises and falls with each note and fades at the engine's rate
+  const excitementModelRef = useRef(null);
+  if (!excitementModelRef.current) {
+    excitementModelRef.current = new ExcitementModel({
+      clock: engineClockRef.current,
+      decayRate: time => musicalityEngineRef.current.decayRate(time)
+    });
+  }
+  const excitement = useExcitement(excitementModelRef.current);
+  if (!musicalityEngineRef.current) {
+    musicalityEngineRef.current = new MusicalityEngine(runtimeRef.current);
+    // Experimental metrics are available in the params panel but off by default
+    EXPERIMENTAL_METRICS.forEach(create =>
+      musicalityEngineRef.current.registerMetric(create(), { enabled: false })
+    );
+  }
   const [audioStarted, setAudioStarted] = useState(false);
   
   // ---------------- TUNABLE PARAMETERS ----------------
@@ -337,32 +453,236 @@ function MusicolourApp() {
   const updateParam = (key, value) => {
     MODEL_PARAMS[key] = value;
     setParamsState(prev => ({ ...prev, [key]: value }));
-    // Reset only the moving baseline so new parameters take effect smoothly
-    if (musicalityEngineRef.current) {
-      musicalityEngineRef.current.ema = null;
+  };
+
+  // Session recorder – captures every input event and the machine's reaction
+  const recorderRef = useRef(null);
+  if (!recorderRef.current) {
+    recorderRef.current = new SessionRecorder({ clock: runtimeRef.current.clock });
+  }
+  const [recording, setRecording] = useState({ active: false, events: 0 });
+
+  useEffect(() => {
+    return recorderRef.current.subscribe(recorder => {
+      setRecording(prev => (
+        prev.active === recorder.recording && prev.events === recorder.events.length
+          ? prev
+          : { active: recorder.recording, events: recorder.events.length }
+      ));
+    });
+  }, []);
+
+  // Export the current take as a .mid file at the tempo/meter the engine detected
+  const [exportExcitement, setExportExcitement] = useState(true);
+  const exportRecording = () => {
+    const recorder = recorderRef.current;
+    if (recorder.events.length === 0) return;
+    const engine = musicalityEngineRef.current;
+    try {
+      const bytes = sessionToMidi(recorder, {
+        bpm: engine.tempo ? Math.round(engine.tempo) : 120,
+        meter: engine.beatTracker.meter,
+        excitementTrack: exportExcitement
+      });
+      downloadMidi(bytes, `musicolour-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.mid`);
+    } catch (error) {
+      console.error('Error exporting recording:', error);
+      setFileError(`Could not export the take: ${error.message}`);
+    }
+  };
+
+  // Registered metrics (built-in and experimental) for the debug/params panels
+  const [metricList, setMetricList] = useState(() => musicalityEngineRef.current.getMetrics());
+
+  const refreshMetrics = () => {
+    const engine = musicalityEngineRef.current;
+    setMetricList(engine.getMetrics());
+    setSystemState(prev => ({
+      ...prev,
+      musicalityScore: engine.musicalityScore,
+      musicalityMetrics: { ...engine.metrics }
+    }));
+  };
+
+  const toggleMetric = (name, enabled) => {
+    musicalityEngineRef.current.setMetricEnabled(name, enabled);
+    refreshMetrics();
+  };
+
+  // Weight sliders renormalise the other enabled metrics so shares sum to 100%
+  const updateMetricWeight = (name, weight) => {
+    musicalityEngineRef.current.setMetricWeight(name, weight, { normalise: true });
+    refreshMetrics();
+  };
+
+  const resetMetricWeights = () => {
+    musicalityEngineRef.current.resetWeights();
+    refreshMetrics();
+  };
+
+  // ---------------- ENGINE MEMORY ----------------
+  // Save/restore what the engine has learned (histories, key, tempo, baseline)
+  const applyEngineState = (saved) => {
+    const engine = musicalityEngineRef.current;
+    try {
+      engine.restore(saved);
+    } catch (e) {
+      console.error('Failed to restore engine state:', e);
+      return;
+    }
+    setMetricList(engine.getMetrics());
+    setSystemState(prev => ({
+      ...prev,
+      musicalityScore: engine.musicalityScore,
+      musicalityMetrics: { ...engine.metrics },
+      scaleContext: engine.scaleContext,
+      harmonicContext: engine.harmonicContext,
+      beat: engine.beat
+    }));
+  };
+
+  const saveEngineState = () => {
+    try {
+      localStorage.setItem(ENGINE_STATE_KEY, JSON.stringify(musicalityEngineRef.current));
+    } catch (e) {
+      console.error('Failed to save engine state:', e);
     }
   };
+
+  const loadEngineState = () => {
+    const saved = localStorage.getItem(ENGINE_STATE_KEY);
+    if (saved) applyEngineState(saved);
+  };
+
+  const downloadEngineState = () => {
+    const blob = new Blob([JSON.stringify(musicalityEngineRef.current, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `musicolour-state-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const openEngineStateFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (file) applyEngineState(await file.text());
+  };
   
   // MIDI support
   const [midiEnabled, setMidiEnabled] = useState(false);
   const [midiDevices, setMidiDevices] = useState([]);
   const [showMidiStatus, setShowMidiStatus] = useState(false);
   const midiAccessRef = useRef(null);
+  const [showMidiDevices, setShowMidiDevices] = useState(false);
+  // Which inputs and channels may play, remembered across reconnects
+  const midiRouterRef = useRef(null);
+  if (!midiRouterRef.current) midiRouterRef.current = new MidiDeviceRouter();
+  // MIDI notes each input is holding (by deviceKey), so switching a device off
+  // or unplugging it cannot leave keys stuck
+  const midiHeldRef = useRef(new Map());
+  // Where played notes (thru) and the machine's state go, if anywhere
+  const midiOutputRef = useRef(null);
+  if (!midiOutputRef.current) midiOutputRef.current = new MidiOutput();
+  const [, setMidiOutputVersion] = useState(0); // bumped on output changes, for the panel
+
+  // Stream the machine's state (only changed values go out)
+  useEffect(() => {
+    const names = metricList.map(m => m.name);
+    const id = setInterval(() => midiOutputRef.current.sendState(
+      { ...systemStateRef.current, excitement: excitementModelRef.current.value }, names
+    ), STATE_INTERVAL);
+    return () => clearInterval(id);
+  }, [metricList]);
+
+  // MIDI clock: follow other gear's clock (beat grid and autoplayer) and send
+  // one at the engine's detected tempo. Clock times are performance.now().
+  const [clockSync, setClockSync] = useState(() => localStorage.getItem(MIDI_CLOCK_SYNC_KEY) === 'true');
+  const clockSyncRef = useRef(clockSync);
+  const [clockInTempo, setClockInTempo] = useState(null); // BPM while following
+  const midiClockInRef = useRef(new MidiClockIn());
+  const midiClockOutRef = useRef(null);
+  if (!midiClockOutRef.current) {
+    midiClockOutRef.current = new MidiClockOut((bytes, time) => midiOutputRef.current.send(bytes, time));
+  }
+  const clockPortRef = useRef(null); // output the clock was started on
+
+  const selectClockSync = (enabled) => {
+    clockSyncRef.current = enabled;
+    setClockSync(enabled);
+    localStorage.setItem(MIDI_CLOCK_SYNC_KEY, String(enabled));
+    if (!enabled) {
+      musicalityEngineRef.current.releaseClock();
+      setClockInTempo(null);
+    }
+  };
+
+  // Realtime message from midiMessageHandler (time: the event's timestamp)
+  const handleClockMessage = (status, time) => {
+    const clockIn = midiClockInRef.current;
+    const event = clockIn.handle(status, time);
+    if (!event || !clockSyncRef.current) return;
+    if (event === 'beat' && clockIn.period) {
+      const beatTime = engineClockRef.current.now() - (performance.now() - clockIn.beatTime);
+      musicalityEngineRef.current.followClock(clockIn.period, beatTime);
+      const bpm = Math.round(clockIn.tempo * 10) / 10;
+      setClockInTempo(prev => (prev === bpm ? prev : bpm));
+    } else if (event === 'start' && playSongRef.current) {
+      // The song starts over with the other gear, on its first beat
+      stopSongRef.current();
+      playSongRef.current(0, true);
+    } else if (event === 'continue' && playSongRef.current) {
+      playSongRef.current(0, true); // already playing: it keeps to the beats anyway
+    } else if (event === 'stop' && stopSongRef.current) {
+      stopSongRef.current();
+    }
+  };
+
+  // Works through refs, so the MIDI listeners can keep the first render's
+  const handleClockMessageRef = useRef(handleClockMessage);
+
+  useEffect(() => {
+    const clockOut = midiClockOutRef.current;
+    const id = setInterval(() => {
+      const now = performance.now();
+      const engine = musicalityEngineRef.current;
+      // The incoming clock went quiet: back to finding the beat in the notes
+      if (engine.beatTracker.external && !midiClockInRef.current.alive(now)) {
+        engine.releaseClock();
+        setClockInTempo(null);
+      }
+
+      const output = midiOutputRef.current;
+      if (!output.settings.clock || !output.port) {
+        clockOut.stop(now);
+        return;
+      }
+      // A different output gets its own start
+      if (clockPortRef.current !== output.port) {
+        clockOut.stop(now);
+        clockPortRef.current = output.port;
+      }
+      if (!clockOut.running) clockOut.start(now, engine.tempo);
+      clockOut.setTempo(engine.tempo);
+      clockOut.pump(now);
+    }, CLOCK_PUMP_INTERVAL);
+    return () => {
+      clearInterval(id);
+      clockOut.stop(performance.now());
+    };
+  }, []);
   const midiStatusTimeout = useRef(null);
   const fileInputRef = useRef(null);
+  const stateFileInputRef = useRef(null);
   
   const [systemState, setSystemState] = useState({
-    excitement: 0, // 0 to 1 scale
     lastKeyPressTime: null,
     musicalityScore: 0,
-    musicalityMetrics: {
-      melodicCoherence: 0,
-      harmonicProgression: 0,
-      rhythmicConsistency: 0,
-      scaleAdherence: 0,
-      phraseStructure: 0,
-      dynamicVariation: 0
-    }
+    musicalityMetrics: { ...musicalityEngineRef.current.metrics },
+    scaleContext: null, // { tonic, mode, confidence } from key finding
+    harmonicContext: null, // { chord, inversion, progression, cadence }
+    beat: null // { tempo, meter, alignment, beat, barPosition, confidence } from the beat tracker
   });
 
   // Start audio context on first user interaction
@@ -381,270 +701,209 @@ function MusicolourApp() {
   }, [systemState]);
 
   const pianoRef = useRef(null);
+  const expressionNodesRef = useRef(null); // { vibrato, pitchShift, swell, softFilter } after the instrument
 
-  /* ---------------- MIDI Sustain Pedal Support ---------------- */
-  // Whether the pedal is currently held (CC 64 >= 64)
-  const sustainActiveRef = useRef(false);
-  // Notes that have received a Note Off while the pedal was held. They will be
-  // released en-masse once the pedal is lifted.
-  const sustainedNotesRef = useRef(new Set());
-
-  // Simpler MIDI file parser focused on extracting notes
-  const parseMidiFile = async (file) => {
-    const buffer = await file.arrayBuffer();
-    const data = new Uint8Array(buffer);
-    
-    // Basic MIDI file validation
-    const header = String.fromCharCode(...data.slice(0, 4));
-    if (header !== 'MThd') {
-      throw new Error('Invalid MIDI file');
-    }
-    
-    // Read header info
-    const format = (data[8] << 8) | data[9];
-    const numTracks = (data[10] << 8) | data[11];
-    const division = (data[12] << 8) | data[13];
-    
-    console.log('MIDI format:', format, 'tracks:', numTracks, 'division:', division);
-    
-    // Simple approach: look for all Note On events (0x9n) in the file
-    const notes = [];
-    let ticksPerQuarter = division & 0x7FFF;
-    let microsecondsPerQuarter = 500000; // Default 120 BPM
-    
-    // Scan entire file for note events
-    let i = 14; // Skip header
-    let currentTime = 0;
-    
-    while (i < data.length - 4) {
-      // Look for MTrk
-      if (data[i] === 0x4D && data[i+1] === 0x54 && data[i+2] === 0x72 && data[i+3] === 0x6B) {
-        i += 4;
-        const trackLen = (data[i] << 24) | (data[i+1] << 16) | (data[i+2] << 8) | data[i+3];
-        i += 4;
-        
-        const trackEnd = i + trackLen;
-        let trackTime = 0;
-        let lastStatus = 0;
-        
-        while (i < trackEnd && i < data.length) {
-          // Read variable length delta time
-          let delta = 0;
-          let byte;
-          do {
-            if (i >= data.length) break;
-            byte = data[i++];
-            delta = (delta << 7) | (byte & 0x7F);
-          } while (byte & 0x80);
-          
-          trackTime += delta;
-          
-          if (i >= data.length) break;
-          
-          // Get status byte
-          let status = data[i];
-          if (status < 0x80) {
-            // Running status
-            status = lastStatus;
-          } else {
-            lastStatus = status;
-            i++;
-          }
-          
-          // Check for Note On
-          if ((status & 0xF0) === 0x90 && i + 1 < data.length) {
-            const note = data[i++];
-            const velocity = data[i++];
-            
-            if (velocity > 0) {
-              // Calculate time in milliseconds
-              const timeMs = (trackTime / ticksPerQuarter) * (microsecondsPerQuarter / 1000);
-              notes.push({
-                note: note,
-                time: Math.round(timeMs),
-                velocity: velocity / 127,
-                channel: status & 0x0F
-              });
-            }
-          }
-          // Note Off
-          else if ((status & 0xF0) === 0x80 && i + 1 < data.length) {
-            i += 2;
-          }
-          // Other channel messages
-          else if ((status & 0xF0) >= 0x80 && (status & 0xF0) <= 0xE0) {
-            // Skip parameters based on message type
-            if ((status & 0xF0) === 0xC0 || (status & 0xF0) === 0xD0) {
-              i += 1;
-            } else {
-              i += 2;
-            }
-          }
-          // Meta event
-          else if (status === 0xFF && i + 1 < data.length) {
-            const metaType = data[i++];
-            if (i >= data.length) break;
-            const len = data[i++];
-            
-            // Tempo change
-            if (metaType === 0x51 && len === 3 && i + 2 < data.length) {
-              microsecondsPerQuarter = (data[i] << 16) | (data[i+1] << 8) | data[i+2];
-            }
-            
-            i += len;
-          }
-          // SysEx
-          else if (status === 0xF0 || status === 0xF7) {
-            // Skip to end of SysEx
-            while (i < data.length && data[i] !== 0xF7) i++;
-            if (i < data.length) i++;
-          }
-          else {
-            // Unknown status, try to continue
-            i++;
-          }
-        }
-      } else {
-        i++;
-      }
-    }
-    
-    console.log('Found', notes.length, 'notes');
-    
-    // If still no notes found, try a different approach - just scan for 0x90 patterns
-    if (notes.length === 0) {
-      console.log('Trying alternate parsing method...');
-      for (let j = 0; j < data.length - 2; j++) {
-        if ((data[j] & 0xF0) === 0x90 && data[j + 2] > 0) {
-          notes.push({
-            note: data[j + 1],
-            time: notes.length * 100, // Fake timing
-            velocity: data[j + 2] / 127,
-            channel: data[j] & 0x0F
-          });
-        }
-      }
-      console.log('Alternate method found', notes.length, 'notes');
-    }
-    
-    return notes.sort((a, b) => a.time - b.time);
+  /* ---------------- Pedals ---------------- */
+  // Sustain (with half-pedalling), sostenuto and soft, from MIDI CC64/66/67
+  // or the QWERTY sustain key. Releases of live notes go through
+  // releaseLiveKey so a pedal can hold them; the indicator shows `pedals`.
+  const pedalsRef = useRef(new Pedals());
+  const [pedals, setPedals] = useState(() => pedalsRef.current.snapshot());
+
+  // Problems with a picked or dropped file are shown in-app for a few seconds
+  const [fileError, setFileError] = useState(null);
+  useEffect(() => {
+    if (!fileError) return;
+    const id = setTimeout(() => setFileError(null), 6000);
+    return () => clearTimeout(id);
+  }, [fileError]);
+
+  // Recently opened files live in IndexedDB so they can be replayed later
+  const recentFilesRef = useRef(null);
+  if (!recentFilesRef.current) recentFilesRef.current = new RecentFiles();
+  const [recentFiles, setRecentFiles] = useState([]);
+  const [showRecentFiles, setShowRecentFiles] = useState(false);
+
+  const refreshRecentFiles = () => {
+    if (!recentFilesRef.current.available) return;
+    recentFilesRef.current.list()
+      .then(setRecentFiles)
+      .catch(error => console.warn('Could not read recent files:', error));
   };
 
-  // Handle MIDI file loading
-  const handleMidiFileLoad = async (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
-    
+  useEffect(refreshRecentFiles, []);
+
+  // Load and play a MIDI file (from the picker, a drop or the recent list)
+  const loadMidiFile = async (file) => {
+    const problem = validateMidiFile(file);
+    if (problem) {
+      setFileError(problem);
+      return;
+    }
+
     try {
       console.log('Loading MIDI file:', file.name);
-      const notes = await parseMidiFile(file);
+      const bytes = await file.arrayBuffer();
+      const midi = parseMidi(bytes);
+      const { notes } = midi;
       
-      console.log('Parsed notes:', notes.length, 'notes');
-      if (notes.length > 0) {
-        console.log('First few notes:', notes.slice(0, 5));
+      console.log('MIDI format:', midi.format, 'tracks:', midi.tracks.length, 'division:', midi.division);
+      if (midi.warnings.length > 0) {
+        console.warn('MIDI file warnings:', midi.warnings);
       }
+      console.log('Parsed notes:', notes.length, 'notes');
       
       if (notes.length === 0) {
-        console.warn('No notes found in MIDI file');
-        alert('No notes found in the MIDI file. Please try a different file.');
+        setFileError(`No notes found in "${file.name}". Please try a different file.`);
         return;
       }
       
+      setFileError(null);
+
       // Stop any current playback
       stopSong();
       
-      // Clean up any existing MIDI file playback
-      if (window.midiFileCleanup) {
-        window.midiFileCleanup.forEach(cleanup => cleanup());
-        window.midiFileCleanup = [];
+      // The transport needs a running audio context before it can start
+      await startAudio();
+      midiPlayerRef.current.load(midi, file.name);
+      midiPlayerRef.current.play();
+
+      if (recentFilesRef.current.available) {
+        recentFilesRef.current.add(file.name, bytes)
+          .then(setRecentFiles)
+          .catch(error => console.warn('Could not remember file:', error));
       }
-      
-      // Play the MIDI file after a short delay to ensure handlers are ready
-      setTimeout(() => {
-        playMidiFile(notes);
-      }, 100);
-      
     } catch (error) {
       console.error('Error loading MIDI file:', error);
-      alert('Error loading MIDI file: ' + error.message);
+      setFileError(`Could not read "${file.name}": ${error.message}`);
     }
+  };
+
+  // Handle MIDI file loading from the file input
+  const handleMidiFileLoad = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    await loadMidiFile(file);
     
     // Reset input
     event.target.value = '';
   };
 
-  // Play loaded MIDI file
-  const playMidiFile = (notes) => {
-    if (notes.length === 0) return;
-    
-    console.log('Starting MIDI playback with', notes.length, 'notes');
-    
-    let noteIndex = 0;
-    const startTime = Date.now();
-    let timeoutIds = [];
-    
-    const playNextNote = () => {
-      if (noteIndex >= notes.length) {
-        console.log('MIDI playback completed');
-        // Clean up when playback is complete
-        if (window.midiFileCleanup) {
-          const index = window.midiFileCleanup.indexOf(cleanup);
-          if (index > -1) {
-            window.midiFileCleanup.splice(index, 1);
-          }
-        }
+  const openRecentFile = async (name) => {
+    try {
+      const entry = await recentFilesRef.current.get(name);
+      if (!entry) {
+        setFileError(`"${name}" is no longer stored.`);
+        refreshRecentFiles();
         return;
       }
-      
-      const note = notes[noteIndex];
-      const currentTime = Date.now() - startTime;
-      const delay = Math.max(0, note.time - currentTime);
-      
+      await loadMidiFile(new File([entry.bytes], entry.name));
+    } catch (error) {
+      setFileError(`Could not open "${name}": ${error.message}`);
+    }
+  };
 
-      
-      const timeoutId = setTimeout(() => {
-        // Map MIDI note to piano key
-        const keyMapping = getMidiKeyMapping(note.note);
-        
-        if (keyMapping) {
-          const pianoKey = PIANO_KEYS.find(k => k.note === keyMapping);
-          if (pianoKey) {
-            // Simulate key press with fromMidiFile flag
-            if (handleKeyPressRef.current) {
-              handleKeyPressRef.current(pianoKey, note.velocity, true);
-              
-              // Release after a short duration
-              const releaseDuration = 100 + note.velocity * 200;
-              setTimeout(() => {
-                if (handleKeyReleaseRef.current) {
-                  handleKeyReleaseRef.current(pianoKey);
-                }
-              }, releaseDuration);
-            }
-          }
+  const removeRecentFile = (name) => {
+    recentFilesRef.current.remove(name)
+      .then(refreshRecentFiles)
+      .catch(error => console.warn('Could not forget file:', error));
+  };
+
+  const clearRecentFiles = () => {
+    recentFilesRef.current.clear()
+      .then(refreshRecentFiles)
+      .catch(error => console.warn('Could not clear recent files:', error));
+  };
+
+  // Drag-and-drop onto the canvas. Enter/leave fire for every child element,
+  // so a counter tracks whether the drag is still over the drop area.
+  const dragDepthRef = useRef(0);
+  const [dragActive, setDragActive] = useState(false);
+  const isFileDrag = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+  const handleDragEnter = (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepthRef.current += 1;
+    setDragActive(true);
+  };
+
+  const handleDragOver = (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  };
+
+  const handleDragLeave = (event) => {
+    if (!isFileDrag(event)) return;
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if (dragDepthRef.current === 0) setDragActive(false);
+  };
+
+  const handleDrop = (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepthRef.current = 0;
+    setDragActive(false);
+    const files = Array.from(event.dataTransfer.files);
+    if (files.length > 1) console.log('Several files dropped; loading the first');
+    loadMidiFile(files[0]);
+  };
+
+  // Loaded MIDI files play on Tone.Transport, so notes start and stop on the
+  // audio clock with the file's own durations, tempo changes and sustain pedal
+  const midiPlayerRef = useRef(null);
+  const [midiPlayback, setMidiPlayback] = useState({
+    loaded: false, fileName: '', tracks: [], playing: false, position: 0, duration: 0,
+    loop: null, tempoScale: 1, muted: [], soloed: []
+  });
+
+  useEffect(() => {
+    const player = new MidiFilePlayer({
+      transport: Tone.getTransport(),
+      onNoteOn: (note, time) => {
+        const key = PIANO_KEYS.find(k => k.midi === note.note);
+        if (key && handleKeyPressRef.current) {
+          handleKeyPressRef.current(key, note.velocity, SOURCES.FILE, time);
         }
-        
-        noteIndex++;
-        playNextNote();
-      }, delay);
-      
-      timeoutIds.push(timeoutId);
-    };
-    
-    // Store cleanup function
-    const cleanup = () => {
-      timeoutIds.forEach(id => clearTimeout(id));
-      timeoutIds = [];
+      },
+      onNoteOff: (note, time) => {
+        const key = PIANO_KEYS.find(k => k.midi === note.note);
+        if (key && handleKeyReleaseRef.current) {
+          handleKeyReleaseRef.current(key, SOURCES.FILE, time);
+        }
+      },
+      onEnd: () => console.log('MIDI playback completed')
+    });
+    midiPlayerRef.current = player;
+    const unsubscribe = player.subscribe(p => {
+      setMidiPlayback({
+        loaded: Boolean(p.midi),
+        fileName: p.name,
+        tracks: p.midi ? p.midi.tracks.map(t => ({ index: t.index, name: t.name, notes: t.notes.length })) : [],
+        playing: p.playing,
+        position: p.position,
+        duration: p.duration,
+        loop: p.loop,
+        tempoScale: p.tempoScale,
+        muted: [...p.muted],
+        soloed: [...p.soloed]
+      });
+    });
+    return () => {
+      unsubscribe();
+      player.dispose();
     };
-    
-    // Add to active notes for cleanup on stop
-    if (!window.midiFileCleanup) {
-      window.midiFileCleanup = [];
-    }
-    window.midiFileCleanup.push(cleanup);
-    
-    playNextNote();
-  };
+  }, []);
+
+  // Move the progress bar while playing
+  useEffect(() => {
+    if (!midiPlayback.playing) return;
+    const id = setInterval(() => {
+      setMidiPlayback(prev => ({ ...prev, position: midiPlayerRef.current.position }));
+    }, 100);
+    return () => clearInterval(id);
+  }, [midiPlayback.playing]);
 
   // MIDI note number → note-name mapping with dynamic key creation.
   // This now supports the full 0–127 MIDI range instead of wrapping to one octave.
@@ -657,7 +916,7 @@ function MusicolourApp() {
     const noteName = NOTE_NAMES[noteIndex];
     const fullNote = `${noteName}${octave}`;
 
-    // No dynamic key addition – onscreen keyboard is fixed to 61 keys.
+    // Every MIDI note has a key in PIANO_KEYS, shown on screen or not
     return fullNote;
   };
 
@@ -666,12 +925,22 @@ function MusicolourApp() {
   // early "loaded === false" check that previously forced the app to stay on
   // the low-polyphony fallback and lose notes when playing chords.
   useEffect(() => {
+    // 0) Expression chain shared by both instruments: mod wheel → vibrato,
+    // pitch bend → pitch shift (bypassed at rest), aftertouch → volume swell.
+    const vibrato = new Tone.Vibrato({ frequency: 5.5, depth: 0 });
+    const pitchShift = new Tone.PitchShift({ pitch: 0, wet: 0 });
+    const swell = new Tone.Volume(0);
+    // Soft pedal → a duller timbre
+    const softFilter = new Tone.Filter({ type: 'lowpass', frequency: OPEN_CUTOFF });
+    vibrato.chain(pitchShift, swell, softFilter, Tone.getDestination());
+    expressionNodesRef.current = { vibrato, pitchShift, swell, softFilter };
+
     // 1) Create a 16-voice fallback synth so users can play immediately.
     const fallbackSynth = new Tone.PolySynth(Tone.Synth, {
       maxPolyphony: 16,
       oscillator: { type: "triangle" },
       envelope: { attack: 0.02, decay: 0.4, sustain: 0.4, release: 1 }
-    }).toDestination();
+    }).connect(vibrato);
     fallbackSynth.volume.value = -16;
 
     // Set as the current instrument.
@@ -697,7 +966,7 @@ function MusicolourApp() {
         }
         pianoRef.current = sampler;
       }
-    }).toDestination();
+    }).connect(vibrato);
 
     // Clean-up: dispose whichever instrument is active on unmount.
     return () => {
@@ -707,6 +976,8 @@ function MusicolourApp() {
       // Ensure both are disposed in case the sampler never loaded.
       fallbackSynth.dispose();
       sampler.dispose();
+      expressionNodesRef.current = null;
+      [vibrato, pitchShift, swell, softFilter].forEach(node => node.dispose());
     };
   }, []);
 
@@ -787,152 +1058,351 @@ function MusicolourApp() {
         openMidiFileDialog(event);
         return;
       }
+
+      // MIDI input devices with Shift + I
+      if (event.code === 'KeyI' && event.shiftKey) {
+        setShowMidiDevices(prev => !prev);
+        return;
+      }
+
+      // Recent MIDI files with Shift + O
+      if (event.code === 'KeyO' && event.shiftKey) {
+        setShowRecentFiles(prev => !prev);
+        return;
+      }
+
+      // Start/stop session recording with Shift + R
+      if (event.code === 'KeyR' && event.shiftKey) {
+        recorderRef.current.toggle();
+        return;
+      }
+
+      // Sustain pedal for as long as the sustain key is held
+      if (event.code === SUSTAIN_KEY) {
+        event.preventDefault();
+        if (!event.repeat) setSustainKey(true);
+        return;
+      }
       
       const key = PIANO_KEYS.find(k => k.keyCode === event.code);
-      if (key && !pressedKeys.has(key.note)) {
-        handleKeyPress(key);
+      if (key && !pressedKeysRef.current.has(key.note)) {
+        handleKeyPress(key, null, SOURCES.QWERTY);
       }
     };
 
     const handleKeyUp = (event) => {
+      if (event.code === SUSTAIN_KEY) {
+        event.preventDefault();
+        setSustainKey(false);
+        return;
+      }
       const key = PIANO_KEYS.find(k => k.keyCode === event.code);
       if (key) {
-        handleKeyRelease(key);
+        releaseLiveKey(key, SOURCES.QWERTY);
       }
     };
 
+    // The key-up never arrives once the window has lost focus
+    const handleBlur = () => setSustainKey(false);
+
     window.addEventListener('keydown', handleKeyDown);
     window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
 
     return () => {
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
     };
   });
 
 
 
   // New musicality-based update system
-  const updateSystemExcitement = useCallback((noteIndex, velocity = 0.5) => {
-    const timestamp = Date.now();
+  const updateSystemExcitement = useCallback((midiNote, velocity = 0.5, timestamp = engineClockRef.current.now()) => {
     
     // Process note through musicality engine
-    const musicalityResult = musicalityEngineRef.current.processNote(noteIndex, timestamp, velocity);
+    const musicalityResult = musicalityEngineRef.current.processNote(midiNote, timestamp, velocity);
     
-    // console.log('Update system excitement:', {
-    //   noteIndex,
-    //   musicalityResult,
-    //   currentExcitement: systemState.excitement,
-    //   timestamp
-    // });
-    
-    setSystemState(prev => {
-      // Add excitement based on musicality
-      const excitementIncrease = musicalityResult.excitement;
-      const newExcitement = Math.max(0, Math.min(1, prev.excitement + excitementIncrease));
-      
-      // console.log('State update:', {
-      //   prevExcitement: prev.excitement,
-      //   excitementIncrease,
-      //   newExcitement,
-      //   musicalityScore: musicalityResult.score
-      // });
-      
-      return {
-        ...prev,
-        excitement: newExcitement,
-        lastKeyPressTime: timestamp,
-        musicalityScore: musicalityResult.score,
-        musicalityMetrics: musicalityResult.metrics
-      };
-    });
+    // Add excitement based on musicality (the model fades it between notes)
+    excitementModelRef.current.update(musicalityResult.excitement, timestamp);
+
+    setSystemState(prev => ({
+      ...prev,
+      lastKeyPressTime: timestamp,
+      musicalityScore: musicalityResult.score,
+      musicalityMetrics: musicalityResult.metrics,
+      scaleContext: musicalityResult.scaleContext,
+      harmonicContext: musicalityResult.harmonicContext,
+      beat: musicalityResult.beat,
+      attention: musicalityResult.attention
+    }));
+
+    return musicalityResult;
   }, []);
 
-  // Simple decay system
+  // ---------------- CONTINUOUS EXPRESSION ----------------
+  // Pitch bend, mod wheel and aftertouch shape the instrument at once, feed
+  // the engine's expressiveness metric and stir the fluid. Controllers send
+  // these in floods, so visuals and panels catch up once per animation frame.
+  const expressionStateRef = useRef(new ExpressionState());
+  const expressionFrameRef = useRef(null);
+  const lastPressureSplatRef = useRef(0);
+
+  const applyInstrumentExpression = ({ pitchBend, modulation, aftertouch }) => {
+    const nodes = expressionNodesRef.current;
+    if (!nodes) return;
+    nodes.pitchShift.pitch = pitchBend * BEND_RANGE;
+    nodes.pitchShift.wet.value = pitchBend === 0 ? 0 : 1;
+    nodes.vibrato.depth.value = modulation * 0.5;
+    nodes.swell.volume.rampTo(aftertouch * 6, 0.05); // up to +6 dB
+  };
+
+  const renderExpressionFrame = () => {
+    expressionFrameRef.current = null;
+    const { pitchBend, modulation, aftertouch } = expressionStateRef.current.values;
+    const fluid = fluidCanvasRef.current;
+    if (fluid) {
+      fluid.swirl(pitchBend);
+      fluid.setTurbulence(modulation);
+      const now = runtimeRef.current.clock.now();
+      if (aftertouch > 0.1 && now - lastPressureSplatRef.current > 120) {
+        lastPressureSplatRef.current = now;
+        fluid.triggerSplat(excitementModelRef.current.value, aftertouch);
+      }
+    }
+    const engine = musicalityEngineRef.current;
+    setSystemState(prev => ({
+      ...prev,
+      musicalityScore: engine.musicalityScore,
+      musicalityMetrics: { ...engine.metrics }
+    }));
+  };
+
+  // change: decoded by decodeExpression
+  const handleExpression = (change) => {
+    const value = expressionStateRef.current.apply(change);
+    applyInstrumentExpression(expressionStateRef.current.values);
+    musicalityEngineRef.current.processExpression(change.type, value, engineClockRef.current.now());
+    if (expressionFrameRef.current === null) {
+      expressionFrameRef.current = requestAnimationFrame(renderExpressionFrame);
+    }
+  };
+
+  // Everything above works through refs, so the MIDI listeners can keep
+  // calling the first render's handler
+  const handleExpressionRef = useRef(handleExpression);
+
+  useEffect(() => () => {
+    if (expressionFrameRef.current !== null) cancelAnimationFrame(expressionFrameRef.current);
+  }, []);
+
+  // ---------------- RESPONSE VOICE ----------------
+  // In respond mode the machine answers each phrase the player finishes with
+  // a short phrase of its own, on its own voice and painted from the top of
+  // the screen. Only live playing is answered, and the answer is neither
+  // heard by the engine nor recorded.
+  const [responseMode, setResponseMode] = useState(() => localStorage.getItem(RESPONSE_MODE_KEY) === 'true');
+  const responseModeRef = useRef(responseMode);
+  const [responseStrategy, setResponseStrategy] = useState(null); // of the latest answer
+  const responseSynthRef = useRef(null);
+  const responseRef = useRef({ phraseTimer: null, timers: [] });
+  const autoPlayingRef = useRef(false);
+
   useEffect(() => {
-    const decayInterval = setInterval(() => {
-      setSystemState(prev => {
-        // Decay rate: 0.002 per second, but we're running at 60 FPS
-        const decayRatePerSecond = 0.002;
-        const decayRatePerFrame = decayRatePerSecond / 60; // Divide by FPS
-        const newExcitement = Math.max(0, prev.excitement - decayRatePerFrame);
-        
-        return {
-          ...prev,
-          excitement: newExcitement
-        };
+    const synth = new Tone.PolySynth(Tone.FMSynth, {
+      harmonicity: 2,
+      modulationIndex: 4,
+      envelope: { attack: 0.01, decay: 0.3, sustain: 0.3, release: 0.8 }
+    }).toDestination();
+    synth.volume.value = -18;
+    responseSynthRef.current = synth;
+    const response = responseRef.current;
+    return () => {
+      clearTimeout(response.phraseTimer);
+      response.timers.forEach(clearTimeout);
+      responseSynthRef.current = null;
+      synth.dispose();
+    };
+  }, []);
+
+  // Silence that ends a phrase: longer at slow tempos
+  const phraseGap = () => {
+    const { period } = musicalityEngineRef.current.beatTracker;
+    return period ? period * PHRASE_GAP_BEATS : PHRASE_GAP;
+  };
+
+  // Drop a pending answer and stop one being played
+  const cancelResponse = () => {
+    const response = responseRef.current;
+    clearTimeout(response.phraseTimer);
+    response.phraseTimer = null;
+    response.timers.forEach(clearTimeout);
+    response.timers = [];
+    responseSynthRef.current?.releaseAll();
+  };
+
+  const respond = () => {
+    const response = responseRef.current;
+    response.phraseTimer = null;
+    const engine = musicalityEngineRef.current;
+    const synth = responseSynthRef.current;
+    // Files, takes and songs play on undisturbed
+    const busy = midiPlayerRef.current?.playing || playerRef.current?.playing || autoPlayingRef.current;
+    if (!synth || busy || engine.heldNotes.size > 0) return;
+
+    const phrase = phraseFromHistory(engine, phraseGap());
+    if (phrase.length < MIN_PHRASE_NOTES) return;
+    const random = runtimeRef.current.random;
+    const strategy = chooseStrategy(excitementModelRef.current.value, random);
+    const { notes } = generateResponse(phrase, { scaleContext: engine.scaleContext, strategy, random });
+    setResponseStrategy(strategy);
+    response.timers = notes.map(({ note, time, duration, velocity }) => setTimeout(() => {
+      synth.triggerAttackRelease(PIANO_KEYS[note].note, duration / 1000, undefined, velocity);
+      fluidCanvasRef.current?.streamSplat({
+        x: Math.max(0, Math.min(1, (note - 21) / 87)),
+        y: 0.9,
+        dy: -300,
+        hue: (note % 12) / 12,
+        excitementLevel: excitementModelRef.current.value,
+        intensity: velocity
       });
-    }, 16); // 60 FPS
+    }, time));
+  };
 
-    return () => clearInterval(decayInterval);
-  }, []);
+  // A live note was released: once nothing is held the phrase may be over
+  const awaitPhraseEnd = () => {
+    if (!responseModeRef.current || musicalityEngineRef.current.heldNotes.size > 0) return;
+    clearTimeout(responseRef.current.phraseTimer);
+    responseRef.current.phraseTimer = setTimeout(respond, phraseGap());
+  };
+
+  // These work through refs, so the key handlers can keep the first render's
+  const cancelResponseRef = useRef(cancelResponse);
+  const awaitPhraseEndRef = useRef(awaitPhraseEnd);
+
+  const selectResponseMode = (enabled) => {
+    cancelResponse();
+    responseModeRef.current = enabled;
+    setResponseMode(enabled);
+    localStorage.setItem(RESPONSE_MODE_KEY, String(enabled));
+  };
+
+  // Engine time for a note scheduled at `audioTime` on the audio clock
+  // (Transport callbacks run slightly ahead of the sound)
+  const engineTimeAt = (audioTime) => {
+    const now = engineClockRef.current.now();
+    return audioTime === undefined ? now : now + Math.max(0, (audioTime - Tone.immediate()) * 1000);
+  };
 
-  const handleKeyPress = useCallback(async (key, midiVelocity = null, fromMidiFile = false) => {
-    if (pressedKeys.has(key.note)) return;
+  // Timestamp for MIDI output about the same note (undefined: send now)
+  const midiTimeAt = (audioTime) => (
+    audioTime === undefined ? undefined : performance.now() + Math.max(0, (audioTime - Tone.immediate()) * 1000)
+  );
+
+  const handleKeyPress = useCallback((key, midiVelocity = null, source = SOURCES.MOUSE, audioTime) => {
+    const live = PEDAL_SOURCES.has(source);
+    if (live) pedalsRef.current.press(key.note);
+    if (pressedKeysRef.current.has(key.note) || pendingPressesRef.current.has(key.note)) return;
+    // Any new note interrupts the machine's answer
+    cancelResponseRef.current();
     
     // Stop any MIDI file playback when user plays manually (not from MIDI file itself)
-    if (!fromMidiFile && window.midiFileCleanup && window.midiFileCleanup.length > 0) {
+    if (source !== SOURCES.FILE && source !== SOURCES.REPLAY && midiPlayerRef.current?.playing) {
       console.log('Stopping MIDI file playback due to manual key press');
-      window.midiFileCleanup.forEach(cleanup => cleanup());
-      window.midiFileCleanup = [];
+      midiPlayerRef.current.stop();
     }
+
+    // The first live press starts audio and plays once it runs (unless let go
+    // by then). File and replay notes never wait: the transport runs a window
+    // of events in one task, so a short note's release can follow straight after.
+    if (live && Tone.getContext().state !== 'running') {
+      pendingPressesRef.current.add(key.note);
+      startAudio().then(() => {
+        if (pendingPressesRef.current.delete(key.note)) handleKeyPressRef.current(key, midiVelocity, source, audioTime);
+      });
+      return;
+    }
+
+    pressedKeysRef.current.add(key.note);
+    setPressedKeys(new Set(pressedKeysRef.current));
+    setAutoRange(prev => fitRange(prev, key.midi));
     
-    // Start audio on first interaction
-    await startAudio();
-    
-    setPressedKeys(prev => new Set([...prev, key.note]));
-    
-    if (pianoRef.current) {
-      pianoRef.current.triggerAttack(key.note);
+    // The soft pedal plays live notes quieter
+    const softScale = live ? pedalsRef.current.velocityScale : 1;
+
+    // MPE notes sound on their own voices instead
+    if (pianoRef.current && source !== SOURCES.MPE) {
+      pianoRef.current.triggerAttack(key.note, audioTime, softScale);
     }
 
-    const noteIndex = PIANO_KEYS.findIndex(k => k.note === key.note);
-    const velocity = midiVelocity || (0.5 + Math.random() * 0.5); // Use MIDI velocity if available, otherwise simulate
+    const velocity = (midiVelocity || runtimeRef.current.random.range(0.5, 1)) * softScale; // Use MIDI velocity if available, otherwise simulate
+    midiOutputRef.current.noteOn(key.midi, velocity, midiTimeAt(audioTime));
     
     // Update system with Pask's adaptive algorithm first
-    updateSystemExcitement(noteIndex, velocity);
+    const reaction = updateSystemExcitement(key.midi, velocity, engineTimeAt(audioTime));
+    if (source !== SOURCES.REPLAY) {
+      recorderRef.current.recordNoteOn(key.midi, velocity, source, {
+        score: reaction.score,
+        metrics: reaction.metrics,
+        excitement: excitementModelRef.current.value
+      });
+    }
     
     // Trigger fluid splats based on excitement level
     if (fluidCanvasRef.current) {
-      const currentState = systemStateRef.current;
+      const currentExcitement = excitementModelRef.current.value;
       
       // Determine number of splats based on excitement level
       let numSplats = 1;
-      if (currentState.excitement > 0.9) {
+      if (currentExcitement > 0.9) {
         numSplats = 8;
-      } else if (currentState.excitement > 0.75) {
+      } else if (currentExcitement > 0.75) {
         numSplats = 4;
-      } else if (currentState.excitement > 0.5) {
+      } else if (currentExcitement > 0.5) {
         numSplats = 3;
-      } else if (currentState.excitement > 0.25) {
+      } else if (currentExcitement > 0.25) {
         numSplats = 2;
       }
       
       // console.log('Triggering splats:', {
-      //   excitement: currentState.excitement,
+      //   excitement: currentExcitement,
       //   numSplats,
-      //   musicalityScore: currentState.musicalityScore
+      //   musicalityScore: systemStateRef.current.musicalityScore
       // });
       
       // Trigger multiple splats
       for (let i = 0; i < numSplats; i++) {
-        fluidCanvasRef.current.triggerSplat(currentState.excitement);
+        fluidCanvasRef.current.triggerSplat(currentExcitement, 1 + expressionStateRef.current.values.aftertouch);
       }
     } else {
       console.warn('fluidCanvasRef.current is null');
     }
-  }, [pressedKeys, updateSystemExcitement, startAudio]);
+  }, [updateSystemExcitement, startAudio]);
 
-  const handleKeyRelease = useCallback((key) => {
-    setPressedKeys(prev => {
-      const newSet = new Set(prev);
-      newSet.delete(key.note);
-      return newSet;
-    });
+  const handleKeyRelease = useCallback((key, source = SOURCES.MOUSE, audioTime) => {
+    if (pendingPressesRef.current.delete(key.note)) return; // let go before audio started
+    pressedKeysRef.current.delete(key.note);
+    setPressedKeys(new Set(pressedKeysRef.current));
     
-    if (pianoRef.current) {
-      pianoRef.current.triggerRelease(key.note);
+    if (pianoRef.current && source !== SOURCES.MPE) {
+      // Under a half pedal, live notes ring on a while before the dampers stop them
+      const ring = PEDAL_SOURCES.has(source) ? pedalsRef.current.ringTime : 0;
+      pianoRef.current.triggerRelease(key.note, ring > 0 ? Tone.immediate() + ring : audioTime);
     }
+    midiOutputRef.current.noteOff(key.midi, midiTimeAt(audioTime));
+
+    // Let the engine see how long the note was held
+    const result = musicalityEngineRef.current.processNoteOff(key.midi, engineTimeAt(audioTime));
+    if (result) {
+      if (source !== SOURCES.REPLAY) recorderRef.current.recordNoteOff(key.midi, source, result);
+      setSystemState(prev => ({
+        ...prev,
+        musicalityScore: result.score,
+        musicalityMetrics: result.metrics
+      }));
+    }
+    if (PEDAL_SOURCES.has(source)) awaitPhraseEndRef.current();
   }, []);
 
   // Hold latest handler references so MIDI listeners remain valid
@@ -948,6 +1418,359 @@ function MusicolourApp() {
     handleKeyReleaseRef.current = handleKeyRelease;
   }, [handleKeyRelease]);
 
+  // Key-up of a live note; a pedal may hold it until lifted
+  const releaseLiveKey = (key, source) => {
+    if (pedalsRef.current.release(key.note, source) && handleKeyReleaseRef.current) {
+      handleKeyReleaseRef.current(key, source);
+    }
+  };
+
+  // A pedal moved (raw controller value); false for other controllers
+  const applyPedal = (controller, value, source) => {
+    const released = pedalsRef.current.controlChange(controller, value);
+    if (released === null) return false;
+    recorderRef.current.recordControlChange(controller, value, source);
+    midiOutputRef.current.controlChange(controller, value);
+    released.forEach(([note, noteSource]) => {
+      // MPE voices held by the pedal
+      mpeSustainedRef.current.forEach((name, id) => {
+        if (name === note) releaseMpeVoice(id);
+      });
+      if (handleKeyReleaseRef.current) handleKeyReleaseRef.current(KEY_BY_NOTE.get(note), noteSource);
+    });
+    const nodes = expressionNodesRef.current;
+    if (nodes) nodes.softFilter.frequency.rampTo(pedalsRef.current.soft ? SOFT_CUTOFF : OPEN_CUTOFF, 0.05);
+    setPedals(pedalsRef.current.snapshot());
+    return true;
+  };
+
+  // Works through refs, so the MIDI listeners can keep the first render's
+  const applyPedalRef = useRef(applyPedal);
+
+  // The QWERTY sustain key is a plain on/off pedal
+  const sustainKeyDownRef = useRef(false);
+  const setSustainKey = (down) => {
+    if (sustainKeyDownRef.current === down) return;
+    sustainKeyDownRef.current = down;
+    applyPedal(SUSTAIN_CC, down ? 127 : 0, SOURCES.QWERTY);
+  };
+
+  // ---------------- MPE ----------------
+  // In MPE mode every note of the controller sits on its own member channel
+  // and sounds on its own voice, bending, swelling and brightening by
+  // itself, and streams its own dye while held. The engine still hears the
+  // notes, plus a summary of their expression for its expressiveness metric.
+  const [mpeMode, setMpeMode] = useState(() => localStorage.getItem(MPE_MODE_KEY) === 'true');
+  const mpeModeRef = useRef(mpeMode);
+  const mpeTrackerRef = useRef(new MpeTracker());
+  const [mpeZones, setMpeZones] = useState(mpeTrackerRef.current.zones);
+  const mpeSynthRef = useRef(null);
+  const mpeSustainedRef = useRef(new Map()); // note id → note name, for voices a pedal holds
+  const mpeSummaryRef = useRef(mpeTrackerRef.current.summary());
+  const mpeStreamRef = useRef({ frame: null, last: 0, dirty: false, x: new Map() });
+
+  useEffect(() => {
+    const synth = new MpeSynth();
+    const stream = mpeStreamRef.current;
+    mpeSynthRef.current = synth;
+    return () => {
+      if (stream.frame !== null) cancelAnimationFrame(stream.frame);
+      mpeSynthRef.current = null;
+      synth.dispose();
+    };
+  }, []);
+
+  // Each held note paints from where it sounds: pitch across the screen
+  // (A0 left, C8 right), timbre up it, pressure pushing the dye upwards.
+  // Steps are spaced MPE_STREAM_INTERVAL apart whatever the frame rate.
+  const streamMpeNotes = () => {
+    const stream = mpeStreamRef.current;
+    stream.frame = null;
+    const tracker = mpeTrackerRef.current;
+    const notes = tracker.heldNotes;
+    if (notes.length === 0) return;
+
+    const now = runtimeRef.current.clock.now();
+    if (now - stream.last >= MPE_STREAM_INTERVAL) {
+      stream.last = now;
+      const fluid = fluidCanvasRef.current;
+      notes.forEach(note => {
+        const x = Math.max(0, Math.min(1, (tracker.pitchOf(note) - 21) / 87));
+        const prevX = stream.x.get(note.id) ?? x;
+        stream.x.set(note.id, x);
+        if (fluid) {
+          fluid.streamSplat({
+            x,
+            y: 0.15 + 0.7 * note.timbre,
+            dx: (x - prevX) * 20000, // a slide drags the dye along
+            dy: 150 + 600 * note.pressure,
+            hue: (note.note % 12) / 12,
+            excitementLevel: excitementModelRef.current.value,
+            intensity: note.pressure
+          });
+        }
+      });
+      if (stream.dirty) {
+        stream.dirty = false;
+        const engine = musicalityEngineRef.current;
+        setSystemState(prev => ({
+          ...prev,
+          musicalityScore: engine.musicalityScore,
+          musicalityMetrics: { ...engine.metrics }
+        }));
+      }
+    }
+    stream.frame = requestAnimationFrame(streamMpeNotes);
+  };
+
+  const releaseMpeVoice = (id) => {
+    mpeSustainedRef.current.delete(id);
+    mpeStreamRef.current.x.delete(id);
+    if (mpeSynthRef.current) mpeSynthRef.current.noteOff(id);
+  };
+
+  // The key goes up once no other channel still holds the same pitch
+  const releaseMpeKey = (pitch) => {
+    if (mpeTrackerRef.current.heldNotes.some(n => n.note === pitch)) return;
+    releaseLiveKey(PIANO_KEYS[pitch], SOURCES.MPE);
+  };
+
+  // Raw message from midiMessageHandler; false when it is not MPE business
+  // (e.g. the sustain pedal) and should take the usual path
+  const handleMpeMessage = (status, data1, data2) => {
+    const tracker = mpeTrackerRef.current;
+    const before = tracker.heldNotes;
+    const change = tracker.handle(status, data1, data2);
+    if (!change) return false;
+    const synth = mpeSynthRef.current;
+    const masterBend = note => tracker.masterBend[note.zone];
+
+    if (change.type === 'noteOn') {
+      const { note } = change;
+      mpeSustainedRef.current.delete(note.id);
+      if (synth) synth.noteOn({ ...note, velocity: note.velocity * pedalsRef.current.velocityScale }, masterBend(note));
+      if (handleKeyPressRef.current) handleKeyPressRef.current(PIANO_KEYS[note.note], note.velocity, SOURCES.MPE);
+      if (mpeStreamRef.current.frame === null) {
+        mpeStreamRef.current.frame = requestAnimationFrame(streamMpeNotes);
+      }
+    } else if (change.type === 'noteOff') {
+      const { note } = change;
+      mpeStreamRef.current.x.delete(note.id);
+      // A pedal keeps the voice ringing, not the note's stream
+      const name = PIANO_KEYS[note.note].note;
+      if (pedalsRef.current.held.has(name) && pedalsRef.current.holds(name)) mpeSustainedRef.current.set(note.id, name);
+      else releaseMpeVoice(note.id);
+      releaseMpeKey(note.note);
+    } else if (change.type === 'update') {
+      if (synth) change.notes.forEach(note => synth.update(note, masterBend(note)));
+      const summary = tracker.summary();
+      const now = engineClockRef.current.now();
+      Object.entries(summary).forEach(([type, value]) => {
+        if (value !== mpeSummaryRef.current[type]) musicalityEngineRef.current.processExpression(type, value, now);
+      });
+      mpeSummaryRef.current = summary;
+      mpeStreamRef.current.dirty = true;
+    } else if (change.type === 'zone') {
+      // A new layout drops every held note
+      before.forEach(note => {
+        releaseMpeVoice(note.id);
+        releaseMpeKey(note.note);
+      });
+      setMpeZones(change.zones);
+    }
+    return true;
+  };
+
+  // Works through refs, like handleExpression
+  const handleMpeMessageRef = useRef(handleMpeMessage);
+
+  // Let go of every MPE note and voice (mode switch, unplugged controller)
+  const releaseMpeNotes = () => {
+    const tracker = mpeTrackerRef.current;
+    const pitches = new Set(tracker.heldNotes.map(n => n.note));
+    tracker.notes.clear();
+    if (mpeSynthRef.current) mpeSynthRef.current.releaseAll();
+    mpeSustainedRef.current.clear();
+    mpeStreamRef.current.x.clear();
+    pitches.forEach(pitch => {
+      pedalsRef.current.forget(PIANO_KEYS[pitch].note);
+      if (handleKeyReleaseRef.current) handleKeyReleaseRef.current(PIANO_KEYS[pitch], SOURCES.MPE);
+    });
+  };
+
+  const selectMpeMode = (enabled) => {
+    releaseMpeNotes();
+    Array.from(midiAccessRef.current?.inputs.values() || []).forEach(releaseMidiInput);
+    mpeModeRef.current = enabled;
+    setMpeMode(enabled);
+    localStorage.setItem(MPE_MODE_KEY, String(enabled));
+  };
+
+  // ---------------- SESSION REPLAY ----------------
+  // A recorded take is played back through handleKeyPress/handleKeyRelease.
+  // Seeking rebuilds the engine silently from the events before the new
+  // position, so the machine reacts from there as it did during the take.
+  const replayHeldRef = useRef(new Set()); // MIDI pitches the replay is holding
+  const [replay, setReplay] = useState({ visible: false, playing: false, position: 0, duration: 0, speed: 1, events: [] });
+
+  const releaseReplayNotes = () => {
+    replayHeldRef.current.forEach(midi => {
+      const key = PIANO_KEYS.find(k => k.midi === midi);
+      if (!key) return;
+      pedalsRef.current.forget(key.note);
+      if (handleKeyReleaseRef.current) handleKeyReleaseRef.current(key, SOURCES.REPLAY);
+    });
+    replayHeldRef.current.clear();
+    // Released notes the take's pedals were still holding
+    pedalsRef.current.deferred.forEach((source, note) => {
+      if (source !== SOURCES.REPLAY) return;
+      pedalsRef.current.forget(note);
+      if (handleKeyReleaseRef.current) handleKeyReleaseRef.current(KEY_BY_NOTE.get(note), SOURCES.REPLAY);
+    });
+  };
+
+  // Put the pedals the take uses where it had them after `past` (up before
+  // their first change)
+  const restoreReplayPedals = (past) => {
+    const { events } = playerRef.current;
+    PEDAL_CCS.forEach(controller => {
+      if (!events.some(e => e.type === 'controlChange' && e.controller === controller)) return;
+      const last = past.filter(e => e.type === 'controlChange' && e.controller === controller).at(-1);
+      applyPedalRef.current(controller, last ? last.value : 0, SOURCES.REPLAY);
+    });
+  };
+
+  if (!playerRef.current) {
+    playerRef.current = new SessionPlayer({
+      clock: runtimeRef.current.clock,
+      onEvent: (event) => {
+        // Pedals go through the same path as live controller input
+        if (event.type === 'controlChange') {
+          applyPedalRef.current(event.controller, event.value, SOURCES.REPLAY);
+          return;
+        }
+        const key = PIANO_KEYS.find(k => k.midi === event.note);
+        if (!key) return;
+        if (event.type === 'noteOn' && handleKeyPressRef.current) {
+          replayHeldRef.current.add(event.note);
+          pedalsRef.current.press(key.note);
+          handleKeyPressRef.current(key, event.velocity, SOURCES.REPLAY);
+        } else if (event.type === 'noteOff' && replayHeldRef.current.has(event.note)) {
+          replayHeldRef.current.delete(event.note);
+          // Deferred while the take's pedal holds it
+          if (pedalsRef.current.release(key.note, SOURCES.REPLAY)) handleKeyReleaseRef.current(key, SOURCES.REPLAY);
+        }
+      },
+      onSeek: (position, past) => {
+        releaseReplayNotes();
+        restoreReplayPedals(past);
+        const engine = musicalityEngineRef.current;
+        engine.reset();
+        past.forEach(event => {
+          if (event.type === 'noteOn') engine.processNote(event.note, event.time, event.velocity);
+          else if (event.type === 'noteOff') engine.processNoteOff(event.note, event.time);
+        });
+        const lastExcitement = past.filter(e => typeof e.excitement === 'number').at(-1);
+        excitementModelRef.current.set(lastExcitement ? lastExcitement.excitement : 0, position);
+        setSystemState(prev => ({
+          ...prev,
+          musicalityScore: engine.musicalityScore,
+          musicalityMetrics: { ...engine.metrics },
+          scaleContext: engine.scaleContext,
+          harmonicContext: engine.harmonicContext,
+          beat: engine.beat
+        }));
+      },
+      onEnd: releaseReplayNotes
+    });
+  }
+
+  useEffect(() => {
+    return playerRef.current.subscribe(player => {
+      setReplay(prev => ({
+        ...prev,
+        playing: player.playing,
+        position: player.position,
+        duration: player.duration,
+        speed: player.speed
+      }));
+    });
+  }, []);
+
+  // Move the playhead while playing
+  useEffect(() => {
+    if (!replay.playing) return;
+    const id = setInterval(() => {
+      setReplay(prev => ({ ...prev, position: playerRef.current.position }));
+    }, 100);
+    return () => clearInterval(id);
+  }, [replay.playing]);
+
+  const startReplay = () => {
+    const recorder = recorderRef.current;
+    recorder.stop();
+    if (recorder.events.length === 0) return;
+    const session = recorder.toJSON();
+    playerRef.current.load(session);
+    replayOpenRef.current = true;
+    excitementModelRef.current.reanchor();
+    setReplay(prev => ({ ...prev, visible: true, events: session.events }));
+    playerRef.current.seek(0);
+    playerRef.current.play();
+  };
+
+  const closeReplay = () => {
+    playerRef.current.pause();
+    releaseReplayNotes();
+    restoreReplayPedals([]);
+    replayOpenRef.current = false;
+    excitementModelRef.current.reanchor();
+    setReplay(prev => ({ ...prev, visible: false }));
+  };
+
+  // Device list for the status toast and devices panel
+  const refreshMidiDevices = () => {
+    const access = midiAccessRef.current;
+    const devices = access ? midiRouterRef.current.describe(access.inputs.values()) : [];
+    setMidiDevices(devices);
+    setMidiEnabled(devices.length > 0);
+    return devices;
+  };
+
+  const releaseMidiInput = (port) => {
+    const held = midiHeldRef.current.get(deviceKey(port));
+    if (!held) return;
+    held.forEach(midi => {
+      const key = PIANO_KEYS.find(k => k.midi === midi);
+      if (!key) return;
+      pedalsRef.current.forget(key.note);
+      if (handleKeyReleaseRef.current) handleKeyReleaseRef.current(key, SOURCES.MIDI);
+    });
+    held.clear();
+  };
+
+  // Settings changes from the devices panel
+  const updateMidiDevice = (id, changes) => {
+    const port = midiAccessRef.current?.inputs.get(id);
+    if (!port) return;
+    releaseMidiInput(port);
+    if ('enabled' in changes) midiRouterRef.current.setEnabled(port, changes.enabled);
+    if ('channel' in changes) midiRouterRef.current.setChannel(port, changes.channel);
+  };
+
+  // Settings changes from the output section of the devices panel
+  const updateMidiOutput = (changes) => {
+    const output = midiOutputRef.current;
+    if ('port' in changes) {
+      output.setPort(changes.port === NO_OUTPUT ? null : midiAccessRef.current?.outputs.get(changes.port));
+    }
+    if ('channel' in changes) output.setChannel(changes.channel);
+    if ('thru' in changes) output.update({ thru: changes.thru });
+    if ('state' in changes) output.update({ state: changes.state });
+    if ('clock' in changes) output.update({ clock: changes.clock });
+    if ('cc' in changes) output.setStateCC(changes.cc.name, changes.cc.controller);
+  };
+
   // Initialize MIDI
   useEffect(() => {
     const initMIDI = async () => {
@@ -957,20 +1780,32 @@ function MusicolourApp() {
           midiAccessRef.current = midiAccess;
           
           // Helper that we can attach to any MIDIInput
-          const midiMessageHandler = (event) => {
+          const midiMessageHandler = (event, input) => {
             const [status, data1, data2] = event.data; // data1: note or CC#, data2: velocity/value
+
+            // ---------------- MIDI CLOCK ----------------
+            if (status >= 0xF8) {
+              handleClockMessageRef.current(status, event.timeStamp);
+              return;
+            }
+
             const command = status & 0xF0;
+            const key = deviceKey(input);
+            if (!midiHeldRef.current.has(key)) midiHeldRef.current.set(key, new Set());
+            const held = midiHeldRef.current.get(key);
+
+            // ---------------- MPE ----------------
+            if (mpeModeRef.current && handleMpeMessageRef.current(status, data1, data2)) return;
 
             // ---------------- NOTE ON ----------------
             if (command === 0x90 && data2 > 0) {
               const noteName = getMidiKeyMapping(data1);
               if (noteName) {
-                // If this note was previously being sustained, remove it so we don't double-release later.
-                sustainedNotesRef.current.delete(noteName);
+                held.add(data1);
 
                 const key = PIANO_KEYS.find(k => k.note === noteName);
                 if (key && handleKeyPressRef.current) {
-                  handleKeyPressRef.current(key, data2 / 127); // velocity normalised 0-1
+                  handleKeyPressRef.current(key, data2 / 127, SOURCES.MIDI); // velocity normalised 0-1
                 }
               }
             }
@@ -978,45 +1813,45 @@ function MusicolourApp() {
             else if (command === 0x80 || (command === 0x90 && data2 === 0)) {
               const noteName = getMidiKeyMapping(data1);
               if (!noteName) return;
-
-              if (sustainActiveRef.current) {
-                // Defer release until pedal lifted
-                sustainedNotesRef.current.add(noteName);
-              } else {
-                const key = PIANO_KEYS.find(k => k.note === noteName);
-                if (key && handleKeyReleaseRef.current) {
-                  handleKeyReleaseRef.current(key);
-                }
+              held.delete(data1);
+              // A released key no longer presses (polyphonic aftertouch)
+              if (expressionStateRef.current.notePressure.has(data1)) {
+                handleExpressionRef.current({ type: EXPRESSION.AFTERTOUCH, value: 0, note: data1 });
               }
+
+              // Deferred while a pedal holds it
+              const key = PIANO_KEYS.find(k => k.note === noteName);
+              if (key) releaseLiveKey(key, SOURCES.MIDI);
             }
-            // ---------------- SUSTAIN PEDAL (CC 64) ----------------
-            else if (command === 0xB0 && data1 === 64) {
-              const pedalDown = data2 >= 64;
-              if (pedalDown) {
-                sustainActiveRef.current = true;
-              } else {
-                sustainActiveRef.current = false;
-                // Release all deferred notes
-                sustainedNotesRef.current.forEach((noteName) => {
-                  const key = PIANO_KEYS.find(k => k.note === noteName);
-                  if (key && handleKeyReleaseRef.current) {
-                    handleKeyReleaseRef.current(key);
-                  }
-                });
-                sustainedNotesRef.current.clear();
-              }
+            // ---------------- PEDALS (CC 64 / 66 / 67) ----------------
+            else if (command === 0xB0 && PEDAL_CCS.includes(data1)) {
+              applyPedalRef.current(data1, data2, SOURCES.MIDI);
+            }
+            // ---------------- PITCH BEND / MOD WHEEL / AFTERTOUCH ----------------
+            else {
+              const change = decodeExpression(status, data1, data2);
+              if (change) handleExpressionRef.current(change);
             }
           };
 
+          // Only inputs (and channels) enabled in the devices panel reach the
+          // engine; an MPE controller needs all its channels
+          const attachInput = (input) => {
+            input.onmidimessage = (event) => {
+              const router = midiRouterRef.current;
+              const accepted = mpeModeRef.current ? router.settingsFor(input).enabled : router.accepts(input, event.data[0]);
+              if (accepted) {
+                midiMessageHandler(event, input);
+              }
+            };
+          };
+
           // Get connected MIDI devices
-          const devices = [];
           for (const input of midiAccess.inputs.values()) {
-            devices.push(input.name);
-            input.onmidimessage = midiMessageHandler;
+            attachInput(input);
           }
-          
-          setMidiDevices(devices);
-          setMidiEnabled(devices.length > 0);
+          midiOutputRef.current.attach(midiAccess.outputs.values());
+          const devices = refreshMidiDevices();
           
           // Show MIDI status if devices found
           if (devices.length > 0) {
@@ -1037,18 +1872,21 @@ function MusicolourApp() {
           midiAccess.onstatechange = (event) => {
             console.log('MIDI device state changed:', event.port.name, event.port.state);
 
-            // If a new input is connected, attach the listener
-            if (event.port.type === 'input' && event.port.state === 'connected') {
-              const input = event.port;
-              if (input) {
-                input.onmidimessage = midiMessageHandler;
+            if (event.port.type === 'input') {
+              // A re-plugged input picks up its saved settings; an unplugged
+              // one lets go of whatever it was holding
+              if (event.port.state === 'connected') attachInput(event.port);
+              else {
+                releaseMidiInput(event.port);
+                releaseMpeNotes();
               }
             }
 
+            // The saved output comes back when re-plugged
+            if (event.port.type === 'output') midiOutputRef.current.attach(midiAccess.outputs.values());
+
             // Update device list & status
-            const devices = Array.from(midiAccess.inputs.values()).map(input => input.name);
-            setMidiDevices(devices);
-            setMidiEnabled(devices.length > 0);
+            refreshMidiDevices();
           };
         } else {
           console.log('Web MIDI API not supported');
@@ -1059,8 +1897,14 @@ function MusicolourApp() {
     };
     
     initMIDI();
+    const unsubscribeRouter = midiRouterRef.current.subscribe(refreshMidiDevices);
+    const output = midiOutputRef.current;
+    const unsubscribeOutput = output.subscribe(() => setMidiOutputVersion(v => v + 1));
     
     return () => {
+      unsubscribeRouter();
+      unsubscribeOutput();
+      output.allNotesOff();
       // Clean up MIDI listeners
       if (midiAccessRef.current) {
         for (const input of midiAccessRef.current.inputs.values()) {
@@ -1073,10 +1917,22 @@ function MusicolourApp() {
   // ---------------- AUTOPLAYER HOOK ----------------
   // Reuse existing handler refs declared later in the file
 
+  // While following a MIDI clock the autoplayer plays a note per beat, on the beat
+  const autoplayTimingRef = useRef(() => {
+    const clockIn = midiClockInRef.current;
+    const now = performance.now();
+    if (!clockSyncRef.current || !clockIn.period || !clockIn.alive(now)) return null;
+    // Just after a start the next tick is the downbeat
+    if (clockIn.count === 0) return { beatMs: clockIn.period, delay: 0 };
+    const sinceBeat = (now - clockIn.beatTime) % clockIn.period;
+    return { beatMs: clockIn.period, delay: clockIn.period - sinceBeat };
+  });
+
     const { autoPlaying, playSong, stopSong } = useAutoplayer(
     handleKeyPressRef,
     handleKeyReleaseRef,
-    PIANO_KEYS
+    PIANO_KEYS,
+    autoplayTimingRef
   );
   
   // Store playSong in a ref to avoid dependency issues
@@ -1085,6 +1941,16 @@ function MusicolourApp() {
     playSongRef.current = playSong;
   }, [playSong]);
 
+  useEffect(() => {
+    autoPlayingRef.current = autoPlaying;
+  }, [autoPlaying]);
+
+  // An external clock's start, continue and stop drive the autoplayer too
+  const stopSongRef = useRef(stopSong);
+  useEffect(() => {
+    stopSongRef.current = stopSong;
+  }, [stopSong]);
+
   // Show tutorial on load (only once)
   useEffect(() => {
     // Check if user has already seen the tutorial
@@ -1237,7 +2103,29 @@ function MusicolourApp() {
       </div>
       
       {/* Power Bar */}
-      <PowerBar excitement={systemState.excitement} />
+      <PowerBar excitement={excitement} />
+
+      {/* Session recorder */}
+      {(recording.active || recording.events > 0) && (
+        <div className="fixed left-1/2 transform -translate-x-1/2 top-4 bg-black bg-opacity-70 text-white px-3 py-2 rounded-lg z-30 text-xs font-mono flex items-center gap-3">
+          <div className={`w-2 h-2 rounded-full ${recording.active ? 'bg-red-500 animate-pulse' : 'bg-gray-500'}`}></div>
+          <span>{recording.active ? 'REC' : 'Take'} · {recording.events} events</span>
+          <button className="underline hover:text-red-300" onClick={() => recorderRef.current.toggle()}>
+            {recording.active ? 'stop' : 'record'}
+          </button>
+          {!recording.active && (
+            <>
+              <button className="underline hover:text-green-300" onClick={startReplay}>replay</button>
+              <button className="underline hover:text-blue-300" onClick={exportRecording}>export .mid</button>
+              <label className="flex items-center gap-1 text-gray-400 cursor-pointer" title="Add a track with excitement as CC 20">
+                <input type="checkbox" checked={exportExcitement} onChange={e => setExportExcitement(e.target.checked)} />
+                excitement
+              </label>
+              <button className="underline hover:text-gray-300" onClick={() => recorderRef.current.clear()}>clear</button>
+            </>
+          )}
+        </div>
+      )}
 
       {/* MIDI Status */}
       {midiEnabled && (
@@ -1250,7 +2138,7 @@ function MusicolourApp() {
           </div>
           {midiDevices.length > 0 && (
             <div className="text-gray-400 mt-1">
-              {midiDevices.join(', ')}
+              {midiDevices.filter(d => d.enabled).map(d => d.name).join(', ') || 'all inputs disabled'}
             </div>
           )}
         </div>
@@ -1261,9 +2149,33 @@ function MusicolourApp() {
         <div className={`fixed right-4 ${showMidiStatus ? 'top-24' : 'top-4'} bg-black bg-opacity-70 text-white p-4 rounded-lg z-30 text-xs font-mono transition-all duration-300`}>
           <h3 className="font-bold mb-2">Musicality Metrics</h3>
           <div>Score: {(systemState.musicalityScore || 0).toFixed(3)}</div>
-          {Object.entries(systemState.musicalityMetrics).map(([key, value]) => (
-            <div key={key}>{key}: {(value || 0).toFixed(3)}</div>
+          {systemState.scaleContext && (
+            <div>
+              Key: {NOTE_NAMES[systemState.scaleContext.tonic]} {systemState.scaleContext.mode} ({systemState.scaleContext.confidence.toFixed(2)})
+            </div>
+          )}
+          {systemState.beat?.tempo && (
+            <div>
+              Tempo: {systemState.beat.tempo.toFixed(0)} BPM · {systemState.beat.meter} beats/bar · beat {systemState.beat.barPosition + 1} · in time {(systemState.beat.alignment || 0).toFixed(2)}
+            </div>
+          )}
+          {systemState.harmonicContext && (
+            <div>
+              Chord: {systemState.harmonicContext.chord}
+              {systemState.harmonicContext.inversion > 0 && ` (inv ${systemState.harmonicContext.inversion})`}
+              {systemState.harmonicContext.progression && ` · ${systemState.harmonicContext.progression}`}
+              {systemState.harmonicContext.cadence && ` · ${systemState.harmonicContext.cadence} cadence`}
+            </div>
+          )}
+          {metricList.filter(m => m.enabled).map(({ name, label }) => (
+            <div key={name}>{label}: {(systemState.musicalityMetrics[name] || 0).toFixed(3)}</div>
           ))}
+          {systemState.attention && (
+            <div className="mt-1">
+              Attention: {Object.entries(systemState.attention).map(([channel, value]) => `${channel} ${value.toFixed(2)}`).join(' · ')}
+            </div>
+          )}
+          <div className="mt-1 text-gray-400">Seed: {runtimeRef.current.random.seed} (?seed= to replay)</div>
         </div>
       )}
 
@@ -1277,9 +2189,11 @@ function MusicolourApp() {
               IOI_WIN: { min: 4, max: 32, step: 1 },
               VEL_WIN: { min: 4, max: 32, step: 1 },
               CHORD_WINDOW: { min: 50, max: 1000, step: 50 },
-              EMA_ALPHA: { min: 0.01, max: 0.5, step: 0.01 },
+              HABITUATION: { min: 0.05, max: 0.8, step: 0.05 },
+              RECOVERY: { min: 2000, max: 120000, step: 1000 },
               BOOST_POS: { min: 0.01, max: 0.2, step: 0.005 },
-              BOOST_NEG: { min: 0.005, max: 0.1, step: 0.005 }
+              BOOST_NEG: { min: 0.005, max: 0.1, step: 0.005 },
+              DECAY: { min: 0, max: 0.02, step: 0.001 }
             }[key];
 
             if (!sliderProps) return null;
@@ -1290,9 +2204,11 @@ function MusicolourApp() {
               IOI_WIN: 'Note Timing Window',
               VEL_WIN: 'Velocity Window',
               CHORD_WINDOW: 'Chord Detection Time',
-              EMA_ALPHA: 'Smoothing Factor',
+              HABITUATION: 'Habituation',
+              RECOVERY: 'Recovery Time',
               BOOST_POS: 'Excitement Boost',
-              BOOST_NEG: 'Decay Rate'
+              BOOST_NEG: 'Boredom Penalty',
+              DECAY: 'Decay Rate'
             };
 
             // Tooltips explaining each parameter
@@ -1301,9 +2217,11 @@ function MusicolourApp() {
               IOI_WIN: 'Time window for rhythm detection',
               VEL_WIN: 'Sensitivity to volume changes',
               CHORD_WINDOW: 'Time to detect chords',
-              EMA_ALPHA: 'How quickly system adapts (lower=slower)',
+              HABITUATION: 'How quickly repeated registers, intervals, rhythms and dynamics stop interesting it',
+              RECOVERY: 'How long before something it tired of is fresh again',
               BOOST_POS: 'How much excitement increases',
-              BOOST_NEG: 'How fast excitement fades'
+              BOOST_NEG: 'How much excitement drops on notes it has heard enough of',
+              DECAY: 'How fast excitement fades (faster when bored)'
             };
 
             return (
@@ -1323,6 +2241,8 @@ function MusicolourApp() {
                   <span className="ml-2 text-right">
                     {(() => {
                       if (key === 'CHORD_WINDOW') return `${val}ms`;
+                      if (key === 'RECOVERY') return `${val / 1000}s`;
+                      if (key === 'DECAY') return `${val.toFixed(3)}/s`;
                       if (key === 'HISTORY') return `${val} notes`;
                       if (typeof val === 'number') return val.toFixed(2);
                       return val;
@@ -1338,7 +2258,7 @@ function MusicolourApp() {
                   step={sliderProps.step}
                   onChange={e => {
                     const num = parseFloat(e.target.value);
-                    if (['EMA_ALPHA', 'BOOST_POS', 'BOOST_NEG'].includes(key)) {
+                    if (['HABITUATION', 'BOOST_POS', 'BOOST_NEG', 'DECAY'].includes(key)) {
                       updateParam(key, num);
                     } else {
                       updateParam(key, Math.round(num));
@@ -1348,9 +2268,162 @@ function MusicolourApp() {
               </div>
             );
           })}
+
+          <h3 className="font-bold mb-2 text-sm mt-2 flex justify-between items-center">
+            <span>Metric Weights</span>
+            <button className="text-gray-400 hover:text-white font-normal" onClick={resetMetricWeights}>reset</button>
+          </h3>
+          {(() => {
+            const total = metricList.filter(m => m.enabled).reduce((s, m) => s + m.weight, 0);
+            return metricList.map(({ name, label, description, enabled, builtin, weight }) => (
+              <div key={name} className="mb-3">
+                <label className="flex items-center gap-2 mb-1 cursor-pointer" title={description}>
+                  <input
+                    type="checkbox"
+                    checked={enabled}
+                    onChange={e => toggleMetric(name, e.target.checked)}
+                  />
+                  <span>{label}</span>
+                  {!builtin && <span className="text-gray-500">(experimental)</span>}
+                  {enabled && (
+                    <span className="ml-auto">{total > 0 ? Math.round(weight / total * 100) : 0}%</span>
+                  )}
+                </label>
+                {enabled && (
+                  <input
+                    type="range"
+                    className="w-full"
+                    value={total > 0 ? weight / total : 0}
+                    min={0}
+                    max={1}
+                    step={0.01}
+                    onChange={e => updateMetricWeight(name, parseFloat(e.target.value))}
+                  />
+                )}
+              </div>
+            ));
+          })()}
+
+          <h3 className="font-bold mb-2 text-sm mt-2">Keyboard</h3>
+          <div className="flex gap-2 mb-2">
+            {Object.entries(KEYBOARD_RANGES).map(([size, { label }]) => (
+              <button
+                key={size}
+                className={`rounded px-2 py-1 ${size === keyboardRange ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+                onClick={() => selectKeyboardRange(size)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <h3 className="font-bold mb-2 text-sm mt-2">Response Voice</h3>
+          <label className="flex items-center gap-2 mb-2 cursor-pointer" title="Play a phrase back after each phrase you finish">
+            <input
+              type="checkbox"
+              checked={responseMode}
+              onChange={e => selectResponseMode(e.target.checked)}
+            />
+            <span>Answer phrases</span>
+            {responseMode && responseStrategy && <span className="text-gray-500">(last: {responseStrategy})</span>}
+          </label>
+
+          <h3 className="font-bold mb-2 text-sm mt-2">Engine Memory</h3>
+          <div className="grid grid-cols-2 gap-2 mb-2">
+            <button className="bg-gray-700 hover:bg-gray-600 rounded px-2 py-1" onClick={saveEngineState}>Save</button>
+            <button className="bg-gray-700 hover:bg-gray-600 rounded px-2 py-1" onClick={loadEngineState}>Restore</button>
+            <button className="bg-gray-700 hover:bg-gray-600 rounded px-2 py-1" onClick={downloadEngineState}>Download</button>
+            <button className="bg-gray-700 hover:bg-gray-600 rounded px-2 py-1" onClick={() => stateFileInputRef.current?.click()}>Open file</button>
+          </div>
+          <input
+            ref={stateFileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={openEngineStateFile}
+            style={{ display: 'none' }}
+          />
         </div>
       )}
 
+      {/* Replay Panel */}
+      <ReplayPanel
+        visible={replay.visible}
+        events={replay.events}
+        duration={replay.duration}
+        playing={replay.playing}
+        position={replay.position}
+        speed={replay.speed}
+        onPlay={() => playerRef.current.play()}
+        onPause={() => playerRef.current.pause()}
+        onStop={() => playerRef.current.stop()}
+        onSeek={position => playerRef.current.seek(position)}
+        onSpeed={speed => playerRef.current.setSpeed(speed)}
+        onClose={closeReplay}
+      />
+
+      {/* MIDI File Transport */}
+      <MidiTransportBar
+        visible={midiPlayback.loaded}
+        fileName={midiPlayback.fileName}
+        tracks={midiPlayback.tracks}
+        playing={midiPlayback.playing}
+        position={midiPlayback.position}
+        duration={midiPlayback.duration}
+        loop={midiPlayback.loop}
+        tempoScale={midiPlayback.tempoScale}
+        muted={midiPlayback.muted}
+        soloed={midiPlayback.soloed}
+        onPlay={async () => {
+          await startAudio();
+          midiPlayerRef.current.play();
+        }}
+        onPause={() => midiPlayerRef.current.pause()}
+        onStop={() => midiPlayerRef.current.stop()}
+        onSeek={position => midiPlayerRef.current.seek(position)}
+        onLoop={(start, end) => midiPlayerRef.current.setLoop(start, end)}
+        onTempo={scale => midiPlayerRef.current.setTempoScale(scale)}
+        onMute={(index, muted) => midiPlayerRef.current.setTrackMuted(index, muted)}
+        onSolo={(index, solo) => midiPlayerRef.current.setTrackSolo(index, solo)}
+        onOpen={() => fileInputRef.current?.click()}
+        onRecent={() => setShowRecentFiles(prev => !prev)}
+        onClose={() => midiPlayerRef.current.unload()}
+      />
+
+      {/* MIDI Devices */}
+      <MidiDevicesPanel
+        visible={showMidiDevices}
+        devices={midiDevices}
+        supported={Boolean(navigator.requestMIDIAccess)}
+        onChange={updateMidiDevice}
+        mpeMode={mpeMode}
+        mpeZones={mpeZones}
+        onMpeModeChange={selectMpeMode}
+        clockSync={clockSync}
+        clockInTempo={clockInTempo}
+        onClockSyncChange={selectClockSync}
+        output={showMidiDevices && midiOutputRef.current.describe(
+          midiAccessRef.current ? midiAccessRef.current.outputs.values() : [],
+          systemState,
+          metricList.map(m => m.name)
+        )}
+        onOutputChange={updateMidiOutput}
+        onClose={() => setShowMidiDevices(false)}
+      />
+
+      {/* Recent Files */}
+      <RecentFilesPanel
+        visible={showRecentFiles}
+        files={recentFiles}
+        available={recentFilesRef.current.available}
+        onOpen={name => {
+          setShowRecentFiles(false);
+          openRecentFile(name);
+        }}
+        onRemove={removeRecentFile}
+        onClear={clearRecentFiles}
+        onClose={() => setShowRecentFiles(false)}
+      />
+
       {/* Autoplayer Panel */}
       <AutoplayerPanel
         visible={showAutoplayer}
@@ -1371,11 +2444,7 @@ function MusicolourApp() {
             setShowTutorial(false);
             setShowKeyboard(false); // Collapse keyboard when skipping
             stopSong(); // Stop the demo song
-            // Clean up any MIDI file playback
-            if (window.midiFileCleanup) {
-              window.midiFileCleanup.forEach(cleanup => cleanup());
-              window.midiFileCleanup = [];
-            }
+            midiPlayerRef.current.stop(); // Stop any MIDI file playback
           }}
           onStart={async () => {
             await startAudio();
@@ -1390,14 +2459,36 @@ function MusicolourApp() {
       {/* Info Icon */}
       {!showTutorial && <InfoIcon showParams={showParams} showDebug={showDebug} />}
 
-      {/* Fluid Canvas */}
-      <div className="absolute inset-0" style={{ overflow: 'hidden' }}>
+      {/* Fluid Canvas (also the drop target for MIDI files) */}
+      <div
+        className="absolute inset-0"
+        style={{ overflow: 'hidden' }}
+        onDragEnter={handleDragEnter}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+      >
         <FluidCanvas 
           ref={fluidCanvasRef}
           className=""
+          clock={runtimeRef.current.clock}
+          random={runtimeRef.current.random}
         />
+        {dragActive && (
+          <div className="absolute inset-4 border-4 border-dashed border-white border-opacity-60 rounded-xl bg-black bg-opacity-40 flex items-center justify-center pointer-events-none z-50">
+            <span className="text-white text-lg font-mono">Drop a .mid file to play it</span>
+          </div>
+        )}
       </div>
 
+      {/* File errors */}
+      {fileError && (
+        <div className="fixed left-1/2 transform -translate-x-1/2 top-16 bg-red-900 bg-opacity-90 text-white px-4 py-2 rounded-lg z-50 text-xs font-mono flex items-center gap-3 max-w-[90vw]">
+          <span>{fileError}</span>
+          <button className="text-red-300 hover:text-white" onClick={() => setFileError(null)}>dismiss</button>
+        </div>
+      )}
+
       {/* Piano Interface */}
       <div className={`fixed bottom-0 left-0 right-0 z-20 transition-transform duration-1000 overflow-visible ${showKeyboard ? 'translate-y-0' : 'translate-y-full'}`}>
         <div className="p-4 overflow-visible">
@@ -1422,10 +2513,12 @@ function MusicolourApp() {
           </div>
           <Piano
             onKeyPress={handleKeyPress}
-            onKeyRelease={handleKeyRelease}
+            onKeyRelease={key => releaseLiveKey(key, SOURCES.MOUSE)}
             pressedKeys={pressedKeys}
             midiEnabled={midiEnabled}
+            range={visibleRange}
           />
+          <PedalIndicator pedals={pedals} sustainKey={SUSTAIN_KEY} />
         </div>
       </div>
 
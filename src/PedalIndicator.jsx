@@ -0,0 +1,41 @@
+import React from 'react';
+
+const STAGE_LABELS = { off: '', half: 'half', full: '' };
+
+/**
+ * Soft, sostenuto and sustain pedals as they are right now, left to right as
+ * on a piano. The sustain bar fills with the pedal's depth, so half-pedalling
+ * shows. Hidden while no pedal is down.
+ */
+export function PedalIndicator({ pedals, sustainKey }) {
+  const { sustain, stage, sostenuto, soft } = pedals;
+  if (stage === 'off' && !sostenuto && !soft) return null;
+
+  const pedal = (label, down, title) => (
+    <div
+      className={`px-2 py-0.5 rounded border ${down ? 'bg-white bg-opacity-30 border-white' : 'border-white border-opacity-20 text-gray-500'}`}
+      title={title}
+    >
+      {label}
+    </div>
+  );
+
+  return (
+    <div className="flex justify-center mt-2">
+      <div className="flex items-center gap-2 bg-black bg-opacity-50 text-white text-xs font-mono px-3 py-1 rounded">
+        {pedal('soft', soft, 'Soft pedal (CC67)')}
+        {pedal('sost.', sostenuto, 'Sostenuto pedal (CC66)')}
+        <div
+          className="relative w-20 h-5 rounded border border-white border-opacity-40 overflow-hidden"
+          title={`Sustain pedal (CC64 or ${sustainKey})`}
+        >
+          <div
+            className={`absolute inset-y-0 left-0 ${stage === 'full' ? 'bg-white bg-opacity-40' : 'bg-yellow-300 bg-opacity-40'}`}
+            style={{ width: `${sustain * 100}%` }}
+          />
+          <span className="relative px-2 leading-5">sustain {STAGE_LABELS[stage]}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
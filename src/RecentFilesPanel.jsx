@@ -0,0 +1,43 @@
+import React from 'react';
+
+const formatSize = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`);
+
+/**
+ * List of recently opened MIDI files (kept in IndexedDB). Clicking a file
+ * plays it again without going through the file picker.
+ */
+export function RecentFilesPanel({ visible, files, available, onOpen, onRemove, onClear, onClose }) {
+  if (!visible) return null;
+
+  return (
+    <div className="fixed left-4 top-20 bg-gray-900 bg-opacity-90 text-white p-4 rounded-lg z-40 text-xs font-mono w-72 max-h-[60vh] overflow-y-auto">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-bold text-sm">Recent files</h3>
+        <button className="text-gray-400 hover:text-white" onClick={onClose}>close</button>
+      </div>
+
+      {!available && <p className="text-gray-400">This browser cannot store files.</p>}
+      {available && files.length === 0 && (
+        <p className="text-gray-400">No files yet – open one with Shift + P or drop it on the canvas.</p>
+      )}
+
+      {files.map(file => (
+        <div key={file.name} className="flex items-center gap-2 py-1">
+          <button
+            className="flex-1 text-left truncate hover:text-blue-300"
+            title={`Play ${file.name}`}
+            onClick={() => onOpen(file.name)}
+          >
+            {file.name}
+          </button>
+          <span className="text-gray-500 shrink-0">{formatSize(file.size)}</span>
+          <button className="text-gray-500 hover:text-red-400" title="Forget" onClick={() => onRemove(file.name)}>×</button>
+        </div>
+      ))}
+
+      {files.length > 0 && (
+        <button className="mt-2 text-gray-400 hover:text-white underline" onClick={onClear}>clear all</button>
+      )}
+    </div>
+  );
+}
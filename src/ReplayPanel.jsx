@@ -0,0 +1,105 @@
+import React, { useMemo, useRef } from 'react';
+import { REPLAY_SPEEDS } from './sessionPlayer';
+
+const formatTime = (ms) => {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// SVG polyline points for a recorded value (0‒1) over the take
+const curvePoints = (events, duration, value) =>
+  events
+    .filter(e => e.type === 'noteOn' && typeof value(e) === 'number')
+    .map(e => `${(e.time / duration) * 1000},${100 - value(e) * 100}`)
+    .join(' ');
+
+/**
+ * Replay controls and timeline for a recorded take.
+ *
+ * The timeline shows the machine's recorded excitement (pink) and musicality
+ * score (blue) after each note, note onsets along the bottom and the playhead.
+ * Click or drag on it to seek.
+ */
+export function ReplayPanel({ visible, events, duration, playing, position, speed, onPlay, onPause, onStop, onSeek, onSpeed, onClose }) {
+  const timelineRef = useRef(null);
+  const scrubbingRef = useRef(false);
+  const span = duration || 1;
+
+  const curves = useMemo(() => ({
+    excitement: curvePoints(events, span, e => e.excitement),
+    score: curvePoints(events, span, e => (typeof e.score === 'number' ? e.score / 100 : null)),
+    onsets: events.filter(e => e.type === 'noteOn').map(e => (e.time / span) * 1000)
+  }), [events, span]);
+
+  if (!visible) return null;
+
+  const seekFromPointer = (event) => {
+    const rect = timelineRef.current.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    onSeek(fraction * duration);
+  };
+
+  return (
+    <div className="fixed left-1/2 transform -translate-x-1/2 bottom-56 bg-gray-900 bg-opacity-90 text-white p-4 rounded-lg z-40 text-xs font-mono w-[36rem] max-w-[95vw]">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-bold text-sm">Replay</h3>
+        <button className="text-gray-400 hover:text-white" onClick={onClose}>close</button>
+      </div>
+
+      <svg
+        ref={timelineRef}
+        viewBox="0 0 1000 100"
+        preserveAspectRatio="none"
+        className="w-full h-24 bg-black bg-opacity-50 rounded cursor-pointer select-none"
+        onPointerDown={e => {
+          scrubbingRef.current = true;
+          e.currentTarget.setPointerCapture(e.pointerId);
+          seekFromPointer(e);
+        }}
+        onPointerMove={e => scrubbingRef.current && seekFromPointer(e)}
+        onPointerUp={() => { scrubbingRef.current = false; }}
+      >
+        {curves.onsets.map((x, i) => (
+          <line key={i} x1={x} x2={x} y1={96} y2={100} stroke="#666" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+        ))}
+        <polyline points={curves.score} fill="none" stroke="#60a5fa" strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+        <polyline points={curves.excitement} fill="none" stroke="#f472b6" strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+        <line
+          x1={(position / span) * 1000}
+          x2={(position / span) * 1000}
+          y1={0}
+          y2={100}
+          stroke="#fff"
+          strokeWidth={1}
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+
+      <div className="flex items-center justify-between mt-1 text-gray-400">
+        <span>{formatTime(position)} / {formatTime(duration)}</span>
+        <span>
+          <span className="text-pink-400">excitement</span> · <span className="text-blue-400">score</span>
+        </span>
+      </div>
+
+      <div className="flex items-center gap-2 mt-3">
+        {playing ? (
+          <button onClick={onPause} className="bg-yellow-600 hover:bg-yellow-700 px-3 py-1 rounded">Pause</button>
+        ) : (
+          <button onClick={onPlay} className="bg-green-600 hover:bg-green-700 px-3 py-1 rounded">Play</button>
+        )}
+        <button onClick={onStop} className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded">Stop</button>
+        <span className="ml-auto">Speed</span>
+        {REPLAY_SPEEDS.map(s => (
+          <button
+            key={s}
+            onClick={() => onSpeed(s)}
+            className={`px-2 py-1 rounded ${s === speed ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+          >
+            {s}×
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -77,7 +77,23 @@ const CARDS = [
         </div>
         <div className="flex items-center gap-3">
           <kbd className="px-2 py-1 bg-white bg-opacity-20 rounded text-base font-mono">Shift + P</kbd>
-          <span>Load MIDI file</span>
+          <span>Load MIDI file (or drop one on the canvas)</span>
+        </div>
+        <div className="flex items-center gap-3">
+          <kbd className="px-2 py-1 bg-white bg-opacity-20 rounded text-base font-mono">Shift + O</kbd>
+          <span>Recent MIDI files</span>
+        </div>
+        <div className="flex items-center gap-3">
+          <kbd className="px-2 py-1 bg-white bg-opacity-20 rounded text-base font-mono">Shift + I</kbd>
+          <span>MIDI inputs, output &amp; MPE mode</span>
+        </div>
+        <div className="flex items-center gap-3">
+          <kbd className="px-2 py-1 bg-white bg-opacity-20 rounded text-base font-mono">Shift + R</kbd>
+          <span>Record session</span>
+        </div>
+        <div className="flex items-center gap-3">
+          <kbd className="px-2 py-1 bg-white bg-opacity-20 rounded text-base font-mono">Space</kbd>
+          <span>Sustain pedal (hold)</span>
         </div>
       </div>
     )
@@ -0,0 +1,277 @@
+// Beat Tracker – onset-based tempo induction, phase tracking and meter guess.
+// Feeds the musicality engine with "is this note in time?" rather than
+// "is this note evenly spaced?".
+
+// ---------- CONSTANTS & HELPERS ----------
+export const BEAT_PARAMS = {
+  MIN_PERIOD: 300,      // ms per beat (200 BPM)
+  MAX_PERIOD: 1500,     // ms per beat (40 BPM)
+  LAG_STEP: 5,          // ms resolution of the tempo search
+  ONSET_WIN: 32,        // onsets kept for induction
+  MIN_ONSETS: 4,        // onsets needed before a tempo is reported
+  MERGE_MS: 40,         // onsets closer than this are one event (chords)
+  JITTER: 25,           // ms std-dev of human timing around the grid
+  PRIOR_CENTER: 500,    // ms – tempo prior peak (120 BPM)
+  PRIOR_WIDTH: 1.0,     // octaves – tempo prior spread
+  PHASE_GAIN: 0.3,      // how far each on-beat onset pulls the phase
+  PERIOD_GAIN: 0.25,    // how fast the period follows re-induction
+  LOST_THRESHOLD: 0.35, // mean alignment below which the grid is re-seeded
+  SWITCH_MARGIN: 0.1    // fit gain needed to jump to a different pulse
+};
+
+// Grid subdivisions and the credit for landing on each of them
+const SUBDIVISIONS = [
+  { div: 1, credit: 1.0 },
+  { div: 2, credit: 0.9 },
+  { div: 3, credit: 0.6 },
+  { div: 4, credit: 0.6 }
+];
+
+const gauss = (x, sigma) => Math.exp(-0.5 * (x / sigma) ** 2);
+
+// Distance (ms) from t to the nearest line of a grid with the given spacing and origin
+const gridError = (t, origin, spacing) => {
+  const pos = (t - origin) / spacing;
+  return Math.abs(pos - Math.round(pos)) * spacing;
+};
+
+// ---------- BEAT TRACKER ----------
+class BeatTracker {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.onsets = [];     // { time, strength }
+    this.period = null;   // ms per beat
+    this.beatTime = null; // time of a reference beat (grid origin)
+    this.meter = 4;       // beats per bar
+    this.downbeatOffset = 0; // beat index + offset ≡ 0 (mod meter) on downbeats
+    this.confidence = 0;  // 0‒1, mean alignment of recent onsets
+    this.alignments = []; // per-onset alignment, most recent last
+    this.external = false; // grid set by an external clock (see follow)
+  }
+
+  get tempo() {
+    return this.period ? 60000 / this.period : null;
+  }
+
+  // Register a note onset. Returns the note's alignment to the beat grid.
+  addOnset(time, strength = 0.5) {
+    const last = this.onsets.at(-1);
+    const merged = last && time - last.time < BEAT_PARAMS.MERGE_MS;
+    if (merged) {
+      last.strength = Math.max(last.strength, strength);
+    } else {
+      this.onsets.push({ time, strength });
+      if (this.onsets.length > BEAT_PARAMS.ONSET_WIN) this.onsets.shift();
+    }
+
+    if (this.onsets.length >= BEAT_PARAMS.MIN_ONSETS && !merged) {
+      // An external clock fixes tempo and phase; only the meter is guessed
+      if (this.external) this.meter = this.guessMeter();
+      else this.track(time);
+    }
+
+    const alignment = this.alignment(time);
+    if (!merged && alignment !== null) {
+      this.alignments.push(alignment);
+      if (this.alignments.length > BEAT_PARAMS.ONSET_WIN) this.alignments.shift();
+      const recent = this.alignments.slice(-8);
+      this.confidence = recent.reduce((a, b) => a + b, 0) / recent.length;
+    }
+
+    return {
+      tempo: this.tempo,
+      period: this.period,
+      meter: this.meter,
+      alignment,
+      beat: this.beatPosition(time),
+      barPosition: this.barPosition(time),
+      confidence: this.confidence
+    };
+  }
+
+  // ---------- TEMPO INDUCTION ----------
+  // Autocorrelation of the onset train (all onset pairs, not only neighbours)
+  autocorrelation(lag) {
+    const onsets = this.onsets;
+    let ac = 0;
+    for (let i = 0; i < onsets.length; i++) {
+      for (let j = i + 1; j < onsets.length; j++) {
+        const ioi = onsets[j].time - onsets[i].time;
+        if (ioi > 4.5 * lag) break;
+        // Credit IOIs that are whole multiples of the lag, fading with distance
+        const k = Math.max(1, Math.round(ioi / lag));
+        const err = ioi - k * lag;
+        ac += (onsets[i].strength + onsets[j].strength) * gauss(err, BEAT_PARAMS.JITTER) / k;
+      }
+    }
+    return ac;
+  }
+
+  // Best beat period: a lag whose half-lag also pulses is a better beat than one
+  // that only explains long IOIs (so syncopated lines don't lock onto 3:2 pulses).
+  // A log-normal tempo prior settles octave ambiguity.
+  induceTempo() {
+    const { MIN_PERIOD, MAX_PERIOD, LAG_STEP, PRIOR_CENTER, PRIOR_WIDTH } = BEAT_PARAMS;
+    let best = { lag: null, score: 0 };
+
+    for (let lag = MIN_PERIOD; lag <= MAX_PERIOD; lag += LAG_STEP) {
+      const ac = this.autocorrelation(lag) + 0.5 * this.autocorrelation(lag / 2);
+      const prior = gauss(Math.log2(lag / PRIOR_CENTER), PRIOR_WIDTH);
+      const score = ac * prior;
+      if (score > best.score) best = { lag, score };
+    }
+    return best.lag;
+  }
+
+  // Choose the grid origin that puts the most (and strongest) onsets on beats
+  inducePhase(period) {
+    let best = { origin: this.onsets.at(-1).time, score: -1 };
+    for (const anchor of this.onsets) {
+      const score = this.onsets.reduce(
+        (s, o) => s + o.strength * gauss(gridError(o.time, anchor.time, period), BEAT_PARAMS.JITTER),
+        0
+      );
+      if (score > best.score) best = { origin: anchor.time, score };
+    }
+    return best.origin;
+  }
+
+  track(time) {
+    const induced = this.induceTempo();
+    if (!induced) return;
+
+    const lost = this.period && this.confidence < BEAT_PARAMS.LOST_THRESHOLD && this.alignments.length >= 4;
+    const ratio = this.period ? induced / this.period : 1;
+    const drift = ratio > 0.8 && ratio < 1.25;
+
+    if (!this.period || lost) {
+      this.period = induced;
+      this.beatTime = this.inducePhase(induced);
+    } else if (!drift) {
+      // The inducer now prefers a different pulse (e.g. early notes suggested
+      // a 3:2 grid); switch only if it explains recent onsets clearly better
+      const origin = this.inducePhase(induced);
+      if (this.gridFit(induced, origin) > this.gridFit(this.period, this.beatTime) + BEAT_PARAMS.SWITCH_MARGIN) {
+        this.period = induced;
+        this.beatTime = origin;
+      }
+    } else {
+      // Follow gradual tempo drift
+      this.period += BEAT_PARAMS.PERIOD_GAIN * (induced - this.period);
+      // Pull the phase towards onsets that land near a beat
+      const pos = (time - this.beatTime) / this.period;
+      const err = (pos - Math.round(pos)) * this.period;
+      if (Math.abs(err) < 0.25 * this.period) {
+        this.beatTime += BEAT_PARAMS.PHASE_GAIN * err;
+      }
+    }
+    this.meter = this.guessMeter();
+  }
+
+  // ---------- EXTERNAL CLOCK ----------
+  // Take the grid from an external clock (e.g. MIDI clock): period in ms per
+  // beat and the time of any beat. Induction stays off until release().
+  follow(period, beatTime) {
+    this.external = true;
+    this.period = period;
+    this.beatTime = beatTime;
+  }
+
+  // Back to inducing the grid from onsets, starting from the clock's
+  release() {
+    this.external = false;
+  }
+
+  // ---------- METER ----------
+  // Compare accent strength on each candidate downbeat position
+  guessMeter() {
+    const onBeat = this.onsets.filter(o => gridError(o.time, this.beatTime, this.period) < 0.15 * this.period);
+    if (onBeat.length < 6) return this.meter;
+
+    const accent = (m) => {
+      let best = { score: 0, offset: 0 };
+      for (let offset = 0; offset < m; offset++) {
+        const sums = Array(m).fill(0);
+        const counts = Array(m).fill(0);
+        onBeat.forEach(o => {
+          const idx = ((Math.round((o.time - this.beatTime) / this.period) + offset) % m + m) % m;
+          sums[idx] += o.strength;
+          counts[idx]++;
+        });
+        const means = sums.map((s, i) => (counts[i] ? s / counts[i] : 0));
+        const others = means.slice(1).reduce((a, b) => a + b, 0) / (m - 1);
+        if (means[0] - others > best.score) best = { score: means[0] - others, offset };
+      }
+      return best;
+    };
+
+    const candidates = { 2: accent(2), 3: accent(3), 4: accent(4) };
+    // Duple and quadruple look alike; prefer 4 unless triple accents clearly win
+    let meter = candidates[4].score >= candidates[2].score - 0.02 ? 4 : 2;
+    if (candidates[3].score > Math.max(candidates[2].score, candidates[4].score) + 0.05) meter = 3;
+    this.downbeatOffset = candidates[meter].offset;
+    return meter;
+  }
+
+  // ---------- QUERIES ----------
+  // 0‒1: how close a time falls to the beat or one of its subdivisions
+  alignment(time, period = this.period, origin = this.beatTime) {
+    if (!period) return null;
+    return SUBDIVISIONS.reduce((best, { div, credit }) => {
+      const err = gridError(time, origin, period / div);
+      return Math.max(best, credit * gauss(err, BEAT_PARAMS.JITTER));
+    }, 0);
+  }
+
+  // Mean alignment of the recent onsets against a candidate grid
+  gridFit(period, origin) {
+    const recent = this.onsets.slice(-16);
+    return recent.reduce((s, o) => s + this.alignment(o.time, period, origin), 0) / recent.length;
+  }
+
+  // Position in beats relative to the grid origin (fractional)
+  beatPosition(time) {
+    if (!this.period) return null;
+    return (time - this.beatTime) / this.period;
+  }
+
+  // Beat within the bar (0 = downbeat) for the beat nearest to time
+  barPosition(time) {
+    if (!this.period) return null;
+    const beat = Math.round(this.beatPosition(time));
+    return (((beat + this.downbeatOffset) % this.meter) + this.meter) % this.meter;
+  }
+
+  // ---------- SERIALIZATION ----------
+  toJSON() {
+    return {
+      onsets: this.onsets.map(o => ({ ...o })),
+      period: this.period,
+      beatTime: this.beatTime,
+      meter: this.meter,
+      downbeatOffset: this.downbeatOffset,
+      confidence: this.confidence,
+      alignments: [...this.alignments],
+      external: this.external
+    };
+  }
+
+  static fromJSON(data) {
+    const tracker = new BeatTracker();
+    if (!data) return tracker;
+    tracker.onsets = (data.onsets || []).map(o => ({ ...o }));
+    tracker.period = data.period ?? null;
+    tracker.beatTime = data.beatTime ?? null;
+    tracker.meter = data.meter ?? 4;
+    tracker.downbeatOffset = data.downbeatOffset ?? 0;
+    tracker.confidence = data.confidence ?? 0;
+    tracker.alignments = [...(data.alignments || [])];
+    tracker.external = data.external ?? false; // saved before clock following: induced
+    return tracker;
+  }
+}
+
+export default BeatTracker;
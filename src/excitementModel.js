@@ -0,0 +1,83 @@
+// Excitement Model – the machine's excitement, 0‒1, outside React. Notes
+// push it up or down (the engine's per-note reaction) and it fades with
+// elapsed time at the engine's decay rate, however often it is ticked.
+// Listeners hear about changes big enough to show, so a UI can tick it
+// frequently without redrawing on every tick.
+import { systemClock } from './runtime.js';
+import { MODEL_PARAMS } from './musicalityEngine.js';
+
+// ---------- CONSTANTS ----------
+export const NOTIFY_STEP = 0.001;   // smallest decay worth telling listeners about
+export const TICK_INTERVAL = 100;   // ms between ticks suggested for UIs
+
+const clamp01 = (x) => Math.max(0, Math.min(1, x));
+
+// ---------- EXCITEMENT MODEL ----------
+class ExcitementModel {
+  // clock: { now() } for times callers omit; decayRate(time): loss per second
+  // at `time` (e.g. engine.decayRate, which speeds up when bored)
+  constructor({ clock = systemClock, decayRate = () => MODEL_PARAMS.DECAY, value = 0 } = {}) {
+    this.clock = clock;
+    this.decayRate = decayRate;
+    this.listeners = new Set();
+    this.value = clamp01(value);
+    this.time = null;           // time the value was last brought up to date
+    this.notified = this.value; // value listeners last heard
+  }
+
+  // A note's reaction: decay up to `time`, then add `change` (may be negative)
+  update(change, time = this.clock.now()) {
+    this.decayTo(time);
+    this.value = clamp01(this.value + change);
+    this.emit();
+    return this.value;
+  }
+
+  // Let the time since the last update or tick take its toll
+  tick(time = this.clock.now()) {
+    this.decayTo(time);
+    // Small fades are gathered up until they show; reaching zero always does
+    if (Math.abs(this.notified - this.value) >= NOTIFY_STEP || (this.value === 0 && this.notified !== 0)) this.emit();
+    return this.value;
+  }
+
+  // Jump to a value, e.g. the recorded excitement after seeking a replay
+  set(value, time = this.clock.now()) {
+    this.value = clamp01(value);
+    this.time = time;
+    this.emit();
+  }
+
+  reset(time) {
+    this.set(0, time);
+  }
+
+  // The clock changed source (a replay was opened or closed): count the next
+  // fade from `time` on the new clock, keeping the value as it is
+  reanchor(time = this.clock.now()) {
+    this.time = time;
+  }
+
+  decayTo(time) {
+    // The first time seen, or a clock that went back, only sets where the
+    // next fade counts from
+    if (this.time !== null && time > this.time) {
+      this.value = clamp01(this.value - this.decayRate(time) * (time - this.time) / 1000);
+    }
+    this.time = time;
+  }
+
+  // ---------- SUBSCRIPTIONS ----------
+  // listener(model) after each update, set and noticeable fade
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit() {
+    this.notified = this.value;
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+export default ExcitementModel;
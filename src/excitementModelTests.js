@@ -0,0 +1,143 @@
+/* global process */
+// Tests for the excitement model (run with `node src/excitementModelTests.js`)
+import ExcitementModel, { NOTIFY_STEP } from './excitementModel.js';
+import MusicalityEngine from './musicalityEngine.js';
+import { ManualClock } from './runtime.js';
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+class ExcitementModelTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  runAllTests() {
+    console.log("=== EXCITEMENT MODEL TESTS ===\n");
+
+    this.testUpdates();
+    this.testDecay();
+    this.testNotifications();
+    this.testEngine();
+
+    console.log("\n=== TEST SUMMARY ===");
+    const passed = this.testResults.filter(r => r.passed).length;
+    const total = this.testResults.length;
+    console.log(`Passed: ${passed}/${total}`);
+
+    return passed === total;
+  }
+
+  check(name, passed, detail = '') {
+    this.testResults.push({ name, passed });
+    console.log(`${passed ? "✓" : "✗"} ${name}${detail ? ` (${detail})` : ''}`);
+  }
+
+  // Test 1: note reactions move excitement within 0‒1
+  testUpdates() {
+    console.log("\nTest 1: Updates");
+    const model = new ExcitementModel({ clock: new ManualClock(), decayRate: () => 0 });
+    model.update(0.3);
+    model.update(-0.1);
+    this.check("adds reactions", close(model.value, 0.2), model.value.toFixed(3));
+    model.update(2);
+    const top = model.value;
+    model.update(-5);
+    this.check("clamped", top === 1 && model.value === 0);
+    model.set(0.7, 0);
+    this.check("set", model.value === 0.7);
+  }
+
+  // Test 2: decay depends on elapsed time, not on how often it is ticked
+  testDecay() {
+    console.log("\nTest 2: Decay");
+    const rate = 0.01; // per second
+    const often = new ExcitementModel({ decayRate: () => rate });
+    const rarely = new ExcitementModel({ decayRate: () => rate });
+    often.update(0.5, 0);
+    rarely.update(0.5, 0);
+    for (let t = 16; t <= 10000; t += 16) often.tick(t);
+    often.tick(10000);
+    rarely.tick(10000);
+    this.check("same fade at any tick rate", close(often.value, rarely.value) && close(rarely.value, 0.4),
+      `${often.value.toFixed(4)} ${rarely.value.toFixed(4)}`);
+
+    rarely.update(0.1, 20000);
+    this.check("notes decay up to their time first", close(rarely.value, 0.4), rarely.value.toFixed(4));
+
+    // A clock going back (a replay opened) restarts the count
+    rarely.tick(5000);
+    rarely.tick(6000);
+    this.check("clock going back", close(rarely.value, 0.39), rarely.value.toFixed(4));
+
+    // Closing a replay early jumps the clock ahead to runtime time: no fade for it
+    const clock = new ManualClock();
+    const switched = new ExcitementModel({ clock, decayRate: () => rate });
+    switched.update(0.5, 1000);
+    clock.advance(600000);
+    switched.reanchor();
+    switched.tick(601000);
+    this.check("re-anchored on a clock change", close(switched.value, 0.49), switched.value.toFixed(4));
+
+    const varying = new ExcitementModel({ decayRate: t => (t > 5000 ? 0.02 : 0.01) });
+    varying.update(0.5, 0);
+    varying.tick(5000);
+    varying.tick(10000);
+    this.check("rate read as time passes", close(varying.value, 0.35), varying.value.toFixed(4));
+    varying.tick(100000);
+    this.check("never below zero", varying.value === 0);
+  }
+
+  // Test 3: listeners hear changes, not every tick
+  testNotifications() {
+    console.log("\nTest 3: Notifications");
+    const model = new ExcitementModel({ decayRate: () => 0.002 });
+    const heard = [];
+    const unsubscribe = model.subscribe(m => heard.push(m.value));
+    model.update(0.5, 0);
+    for (let t = 16; t <= 2000; t += 16) model.tick(t);
+    // 2 s at 0.002/s is 0.004: a handful of notifications, not 125
+    this.check("fades reported in steps", heard.length > 1 && heard.length <= 1 + 0.004 / NOTIFY_STEP, `${heard.length}`);
+    const before = heard.length;
+    model.update(0.0001, 2000);
+    this.check("every note reported", heard.length === before + 1 && heard.at(-1) === model.value);
+
+    model.tick(10 ** 7);
+    this.check("reaching zero reported", heard.at(-1) === 0);
+    const count = heard.length;
+    model.tick(2 * 10 ** 7);
+    this.check("quiet at rest", heard.length === count);
+    unsubscribe();
+    model.update(0.5);
+    this.check("unsubscribe", heard.length === count);
+  }
+
+  // Test 4: driven by the engine, repetition fades faster than rest
+  testEngine() {
+    console.log("\nTest 4: Engine");
+    const engine = new MusicalityEngine();
+    const model = new ExcitementModel({ decayRate: t => engine.decayRate(t) });
+    let time = 0;
+    for (let i = 0; i < 16; i++) {
+      model.update(engine.processNote([60, 64, 67, 72, 67, 64, 60, 55][i % 8] + (i >= 8 ? 5 : 0), time, 0.5 + 0.3 * (i % 2)).excitement, time);
+      time += i % 4 === 3 ? 750 : 375;
+    }
+    const peak = model.value;
+    for (let i = 0; i < 48; i++) {
+      model.update(engine.processNote(60, time, 0.6).excitement, time);
+      time += 375;
+    }
+    this.check("playing excites, repetition bores", peak > 0 && model.value < peak,
+      `${peak.toFixed(3)} → ${model.value.toFixed(3)}`);
+    const bored = engine.decayRate(time);
+    this.check("bored machine fades faster", bored > engine.decayRate(time + 120000), bored.toFixed(4));
+  }
+}
+
+// Run tests if this file is executed directly
+if (typeof window === 'undefined') {
+  const tester = new ExcitementModelTests();
+  const allPassed = tester.runAllTests();
+  process.exit(allPassed ? 0 : 1);
+}
+
+export default ExcitementModelTests;
@@ -0,0 +1,104 @@
+// Experimental metrics for the MusicalityEngine registry.
+// Not part of the default score: register them with
+//   engine.registerMetric(createContourMetric(), { enabled: false })
+// and switch them on from the parameters panel.
+
+// ---------- HELPERS ----------
+const clamp = (v, min, max) => Math.min(Math.max(v, min), max);
+const mean = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
+
+// 1 inside [lo, hi], falling linearly to 0 at `fade` beyond either edge
+const plateau = (x, lo, hi, fade) => {
+  if (x < lo) return clamp(1 - (lo - x) / fade, 0, 1);
+  if (x > hi) return clamp(1 - (x - hi) / fade, 0, 1);
+  return 1;
+};
+
+// ---------- CONTOUR ----------
+// Melodic shape: rewards runs that change direction now and then (arches,
+// waves) over both endless scales and note-to-note zigzags.
+export const createContourMetric = () => ({
+  name: 'contour',
+  label: 'Contour',
+  description: 'Melodic lines that rise and fall in shaped arcs',
+  defaultWeight: 0.1,
+  value: 0,
+  update({ engine }) {
+    const notes = engine.noteHistory.slice(-12);
+    if (notes.length < 5) return 0;
+
+    const directions = [];
+    for (let i = 1; i < notes.length; i++) {
+      const step = notes[i] - notes[i - 1];
+      if (step !== 0) directions.push(Math.sign(step));
+    }
+    if (directions.length < 3) return 0;
+
+    let turns = 0;
+    for (let i = 1; i < directions.length; i++) {
+      if (directions[i] !== directions[i - 1]) turns++;
+    }
+    // One turn every 2‒4 notes reads as a phrase with shape
+    return plateau(turns / (directions.length - 1), 0.2, 0.5, 0.3);
+  }
+});
+
+// ---------- SYNCOPATION ----------
+// Off-beat onsets that still sit on the subdivision grid. Some syncopation is
+// good; none is square and all of it means the beat has been lost.
+export const createSyncopationMetric = () => {
+  let onsets = []; // true = off-beat but in time
+  return {
+    name: 'syncopation',
+    label: 'Syncopation',
+    description: 'In-time notes placed between the beats',
+    defaultWeight: 0.1,
+    value: 0,
+    reset() {
+      onsets = [];
+    },
+    toJSON() {
+      return [...onsets];
+    },
+    fromJSON(saved) {
+      onsets = [...saved];
+    },
+    update({ engine }) {
+      const beat = engine.beat;
+      if (!beat || beat.beat === null || beat.alignment === null) return 0;
+
+      const offset = Math.abs(beat.beat - Math.round(beat.beat));
+      onsets.push(offset > 0.15 && beat.alignment > 0.5);
+      if (onsets.length > 16) onsets.shift();
+      if (onsets.length < 8) return 0;
+
+      return plateau(mean(onsets.map(Number)), 0.15, 0.45, 0.25);
+    }
+  };
+};
+
+// ---------- REGISTER SPREAD ----------
+// Use of the keyboard: a line confined to a few keys or leaping across octaves
+// at random both score low.
+export const createRegisterSpreadMetric = () => ({
+  name: 'registerSpread',
+  label: 'Register',
+  description: 'Range of pitches in use – neither cramped nor scattered',
+  defaultWeight: 0.1,
+  value: 0,
+  update({ engine }) {
+    const notes = engine.noteHistory.slice(-16);
+    if (notes.length < 4) return 0;
+
+    const m = mean(notes);
+    const sd = Math.sqrt(mean(notes.map(n => (n - m) ** 2)));
+    // Standard deviation in semitones: a fifth to an octave and a half is comfortable
+    return plateau(sd, 4, 10, 8);
+  }
+});
+
+export const EXPERIMENTAL_METRICS = [
+  createContourMetric,
+  createSyncopationMetric,
+  createRegisterSpreadMetric
+];
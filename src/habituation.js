@@ -0,0 +1,129 @@
+// Habituation – the machine's attention, after Pask's Musicolour, whose
+// filter banks each grew insensitive to a stimulus repeated at them and
+// became sensitive again once it went away. Every note is heard on four
+// attention channels (pitch register, interval class, rhythm cell and
+// dynamics); each channel keeps a sensitivity per stimulus that falls with
+// every repetition and recovers with time. Novelty is how sensitive the
+// channels still were to what they just heard.
+
+// ---------- CONSTANTS ----------
+// Defaults; the engine passes its MODEL_PARAMS so the knobs can be tuned live
+export const HABITUATION_PARAMS = {
+  HABITUATION: 0.3, // share of a stimulus's remaining sensitivity lost per hearing
+  RECOVERY: 20000   // ms time constant of recovery: about two-thirds of what was lost is back after it
+};
+
+export const CHANNELS = ['register', 'interval', 'rhythm', 'dynamics'];
+
+const CHORD_IOI = 50;  // ms: onsets closer than this are one chord (rhythm cell 'chord')
+const REST_IOI = 2000; // ms: a longer gap starts afresh (rhythm cell 'rest')
+
+// ---------- FEATURES ----------
+const pitchClassInterval = (a, b) => {
+  const d = Math.abs(a - b) % 12;
+  return Math.min(d, 12 - d); // interval class 0‒6
+};
+
+// The latest inter-onset interval against the one before, in half-octave
+// steps of tempo: 0 = same again, 2 = twice as long, −2 = half as long
+const rhythmCell = (ioi, previousIoi) => {
+  if (ioi < CHORD_IOI) return 'chord';
+  if (ioi > REST_IOI) return 'rest';
+  if (!previousIoi || previousIoi < CHORD_IOI || previousIoi > REST_IOI) return null;
+  return String(Math.max(-6, Math.min(6, Math.round(2 * Math.log2(ioi / previousIoi)))));
+};
+
+// ---------- HABITUATION ----------
+class Habituation {
+  constructor(params = HABITUATION_PARAMS) {
+    this.params = params;
+    this.reset();
+  }
+
+  reset() {
+    // channel → Map(stimulus → { sensitivity, time } after its last hearing)
+    this.channels = Object.fromEntries(CHANNELS.map(name => [name, new Map()]));
+    this.lastNote = null;   // { note, time } of the previous onset
+    this.lastIoi = null;
+    this.attention = Object.fromEntries(CHANNELS.map(name => [name, 1])); // novelty per channel at the last note
+    this.recent = {};       // channel → stimulus heard last
+  }
+
+  // Stimuli of a note on each channel (null where a channel has none yet)
+  features(note, time, velocity) {
+    const ioi = this.lastNote ? time - this.lastNote.time : null;
+    return {
+      register: `${Math.floor(note / 12)}`,
+      interval: this.lastNote && ioi <= REST_IOI ? `${pitchClassInterval(note, this.lastNote.note)}` : null,
+      rhythm: ioi === null ? null : rhythmCell(ioi, this.lastIoi),
+      dynamics: `${Math.min(3, Math.floor(velocity * 4))}`
+    };
+  }
+
+  // Sensitivity of a channel to a stimulus at `time`: 1 if never heard,
+  // otherwise recovering from its last level towards 1
+  sensitivity(channel, stimulus, time) {
+    const heard = this.channels[channel].get(stimulus);
+    if (!heard) return 1;
+    const recovered = Math.exp(-Math.max(0, time - heard.time) / this.params.RECOVERY);
+    return 1 - (1 - heard.sensitivity) * recovered;
+  }
+
+  // Hear a note. Returns { novelty 0‒1, attention: channel → novelty }
+  observe(note, time, velocity = 0.5) {
+    const stimuli = this.features(note, time, velocity);
+    const heard = [];
+    for (const channel of CHANNELS) {
+      const stimulus = stimuli[channel];
+      if (stimulus === null) continue;
+      const sensitivity = this.sensitivity(channel, stimulus, time);
+      this.attention[channel] = sensitivity;
+      this.recent[channel] = stimulus;
+      heard.push(sensitivity);
+      // Habituate: each hearing takes away a share of what is left
+      this.channels[channel].set(stimulus, { sensitivity: sensitivity * (1 - this.params.HABITUATION), time });
+    }
+
+    if (this.lastNote) this.lastIoi = time - this.lastNote.time;
+    this.lastNote = { note, time };
+    return {
+      novelty: heard.reduce((a, b) => a + b, 0) / heard.length,
+      attention: { ...this.attention }
+    };
+  }
+
+  // 0‒1: how worn down the channels are by what they heard last, as of
+  // `time`; falls back towards 0 as they recover in silence
+  boredom(time) {
+    const channels = CHANNELS.filter(channel => channel in this.recent);
+    if (channels.length === 0) return 0;
+    const sensitivity = channels.reduce((sum, channel) => sum + this.sensitivity(channel, this.recent[channel], time), 0);
+    return 1 - sensitivity / channels.length;
+  }
+
+  // ---------- SERIALIZATION ----------
+  toJSON() {
+    return {
+      channels: Object.fromEntries(CHANNELS.map(name => [name, Array.from(this.channels[name])])),
+      lastNote: this.lastNote,
+      lastIoi: this.lastIoi,
+      attention: this.attention,
+      recent: this.recent
+    };
+  }
+
+  static fromJSON(state, params) {
+    const habituation = new Habituation(params);
+    if (!state) return habituation;
+    CHANNELS.forEach(name => {
+      habituation.channels[name] = new Map(state.channels?.[name] || []);
+    });
+    habituation.lastNote = state.lastNote ?? null;
+    habituation.lastIoi = state.lastIoi ?? null;
+    habituation.attention = { ...habituation.attention, ...state.attention };
+    habituation.recent = { ...state.recent };
+    return habituation;
+  }
+}
+
+export default Habituation;
@@ -0,0 +1,100 @@
+/* global process */
+// Tests for the habituation model (run with `node src/habituationTests.js`)
+import Habituation, { CHANNELS } from './habituation.js';
+
+const PARAMS = { HABITUATION: 0.3, RECOVERY: 20000 };
+
+class HabituationTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  runAllTests() {
+    console.log("=== HABITUATION TESTS ===\n");
+
+    this.testRepetition();
+    this.testChannels();
+    this.testRecovery();
+    this.testSerialization();
+
+    console.log("\n=== TEST SUMMARY ===");
+    const passed = this.testResults.filter(r => r.passed).length;
+    const total = this.testResults.length;
+    console.log(`Passed: ${passed}/${total}`);
+
+    return passed === total;
+  }
+
+  check(name, passed, detail = '') {
+    this.testResults.push({ name, passed });
+    console.log(`${passed ? "✓" : "✗"} ${name}${detail ? ` (${detail})` : ''}`);
+  }
+
+  // Test 1: the same figure over and over wears attention down
+  testRepetition() {
+    console.log("\nTest 1: Repetition");
+    const habituation = new Habituation(PARAMS);
+    const novelty = [];
+    for (let i = 0; i < 40; i++) novelty.push(habituation.observe([60, 62, 64, 65][i % 4], i * 375, 0.6).novelty);
+    this.check("first note is wholly new", novelty[0] === 1);
+    this.check("novelty falls with repetition", novelty[39] < 0.15 && novelty[39] < novelty[8], novelty[39].toFixed(3));
+    this.check("bored right after", habituation.boredom(40 * 375) > 0.9, habituation.boredom(40 * 375).toFixed(3));
+  }
+
+  // Test 2: each channel habituates to its own feature
+  testChannels() {
+    console.log("\nTest 2: Channels");
+    const habituation = new Habituation(PARAMS);
+    for (let i = 0; i < 20; i++) habituation.observe(60 + (i % 2) * 2, i * 500, 0.6);
+    const same = habituation.observe(60, 10000, 0.6).attention;
+    this.check("all channels tired", CHANNELS.every(c => same[c] < 0.1));
+
+    // An octave up, a fourth, twice as slow and loud: every channel wakes up
+    const fresh = new Habituation(PARAMS);
+    for (let i = 0; i < 20; i++) fresh.observe(60 + (i % 2) * 2, i * 500, 0.6);
+    const { attention } = fresh.observe(67 + 12, 9500 + 1000, 0.95);
+    this.check("new register, interval, rhythm and dynamics", CHANNELS.every(c => attention[c] === 1),
+      CHANNELS.map(c => attention[c].toFixed(2)).join(' '));
+
+    const partial = new Habituation(PARAMS);
+    for (let i = 0; i < 20; i++) partial.observe(60 + (i % 2) * 2, i * 500, 0.6);
+    const louder = partial.observe(60, 10000, 0.95);
+    this.check("only what changed is new", louder.attention.dynamics === 1 && louder.attention.register < 0.1 &&
+      louder.novelty > 0.25 && louder.novelty < 0.35, louder.novelty.toFixed(3));
+  }
+
+  // Test 3: absence brings sensitivity back
+  testRecovery() {
+    console.log("\nTest 3: Recovery");
+    const habituation = new Habituation(PARAMS);
+    for (let i = 0; i < 20; i++) habituation.observe(60, i * 300, 0.5);
+    const end = 19 * 300;
+    const soon = habituation.sensitivity('register', '5', end + 1000);
+    const later = habituation.sensitivity('register', '5', end + PARAMS.RECOVERY);
+    const much = habituation.sensitivity('register', '5', end + 5 * PARAMS.RECOVERY);
+    this.check("recovers over time", soon < later && later > 0.6 && much > 0.99,
+      `${soon.toFixed(2)} ${later.toFixed(2)} ${much.toFixed(2)}`);
+    this.check("boredom eases in silence", habituation.boredom(end + 5 * PARAMS.RECOVERY) < habituation.boredom(end) / 10);
+    this.check("unheard stimuli are fresh", habituation.sensitivity('register', '7', end) === 1);
+  }
+
+  // Test 4: what was heard survives a save and restore
+  testSerialization() {
+    console.log("\nTest 4: Serialization");
+    const habituation = new Habituation(PARAMS);
+    for (let i = 0; i < 12; i++) habituation.observe(48 + (i % 3) * 4, i * 400, 0.4 + (i % 2) * 0.3);
+    const restored = Habituation.fromJSON(JSON.parse(JSON.stringify(habituation)), PARAMS);
+    const next = [habituation.observe(55, 5000, 0.5), restored.observe(55, 5000, 0.5)];
+    this.check("same novelty after restore", next[0].novelty === next[1].novelty, next[0].novelty.toFixed(3));
+    this.check("nothing saved → fresh", Habituation.fromJSON(null, PARAMS).boredom(0) === 0);
+  }
+}
+
+// Run tests if this file is executed directly
+if (typeof window === 'undefined') {
+  const tester = new HabituationTests();
+  const allPassed = tester.runAllTests();
+  process.exit(allPassed ? 0 : 1);
+}
+
+export default HabituationTests;
@@ -0,0 +1,42 @@
+// Keyboard Range – which part of the 0‒127 MIDI range the on-screen piano
+// shows. Every note is still played and analysed; this only affects display.
+
+// ---------- CONSTANTS ----------
+export const MIDI_LOW = 0;
+export const MIDI_HIGH = 127;
+
+// Preset sizes by key count; `auto` grows from 61 keys to fit what is played
+export const KEYBOARD_RANGES = {
+  61: { low: 36, high: 96, label: '61' },  // C2‒C7
+  76: { low: 28, high: 103, label: '76' }, // E1‒G7
+  88: { low: 21, high: 108, label: '88' }, // A0‒C8
+  auto: { low: 36, high: 96, label: 'auto' }
+};
+
+export const DEFAULT_KEYBOARD_RANGE = '61';
+export const KEYBOARD_RANGE_KEY = 'musicolour-keyboard-range';
+
+// ---------- HELPERS ----------
+/**
+ * Widen a range so it includes `midi`, snapping to whole octaves (C to C) so
+ * the keyboard never starts or ends on a black key.
+ * @returns {{ low: number, high: number }} the same object if nothing changed
+ */
+export function fitRange(range, midi) {
+  if (midi >= range.low && midi <= range.high) return range;
+  const low = midi < range.low ? Math.max(MIDI_LOW, midi - (midi % 12)) : range.low;
+  const high = midi > range.high ? Math.min(MIDI_HIGH, midi + ((12 - (midi % 12)) % 12)) : range.high;
+  return { low, high };
+}
+
+/**
+ * Split sounding MIDI pitches into those below and above the visible range.
+ * @returns {{ below: number[], above: number[] }} each sorted outward from the keyboard
+ */
+export function outOfView(pitches, range) {
+  const sorted = [...pitches].sort((a, b) => a - b);
+  return {
+    below: sorted.filter(p => p < range.low).reverse(),
+    above: sorted.filter(p => p > range.high)
+  };
+}
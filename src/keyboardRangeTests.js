@@ -0,0 +1,71 @@
+/* global process */
+// Tests for on-screen keyboard ranges (run with `node src/keyboardRangeTests.js`)
+import { KEYBOARD_RANGES, fitRange, outOfView } from './keyboardRange.js';
+
+class KeyboardRangeTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  runAllTests() {
+    console.log("=== KEYBOARD RANGE TESTS ===\n");
+
+    this.testPresets();
+    this.testAutoFit();
+    this.testOutOfView();
+
+    console.log("\n=== TEST SUMMARY ===");
+    const passed = this.testResults.filter(r => r.passed).length;
+    const total = this.testResults.length;
+    console.log(`Passed: ${passed}/${total}`);
+
+    return passed === total;
+  }
+
+  check(name, passed, detail = '') {
+    this.testResults.push({ name, passed });
+    console.log(`${passed ? "✓" : "✗"} ${name}${detail ? ` (${detail})` : ''}`);
+  }
+
+  // Test 1: preset sizes have the advertised number of keys
+  testPresets() {
+    console.log("\nTest 1: Presets");
+    ['61', '76', '88'].forEach(size => {
+      const { low, high } = KEYBOARD_RANGES[size];
+      this.check(`${size} keys`, high - low + 1 === Number(size), `${low}-${high}`);
+    });
+  }
+
+  // Test 2: auto-fit widens by whole octaves and stays inside 0‒127
+  testAutoFit() {
+    console.log("\nTest 2: Auto-fit");
+    const start = KEYBOARD_RANGES.auto;
+    this.check("in-range note leaves range alone", fitRange(start, 60) === start);
+
+    const lower = fitRange(start, 23); // B0
+    this.check("widens down to a C", lower.low === 12 && lower.high === 96, JSON.stringify(lower));
+
+    const upper = fitRange(start, 100); // E7
+    this.check("widens up to a C", upper.low === 36 && upper.high === 108, JSON.stringify(upper));
+
+    const extremes = fitRange(fitRange(start, 0), 127);
+    this.check("clamped to MIDI range", extremes.low === 0 && extremes.high === 127, JSON.stringify(extremes));
+  }
+
+  // Test 3: hidden notes are reported per side, nearest first
+  testOutOfView() {
+    console.log("\nTest 3: Out-of-view notes");
+    const { below, above } = outOfView(new Set([20, 60, 110, 30, 127]), KEYBOARD_RANGES['61']);
+    this.check("below", below.join() === '30,20', below.join());
+    this.check("above", above.join() === '110,127', above.join());
+  }
+}
+
+// Run tests if this file is executed directly
+if (typeof window === 'undefined') {
+  const tester = new KeyboardRangeTests();
+  const allPassed = tester.runAllTests();
+  process.exit(allPassed ? 0 : 1);
+}
+
+export default KeyboardRangeTests;
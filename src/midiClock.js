@@ -0,0 +1,128 @@
+// MIDI Clock – follows the 24-per-quarter-note clock of other gear (a drum
+// machine, a DAW) and sends one at the engine's detected tempo, so
+// Musicolour can sit in a live rig. Times are in ms on one clock, e.g.
+// MIDI event timestamps and performance.now().
+
+// ---------- CONSTANTS ----------
+export const CLOCK_TICK = 0xF8;
+export const CLOCK_START = 0xFA;
+export const CLOCK_CONTINUE = 0xFB;
+export const CLOCK_STOP = 0xFC;
+export const PPQN = 24; // ticks per quarter note
+
+export const MIDI_CLOCK_SYNC_KEY = 'musicolour-midi-clock-sync';
+
+export const CLOCK_TIMEOUT = 500;   // ms without ticks before the clock counts as gone
+export const CLOCK_LOOKAHEAD = 100; // ms of outgoing ticks scheduled ahead
+export const DEFAULT_CLOCK_BPM = 120;
+const MIN_BPM = 20;
+const MAX_BPM = 300;
+
+// ---------- CLOCK IN ----------
+// handle() digests one realtime message and returns what happened:
+// 'tick', 'beat' (a tick on a quarter note), 'start', 'continue', 'stop',
+// or null for anything else. Tempo is the mean of the last quarter note's
+// tick intervals, which evens out timestamp jitter.
+export class MidiClockIn {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.ticks = [];       // recent tick times
+    this.count = 0;        // ticks since start
+    this.running = false;  // between start/continue and stop
+    this.beatTime = null;  // time of the latest quarter-note tick
+  }
+
+  // ms per beat, once a quarter note of ticks has arrived
+  get period() {
+    if (this.ticks.length <= PPQN / 2) return null;
+    const span = this.ticks.at(-1) - this.ticks[0];
+    return (span / (this.ticks.length - 1)) * PPQN;
+  }
+
+  get tempo() {
+    return this.period ? 60000 / this.period : null;
+  }
+
+  // Still receiving ticks at `now`?
+  alive(now) {
+    return this.ticks.length > 0 && now - this.ticks.at(-1) < CLOCK_TIMEOUT;
+  }
+
+  handle(status, time) {
+    switch (status) {
+      case CLOCK_TICK: {
+        // A gap means the clock went away and came back: old ticks mislead
+        if (this.ticks.length && time - this.ticks.at(-1) > CLOCK_TIMEOUT) this.ticks = [];
+        this.ticks.push(time);
+        if (this.ticks.length > PPQN + 1) this.ticks.shift();
+        const onBeat = this.count % PPQN === 0;
+        this.count++;
+        if (!onBeat) return 'tick';
+        this.beatTime = time;
+        return 'beat';
+      }
+      case CLOCK_START:
+        // The next tick is the downbeat of the song
+        this.count = 0;
+        this.running = true;
+        return 'start';
+      case CLOCK_CONTINUE:
+        this.running = true;
+        return 'continue';
+      case CLOCK_STOP:
+        this.running = false;
+        return 'stop';
+      default:
+        return null;
+    }
+  }
+}
+
+// ---------- CLOCK OUT ----------
+// send(bytes, time) delivers one message at a future time (e.g. a
+// MIDIOutput's send). pump() schedules the ticks due within the lookahead
+// and should run every few tens of ms while the clock is on.
+export class MidiClockOut {
+  constructor(send) {
+    this.send = send;
+    this.running = false;
+    this.bpm = DEFAULT_CLOCK_BPM;
+    this.nextTick = null;
+  }
+
+  start(now, bpm = this.bpm) {
+    this.setTempo(bpm);
+    this.running = true;
+    this.nextTick = now;
+    this.send([CLOCK_START], now);
+  }
+
+  stop(now) {
+    if (!this.running) return;
+    this.running = false;
+    this.send([CLOCK_STOP], now);
+  }
+
+  // Ignores missing or implausible tempos
+  setTempo(bpm) {
+    if (Number.isFinite(bpm) && bpm >= MIN_BPM && bpm <= MAX_BPM) this.bpm = bpm;
+  }
+
+  // Returns how many ticks were scheduled
+  pump(now) {
+    if (!this.running) return 0;
+    const interval = 60000 / this.bpm / PPQN;
+    // After a stall (e.g. a background tab) carry on from now, not in a burst
+    if (this.nextTick < now - CLOCK_LOOKAHEAD) this.nextTick = now;
+    let sent = 0;
+    while (this.nextTick < now + CLOCK_LOOKAHEAD) {
+      this.send([CLOCK_TICK], this.nextTick);
+      this.nextTick += interval;
+      sent++;
+    }
+    return sent;
+  }
+}
@@ -0,0 +1,93 @@
+/* global process */
+// Tests for MIDI clock in and out (run with `node src/midiClockTests.js`)
+import {
+  MidiClockIn, MidiClockOut, CLOCK_TICK, CLOCK_START, CLOCK_STOP, CLOCK_TIMEOUT, CLOCK_LOOKAHEAD, PPQN
+} from './midiClock.js';
+
+class MidiClockTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  runAllTests() {
+    console.log("=== MIDI CLOCK TESTS ===\n");
+
+    this.testClockIn();
+    this.testClockOut();
+
+    console.log("\n=== TEST SUMMARY ===");
+    const passed = this.testResults.filter(r => r.passed).length;
+    const total = this.testResults.length;
+    console.log(`Passed: ${passed}/${total}`);
+
+    return passed === total;
+  }
+
+  check(name, passed, detail = '') {
+    this.testResults.push({ name, passed });
+    console.log(`${passed ? "✓" : "✗"} ${name}${detail ? ` (${detail})` : ''}`);
+  }
+
+  // Test 1: tempo and beats from incoming ticks
+  testClockIn() {
+    console.log("\nTest 1: Clock in");
+    const clock = new MidiClockIn();
+    this.check("no tempo before ticks", clock.tempo === null && !clock.alive(0));
+
+    // 90 BPM with ±1 ms of timestamp jitter
+    const interval = 60000 / 90 / PPQN;
+    clock.handle(CLOCK_START, 0);
+    const events = [];
+    for (let i = 0; i < 3 * PPQN; i++) {
+      events.push(clock.handle(CLOCK_TICK, 1000 + i * interval + (i % 2 ? 1 : -1)));
+    }
+    this.check("tempo", Math.abs(clock.tempo - 90) < 0.5, clock.tempo.toFixed(2));
+    this.check("beats every quarter note", events.filter(e => e === 'beat').length === 3 && events[0] === 'beat');
+    this.check("beat time", Math.abs(clock.beatTime - (1000 + 2 * PPQN * interval)) <= 1);
+    this.check("running", clock.running && clock.handle(CLOCK_STOP, 4000) === 'stop' && !clock.running);
+
+    const last = 1000 + (3 * PPQN - 1) * interval;
+    this.check("goes quiet", clock.alive(last + 100) && !clock.alive(last + CLOCK_TIMEOUT + 1));
+    // Coming back much later at another tempo: the old ticks are dropped
+    for (let i = 0; i < PPQN; i++) clock.handle(CLOCK_TICK, 10000 + i * (60000 / 140 / PPQN));
+    this.check("new tempo after a gap", Math.abs(clock.tempo - 140) < 0.5, clock.tempo.toFixed(2));
+    this.check("other messages ignored", clock.handle(0x90, 0) === null);
+  }
+
+  // Test 2: outgoing ticks are scheduled ahead at the set tempo
+  testClockOut() {
+    console.log("\nTest 2: Clock out");
+    const sent = [];
+    const clock = new MidiClockOut((bytes, time) => sent.push({ status: bytes[0], time }));
+    clock.pump(0);
+    this.check("silent until started", sent.length === 0);
+
+    clock.start(0, 150); // 150 BPM: a tick every 16.67 ms
+    clock.pump(0);
+    const ticks = sent.filter(m => m.status === CLOCK_TICK);
+    this.check("start, then the lookahead's ticks", sent[0].status === CLOCK_START &&
+      ticks.length === Math.ceil(CLOCK_LOOKAHEAD / (60000 / 150 / PPQN)), `${ticks.length}`);
+    this.check("no double scheduling", clock.pump(10) === 1);
+
+    clock.setTempo(null); // nothing detected: keep going
+    clock.setTempo(600);  // implausible
+    this.check("bad tempos ignored", clock.bpm === 150);
+
+    sent.length = 0;
+    clock.pump(5000); // after a stall
+    this.check("no burst after a stall", sent.length <= Math.ceil(CLOCK_LOOKAHEAD / (60000 / 150 / PPQN)) && sent[0].time === 5000);
+
+    clock.stop(5100);
+    clock.stop(5200);
+    this.check("stop sent once", sent.filter(m => m.status === CLOCK_STOP).length === 1 && clock.pump(5300) === 0);
+  }
+}
+
+// Run tests if this file is executed directly
+if (typeof window === 'undefined') {
+  const tester = new MidiClockTests();
+  const allPassed = tester.runAllTests();
+  process.exit(allPassed ? 0 : 1);
+}
+
+export default MidiClockTests;
@@ -0,0 +1,105 @@
+/* global process */
+// Tests for MIDI input routing (run with `node src/midiDeviceTests.js`)
+import MidiDeviceRouter, { ALL_CHANNELS, MIDI_DEVICE_SETTINGS_KEY } from './midiDevices.js';
+
+// In-memory stand-in for localStorage
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+}
+
+const keyboard = { id: 'input-1', name: 'Stage Piano', manufacturer: 'Acme', state: 'connected' };
+const pads = { id: 'input-2', name: 'Pad Controller', manufacturer: 'Acme', state: 'connected' };
+
+class MidiDeviceTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  runAllTests() {
+    console.log("=== MIDI DEVICE TESTS ===\n");
+
+    this.testDefaults();
+    this.testFiltering();
+    this.testPersistence();
+
+    console.log("\n=== TEST SUMMARY ===");
+    const passed = this.testResults.filter(r => r.passed).length;
+    const total = this.testResults.length;
+    console.log(`Passed: ${passed}/${total}`);
+
+    return passed === total;
+  }
+
+  check(name, passed, detail = '') {
+    this.testResults.push({ name, passed });
+    console.log(`${passed ? "✓" : "✗"} ${name}${detail ? ` (${detail})` : ''}`);
+  }
+
+  // Test 1: unknown devices are enabled on every channel
+  testDefaults() {
+    console.log("\nTest 1: Defaults");
+    const router = new MidiDeviceRouter({ storage: new MemoryStorage() });
+    const settings = router.settingsFor(keyboard);
+    this.check("enabled, all channels", settings.enabled && settings.channel === ALL_CHANNELS);
+    this.check("accepts any channel", router.accepts(keyboard, 0x90) && router.accepts(keyboard, 0x9F));
+  }
+
+  // Test 2: disabled devices and other channels are filtered out
+  testFiltering() {
+    console.log("\nTest 2: Filtering");
+    const router = new MidiDeviceRouter({ storage: new MemoryStorage() });
+    router.setEnabled(pads, false);
+    this.check("disabled device is ignored", !router.accepts(pads, 0x90) && router.accepts(keyboard, 0x90));
+
+    router.setChannel(keyboard, 9);
+    this.check("channel filter", router.accepts(keyboard, 0x99) && router.accepts(keyboard, 0x89) &&
+      !router.accepts(keyboard, 0x90));
+    this.check("system messages pass the channel filter", router.accepts(keyboard, 0xF8));
+
+    router.setChannel(keyboard, 42);
+    this.check("invalid channel means all channels", router.settingsFor(keyboard).channel === ALL_CHANNELS);
+
+    const described = router.describe([keyboard, pads]);
+    this.check("describe lists settings", described.length === 2 && described[1].enabled === false &&
+      described[0].name === 'Stage Piano');
+  }
+
+  // Test 3: settings survive a reload and a reconnect under a new port id
+  testPersistence() {
+    console.log("\nTest 3: Persistence");
+    const storage = new MemoryStorage();
+    const first = new MidiDeviceRouter({ storage });
+    let notified = 0;
+    first.subscribe(() => notified++);
+    first.setEnabled(pads, false);
+    first.setChannel(keyboard, 3);
+    this.check("changes notify listeners", notified === 2);
+
+    const second = new MidiDeviceRouter({ storage });
+    const replugged = { ...keyboard, id: 'input-7' };
+    this.check("settings restored", !second.settingsFor(pads).enabled && second.settingsFor(replugged).channel === 3);
+
+    storage.setItem(MIDI_DEVICE_SETTINGS_KEY, '{not json');
+    const third = new MidiDeviceRouter({ storage });
+    this.check("unreadable settings fall back to defaults", third.settingsFor(pads).enabled);
+  }
+}
+
+// Run tests if this file is executed directly
+if (typeof window === 'undefined') {
+  const tester = new MidiDeviceTests();
+  const allPassed = tester.runAllTests();
+  process.exit(allPassed ? 0 : 1);
+}
+
+export default MidiDeviceTests;
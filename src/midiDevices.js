@@ -0,0 +1,96 @@
+// MIDI Device Router – decides which connected MIDI inputs (and which of
+// their channels) may play the engine, and remembers those choices in
+// localStorage so a controller keeps its settings when it is re-plugged.
+
+// ---------- CONSTANTS ----------
+export const MIDI_DEVICE_SETTINGS_KEY = 'musicolour-midi-devices';
+
+// Channel filter value meaning "listen on every channel"
+export const ALL_CHANNELS = null;
+
+const DEFAULT_SETTINGS = { enabled: true, channel: ALL_CHANNELS };
+
+// Port ids are not guaranteed to survive a reconnect, so settings are keyed
+// by what the device calls itself
+export const deviceKey = (port) => `${port.manufacturer || ''}|${port.name || port.id}`;
+
+// ---------- MIDI DEVICE ROUTER ----------
+class MidiDeviceRouter {
+  constructor({ storage = globalThis.localStorage } = {}) {
+    this.storage = storage;
+    this.listeners = new Set();
+    this.settings = this.load(); // deviceKey → { enabled, channel }
+  }
+
+  load() {
+    try {
+      const saved = this.storage?.getItem(MIDI_DEVICE_SETTINGS_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.warn('Ignoring unreadable MIDI device settings:', error);
+      return {};
+    }
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(MIDI_DEVICE_SETTINGS_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.warn('Could not save MIDI device settings:', error);
+    }
+  }
+
+  settingsFor(port) {
+    return { ...DEFAULT_SETTINGS, ...this.settings[deviceKey(port)] };
+  }
+
+  update(port, changes) {
+    this.settings[deviceKey(port)] = { ...this.settingsFor(port), ...changes };
+    this.save();
+    this.emit();
+  }
+
+  setEnabled(port, enabled) {
+    this.update(port, { enabled: Boolean(enabled) });
+  }
+
+  // channel: 0‒15, or ALL_CHANNELS
+  setChannel(port, channel) {
+    const valid = Number.isInteger(channel) && channel >= 0 && channel <= 15;
+    this.update(port, { channel: valid ? channel : ALL_CHANNELS });
+  }
+
+  // Should a message with this status byte from `port` reach the engine?
+  // System messages (0xF0 and up) carry no channel and pass whenever the
+  // device is enabled.
+  accepts(port, status) {
+    const { enabled, channel } = this.settingsFor(port);
+    if (!enabled) return false;
+    if (channel === ALL_CHANNELS || status >= 0xF0) return true;
+    return (status & 0x0F) === channel;
+  }
+
+  // Inputs with their settings, for the devices panel
+  describe(inputs) {
+    return Array.from(inputs, port => ({
+      id: port.id,
+      key: deviceKey(port),
+      name: port.name,
+      manufacturer: port.manufacturer || '',
+      state: port.state,
+      ...this.settingsFor(port)
+    }));
+  }
+
+  // ---------- SUBSCRIPTIONS ----------
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+export default MidiDeviceRouter;
@@ -0,0 +1,79 @@
+// MIDI Expression – decodes the continuous controls of a performance (pitch
+// bend, mod wheel, channel and polyphonic aftertouch) into plain values that
+// the instrument, the musicality engine and the fluid visuals all share.
+
+// ---------- CONSTANTS ----------
+// Engine expression types (see MusicalityEngine.processExpression)
+export const EXPRESSION = {
+  PITCH_BEND: 'pitchBend',   // −1‒1
+  MODULATION: 'modulation',  // 0‒1
+  AFTERTOUCH: 'aftertouch'   // 0‒1
+};
+
+export const MODULATION_CC = 1;
+
+// Semitones at full bend either way (the General MIDI default)
+export const BEND_RANGE = 2;
+
+// ---------- DECODING ----------
+/**
+ * Decode a channel message into an expression change.
+ * @returns {{ type: string, value: number, channel: number, note?: number }|null}
+ *   null for anything that is not pitch bend, CC1 or aftertouch
+ */
+export function decodeExpression(status, data1, data2) {
+  const command = status & 0xF0;
+  const channel = status & 0x0F;
+  switch (command) {
+    case 0xE0: {
+      // 14-bit, centre 8192; scaled so both extremes reach exactly ±1
+      const offset = ((data2 << 7) | data1) - 8192;
+      return { type: EXPRESSION.PITCH_BEND, value: offset / (offset > 0 ? 8191 : 8192), channel };
+    }
+    case 0xB0:
+      return data1 === MODULATION_CC ? { type: EXPRESSION.MODULATION, value: data2 / 127, channel } : null;
+    case 0xD0:
+      return { type: EXPRESSION.AFTERTOUCH, value: data1 / 127, channel };
+    case 0xA0:
+      return { type: EXPRESSION.AFTERTOUCH, value: data2 / 127, channel, note: data1 };
+    default:
+      return null;
+  }
+}
+
+// ---------- EXPRESSION STATE ----------
+// The instrument has one bend/vibrato/pressure for all voices, so per-note
+// (polyphonic) pressure is folded into one value: the firmest key wins.
+class ExpressionState {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.values = { pitchBend: 0, modulation: 0, aftertouch: 0 };
+    this.channelPressure = 0;
+    this.notePressure = new Map(); // MIDI pitch → 0‒1
+  }
+
+  // Apply a decoded change; returns the combined value for its type
+  apply({ type, value, note }) {
+    if (type === EXPRESSION.AFTERTOUCH) {
+      if (note === undefined) this.channelPressure = value;
+      else if (value > 0) this.notePressure.set(note, value);
+      else this.notePressure.delete(note);
+      this.values.aftertouch = Math.max(this.channelPressure, ...this.notePressure.values());
+    } else {
+      this.values[type] = value;
+    }
+    return this.values[type];
+  }
+
+  // A released key stops pressing; returns the new combined aftertouch
+  releaseNote(note) {
+    if (!this.notePressure.delete(note)) return this.values.aftertouch;
+    this.values.aftertouch = Math.max(this.channelPressure, ...this.notePressure.values());
+    return this.values.aftertouch;
+  }
+}
+
+export default ExpressionState;
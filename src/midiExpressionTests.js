@@ -0,0 +1,69 @@
+/* global process */
+// Tests for pitch bend / modulation / aftertouch decoding (run with `node src/midiExpressionTests.js`)
+import ExpressionState, { EXPRESSION, decodeExpression } from './midiExpression.js';
+
+class MidiExpressionTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  runAllTests() {
+    console.log("=== MIDI EXPRESSION TESTS ===\n");
+
+    this.testDecoding();
+    this.testPressure();
+
+    console.log("\n=== TEST SUMMARY ===");
+    const passed = this.testResults.filter(r => r.passed).length;
+    const total = this.testResults.length;
+    console.log(`Passed: ${passed}/${total}`);
+
+    return passed === total;
+  }
+
+  check(name, passed, detail = '') {
+    this.testResults.push({ name, passed });
+    console.log(`${passed ? "✓" : "✗"} ${name}${detail ? ` (${detail})` : ''}`);
+  }
+
+  // Test 1: status bytes decode to normalised values
+  testDecoding() {
+    console.log("\nTest 1: Decoding");
+    const bend = (lsb, msb) => decodeExpression(0xE3, lsb, msb);
+    this.check("bend centre, extremes", bend(0, 64).value === 0 && bend(0, 0).value === -1 &&
+      bend(127, 127).value === 1 && bend(0, 64).channel === 3);
+    this.check("mod wheel", decodeExpression(0xB0, 1, 127).type === EXPRESSION.MODULATION &&
+      decodeExpression(0xB0, 1, 127).value === 1);
+    this.check("other CCs ignored", decodeExpression(0xB0, 64, 127) === null && decodeExpression(0x90, 60, 100) === null);
+
+    const poly = decodeExpression(0xA0, 60, 127);
+    const channel = decodeExpression(0xD1, 64);
+    this.check("aftertouch", poly.type === EXPRESSION.AFTERTOUCH && poly.note === 60 && poly.value === 1 &&
+      channel.note === undefined && Math.abs(channel.value - 64 / 127) < 1e-9);
+  }
+
+  // Test 2: polyphonic pressure folds into one value
+  testPressure() {
+    console.log("\nTest 2: Combined pressure");
+    const state = new ExpressionState();
+    state.apply({ type: EXPRESSION.AFTERTOUCH, value: 0.3, note: 60 });
+    const firmest = state.apply({ type: EXPRESSION.AFTERTOUCH, value: 0.8, note: 64 });
+    this.check("firmest key wins", firmest === 0.8);
+    this.check("release falls back to the others", state.releaseNote(64) === 0.3 && state.releaseNote(60) === 0);
+
+    state.apply({ type: EXPRESSION.AFTERTOUCH, value: 0.5 });
+    state.apply({ type: EXPRESSION.PITCH_BEND, value: -0.25 });
+    this.check("channel pressure and bend", state.values.aftertouch === 0.5 && state.values.pitchBend === -0.25);
+    state.reset();
+    this.check("reset", state.values.aftertouch === 0 && state.values.pitchBend === 0 && state.notePressure.size === 0);
+  }
+}
+
+// Run tests if this file is executed directly
+if (typeof window === 'undefined') {
+  const tester = new MidiExpressionTests();
+  const allPassed = tester.runAllTests();
+  process.exit(allPassed ? 0 : 1);
+}
+
+export default MidiExpressionTests;
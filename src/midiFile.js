@@ -0,0 +1,609 @@
+// Standard MIDI File parser and writer – formats 0, 1 and 2, PPQ and SMPTE timing.
+// Pure module (no DOM, no React) so it can be driven from Node tests.
+
+// ---------- CONSTANTS ----------
+const HEADER_ID = 'MThd';
+const TRACK_ID = 'MTrk';
+const DEFAULT_TEMPO = 500000; // µs per quarter note (120 BPM)
+
+// Channel voice messages: status nibble → number of data bytes
+const CHANNEL_DATA_LENGTH = {
+  0x80: 2, // note off
+  0x90: 2, // note on
+  0xA0: 2, // polyphonic aftertouch
+  0xB0: 2, // control change
+  0xC0: 1, // program change
+  0xD0: 1, // channel aftertouch
+  0xE0: 2  // pitch bend
+};
+
+// Meta event type byte → event type name
+const META_TYPES = {
+  0x00: 'sequenceNumber',
+  0x01: 'text',
+  0x02: 'copyright',
+  0x03: 'trackName',
+  0x04: 'instrumentName',
+  0x05: 'lyric',
+  0x06: 'marker',
+  0x07: 'cuePoint',
+  0x20: 'channelPrefix',
+  0x21: 'portPrefix',
+  0x2F: 'endOfTrack',
+  0x51: 'tempo',
+  0x54: 'smpteOffset',
+  0x58: 'timeSignature',
+  0x59: 'keySignature',
+  0x7F: 'sequencerSpecific'
+};
+
+const TEXT_META = new Set([
+  'text', 'copyright', 'trackName', 'instrumentName', 'lyric', 'marker', 'cuePoint'
+]);
+
+const KEY_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// ---------- BYTE READER ----------
+class ByteReader {
+  constructor(data, pos = 0, end = data.length) {
+    this.data = data;
+    this.pos = pos;
+    this.end = end;
+  }
+
+  get remaining() {
+    return this.end - this.pos;
+  }
+
+  ensure(count) {
+    if (this.pos + count > this.end) {
+      throw new Error(`Unexpected end of MIDI data at byte ${this.pos}`);
+    }
+  }
+
+  uint8() {
+    this.ensure(1);
+    return this.data[this.pos++];
+  }
+
+  uint16() {
+    this.ensure(2);
+    const v = (this.data[this.pos] << 8) | this.data[this.pos + 1];
+    this.pos += 2;
+    return v;
+  }
+
+  uint32() {
+    this.ensure(4);
+    const d = this.data;
+    const v = ((d[this.pos] << 24) >>> 0) + (d[this.pos + 1] << 16) + (d[this.pos + 2] << 8) + d[this.pos + 3];
+    this.pos += 4;
+    return v;
+  }
+
+  ascii(length) {
+    this.ensure(length);
+    let s = '';
+    for (let i = 0; i < length; i++) s += String.fromCharCode(this.data[this.pos + i]);
+    this.pos += length;
+    return s;
+  }
+
+  bytes(length) {
+    this.ensure(length);
+    const out = this.data.slice(this.pos, this.pos + length);
+    this.pos += length;
+    return out;
+  }
+
+  // Variable-length quantity: up to 4 bytes, 7 bits each, MSB = continuation
+  vlq() {
+    let value = 0;
+    for (let i = 0; i < 4; i++) {
+      const byte = this.uint8();
+      value = (value << 7) | (byte & 0x7F);
+      if (!(byte & 0x80)) return value;
+    }
+    throw new Error(`Variable-length quantity longer than 4 bytes at byte ${this.pos}`);
+  }
+}
+
+const decodeText = (bytes) => {
+  if (typeof TextDecoder !== 'undefined') {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+  return String.fromCharCode(...bytes);
+};
+
+// ---------- HEADER ----------
+function parseDivision(raw) {
+  if (raw & 0x8000) {
+    // SMPTE: high byte is negative frames-per-second, low byte ticks per frame
+    const fpsByte = (raw >> 8) & 0xFF;
+    const fps = 256 - fpsByte; // two's complement
+    return {
+      type: 'smpte',
+      framesPerSecond: fps === 29 ? 29.97 : fps,
+      ticksPerFrame: raw & 0xFF
+    };
+  }
+  return { type: 'ppq', ticksPerQuarter: raw };
+}
+
+// ---------- TRACK EVENTS ----------
+function parseMetaEvent(reader, base) {
+  const metaType = reader.uint8();
+  const length = reader.vlq();
+  const payload = reader.bytes(length);
+  const type = META_TYPES[metaType] || 'meta';
+  const event = { ...base, type };
+
+  if (TEXT_META.has(type)) {
+    event.text = decodeText(payload);
+  } else if (type === 'tempo' && length === 3) {
+    event.microsecondsPerQuarter = (payload[0] << 16) | (payload[1] << 8) | payload[2];
+    event.bpm = 60000000 / event.microsecondsPerQuarter;
+  } else if (type === 'timeSignature' && length >= 2) {
+    event.numerator = payload[0];
+    event.denominator = 2 ** payload[1];
+    event.clocksPerClick = payload[2] ?? 24;
+    event.thirtySecondsPerQuarter = payload[3] ?? 8;
+  } else if (type === 'keySignature' && length >= 2) {
+    const sharpsFlats = payload[0] > 127 ? payload[0] - 256 : payload[0];
+    const minor = payload[1] === 1;
+    const majorTonic = (((sharpsFlats * 7) % 12) + 12) % 12;
+    event.sharpsFlats = sharpsFlats;
+    event.minor = minor;
+    event.tonic = minor ? (majorTonic + 9) % 12 : majorTonic;
+    event.key = `${KEY_NAMES[event.tonic]} ${minor ? 'minor' : 'major'}`;
+  } else if (type === 'sequenceNumber' && length === 2) {
+    event.number = (payload[0] << 8) | payload[1];
+  } else if ((type === 'channelPrefix' || type === 'portPrefix') && length === 1) {
+    event.value = payload[0];
+  } else if (type === 'smpteOffset' && length === 5) {
+    const [hr, mn, se, fr, ff] = payload;
+    event.hours = hr & 0x1F;
+    event.minutes = mn;
+    event.seconds = se;
+    event.frames = fr;
+    event.subFrames = ff;
+  } else {
+    event.metaType = metaType;
+    event.data = payload;
+  }
+  return event;
+}
+
+function parseChannelEvent(status, firstData, reader, base) {
+  const command = status & 0xF0;
+  const channel = status & 0x0F;
+  const data2 = CHANNEL_DATA_LENGTH[command] === 2 ? reader.uint8() : null;
+  const event = { ...base, channel };
+
+  switch (command) {
+    case 0x80:
+      return { ...event, type: 'noteOff', note: firstData, velocity: data2 };
+    case 0x90:
+      // Note-on with velocity 0 is a note-off by convention
+      return data2 === 0
+        ? { ...event, type: 'noteOff', note: firstData, velocity: 0 }
+        : { ...event, type: 'noteOn', note: firstData, velocity: data2 };
+    case 0xA0:
+      return { ...event, type: 'polyAftertouch', note: firstData, pressure: data2 };
+    case 0xB0:
+      return { ...event, type: 'controlChange', controller: firstData, value: data2 };
+    case 0xC0:
+      return { ...event, type: 'programChange', program: firstData };
+    case 0xD0:
+      return { ...event, type: 'channelAftertouch', pressure: firstData };
+    default:
+      // 14-bit pitch bend, centred on 0 (-8192 … 8191)
+      return { ...event, type: 'pitchBend', value: ((data2 << 7) | firstData) - 8192 };
+  }
+}
+
+function parseTrack(reader, trackIndex, warnings) {
+  const events = [];
+  let tick = 0;
+  let runningStatus = null;
+
+  try {
+    while (reader.remaining > 0) {
+      tick += reader.vlq();
+      const base = { track: trackIndex, tick };
+
+      let status = reader.uint8();
+      let firstData = null;
+      if (status < 0x80) {
+        if (runningStatus === null) {
+          throw new Error(`Data byte without running status at byte ${reader.pos - 1}`);
+        }
+        firstData = status;
+        status = runningStatus;
+      }
+
+      if (status === 0xFF) {
+        // Meta and SysEx events cancel running status
+        runningStatus = null;
+        const event = parseMetaEvent(reader, base);
+        events.push(event);
+        if (event.type === 'endOfTrack') break;
+      } else if (status === 0xF0 || status === 0xF7) {
+        runningStatus = null;
+        const length = reader.vlq();
+        events.push({ ...base, type: 'sysEx', escape: status === 0xF7, data: reader.bytes(length) });
+      } else if (status < 0xF0) {
+        runningStatus = status;
+        if (firstData === null) firstData = reader.uint8();
+        events.push(parseChannelEvent(status, firstData, reader, base));
+      } else {
+        throw new Error(`Unsupported status byte 0x${status.toString(16)}`);
+      }
+    }
+  } catch (err) {
+    // Keep what was readable; truncated or corrupt track tails are common in the wild
+    warnings.push(`Track ${trackIndex}: ${err.message}`);
+  }
+
+  if (!events.length || events[events.length - 1].type !== 'endOfTrack') {
+    events.push({ track: trackIndex, tick, type: 'endOfTrack' });
+  }
+  return events;
+}
+
+// ---------- TIMING ----------
+// Build a tempo map (tick → ms) from the tempo events of one timeline.
+export function buildTempoMap(tempoEvents, division) {
+  if (division.type === 'smpte') {
+    return [{ tick: 0, time: 0, microsecondsPerQuarter: null, bpm: null }];
+  }
+
+  const sorted = [...tempoEvents].sort((a, b) => a.tick - b.tick);
+  const map = [{ tick: 0, time: 0, microsecondsPerQuarter: DEFAULT_TEMPO, bpm: 60000000 / DEFAULT_TEMPO }];
+  for (const ev of sorted) {
+    const prev = map[map.length - 1];
+    const time = prev.time + ((ev.tick - prev.tick) * prev.microsecondsPerQuarter) / division.ticksPerQuarter / 1000;
+    const entry = { tick: ev.tick, time, microsecondsPerQuarter: ev.microsecondsPerQuarter, bpm: ev.bpm };
+    // A tempo event at the same tick as the previous one replaces it
+    if (ev.tick === prev.tick) map[map.length - 1] = entry;
+    else map.push(entry);
+  }
+  return map;
+}
+
+// Convert a tick position to milliseconds using a tempo map from buildTempoMap.
+export function ticksToMs(tick, tempoMap, division) {
+  if (division.type === 'smpte') {
+    return (tick * 1000) / (division.framesPerSecond * division.ticksPerFrame);
+  }
+
+  let lo = 0;
+  let hi = tempoMap.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (tempoMap[mid].tick <= tick) lo = mid;
+    else hi = mid - 1;
+  }
+  const seg = tempoMap[lo];
+  return seg.time + ((tick - seg.tick) * seg.microsecondsPerQuarter) / division.ticksPerQuarter / 1000;
+}
+
+// Pair note-ons with note-offs (FIFO per track/channel/pitch) into notes with durations.
+function collectNotes(events, endTick, toMs) {
+  const open = new Map();
+  const notes = [];
+
+  const close = (pending, tick) => {
+    const time = toMs(pending.tick);
+    const end = toMs(tick);
+    notes.push({
+      note: pending.note,
+      velocity: pending.velocity / 127,
+      channel: pending.channel,
+      track: pending.track,
+      tick: pending.tick,
+      durationTicks: tick - pending.tick,
+      time,
+      duration: end - time
+    });
+  };
+
+  for (const ev of events) {
+    if (ev.type !== 'noteOn' && ev.type !== 'noteOff') continue;
+    const id = `${ev.track}:${ev.channel}:${ev.note}`;
+    if (ev.type === 'noteOn') {
+      if (!open.has(id)) open.set(id, []);
+      open.get(id).push(ev);
+    } else {
+      const queue = open.get(id);
+      if (queue && queue.length) close(queue.shift(), ev.tick);
+    }
+  }
+
+  // Hanging notes are closed at the end of their track
+  for (const queue of open.values()) {
+    queue.forEach(pending => close(pending, endTick));
+  }
+  return notes;
+}
+
+const byTime = (a, b) => a.time - b.time || a.track - b.track;
+
+// ---------- PUBLIC API ----------
+/**
+ * Parse a Standard MIDI File.
+ *
+ * Event objects keep raw MIDI values (velocity 0–127, pitch bend −8192…8191);
+ * every event carries `track`, `tick` and `time` (ms). Notes are paired
+ * note-on/note-off spans with `velocity` normalised to 0–1, matching what the
+ * musicality engine and the key handlers expect. Format 2 tracks are timed
+ * against their own tempo maps and then merged, so `events`/`notes` play
+ * every sequence at once; use `tracks[i]` to pick one.
+ *
+ * @param {ArrayBuffer|Uint8Array} input - raw file bytes
+ * @returns {object} { format, division, tracks, events, notes, tempoMap,
+ *   timeSignatures, keySignatures, duration, warnings }
+ */
+export function parseMidi(input) {
+  const data = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const reader = new ByteReader(data);
+
+  if (data.length < 14 || reader.ascii(4) !== HEADER_ID) {
+    throw new Error('Invalid MIDI file: missing MThd header');
+  }
+  const headerLength = reader.uint32();
+  if (headerLength < 6) {
+    throw new Error(`Invalid MIDI file: header length ${headerLength}`);
+  }
+  const headerEnd = reader.pos + headerLength;
+  const format = reader.uint16();
+  const trackCount = reader.uint16();
+  const division = parseDivision(reader.uint16());
+  reader.pos = headerEnd;
+
+  if (format > 2) {
+    throw new Error(`Unsupported MIDI format ${format}`);
+  }
+  if (division.type === 'ppq' && division.ticksPerQuarter === 0) {
+    throw new Error('Invalid MIDI file: zero ticks per quarter note');
+  }
+
+  // Read chunks; unknown chunk types are skipped as the spec requires
+  const warnings = [];
+  const rawTracks = [];
+  while (reader.remaining >= 8 && rawTracks.length < trackCount) {
+    const id = reader.ascii(4);
+    const length = reader.uint32();
+    const end = Math.min(reader.pos + length, data.length);
+    if (end - reader.pos < length) {
+      warnings.push(`Chunk ${id} declares ${length} bytes but the file ends early`);
+    }
+    if (id === TRACK_ID) {
+      rawTracks.push(parseTrack(new ByteReader(data, reader.pos, end), rawTracks.length, warnings));
+    }
+    reader.pos = end;
+  }
+
+  if (rawTracks.length === 0) {
+    throw new Error('Invalid MIDI file: no MTrk chunks');
+  }
+
+  // Format 2 tracks are independent sequences, each with its own tempo map.
+  // Formats 0/1 share one global tempo map built from every track's tempo events.
+  const isTempo = e => e.type === 'tempo' && e.microsecondsPerQuarter > 0;
+  const globalMap = buildTempoMap(rawTracks.flat().filter(isTempo), division);
+  const tempoMaps = rawTracks.map(events =>
+    format === 2 ? buildTempoMap(events.filter(isTempo), division) : globalMap
+  );
+
+  const tracks = rawTracks.map((events, index) => {
+    const toMs = tick => ticksToMs(tick, tempoMaps[index], division);
+    events.forEach(ev => { ev.time = toMs(ev.tick); });
+    const endTick = events[events.length - 1].tick;
+    const nameEvent = events.find(e => e.type === 'trackName');
+    const notes = collectNotes(events, endTick, toMs).sort(byTime);
+    const channels = [...new Set(events.filter(e => e.channel !== undefined).map(e => e.channel))].sort((a, b) => a - b);
+    return {
+      index,
+      name: nameEvent ? nameEvent.text : '',
+      channels,
+      events,
+      notes,
+      tempoMap: tempoMaps[index],
+      duration: toMs(endTick)
+    };
+  });
+
+  const events = tracks.flatMap(t => t.events).sort(byTime);
+  const notes = tracks.flatMap(t => t.notes).sort(byTime);
+  // A loop, not Math.max(...): dense files hold more notes than arguments fit on the stack
+  let duration = 0;
+  tracks.forEach(t => { duration = Math.max(duration, t.duration); });
+  notes.forEach(n => { duration = Math.max(duration, n.time + n.duration); });
+
+  return {
+    format,
+    division,
+    tracks,
+    events,
+    notes,
+    tempoMap: tempoMaps[0],
+    timeSignatures: events.filter(e => e.type === 'timeSignature'),
+    keySignatures: events.filter(e => e.type === 'keySignature'),
+    duration,
+    warnings
+  };
+}
+
+/**
+ * Read and parse a File/Blob (e.g. from an <input type="file">).
+ * @param {Blob} file
+ * @returns {Promise<object>} parsed MIDI, see parseMidi
+ */
+export async function readMidiFile(file) {
+  const buffer = await file.arrayBuffer();
+  return parseMidi(buffer);
+}
+
+export const MIDI_FILE_EXTENSIONS = ['.mid', '.midi'];
+export const MAX_MIDI_FILE_BYTES = 16 * 1024 * 1024;
+
+/**
+ * Check a picked or dropped file before reading it.
+ * @param {{ name: string, size: number }} file
+ * @returns {string|null} a message for the user, or null if it looks fine
+ */
+export function validateMidiFile(file) {
+  if (!file) return 'No file was selected.';
+  const name = file.name || '';
+  if (!MIDI_FILE_EXTENSIONS.some(ext => name.toLowerCase().endsWith(ext))) {
+    return `"${name}" is not a MIDI file – use a .mid or .midi file.`;
+  }
+  if (file.size === 0) return `"${name}" is empty.`;
+  if (file.size > MAX_MIDI_FILE_BYTES) return `"${name}" is too large to be a MIDI file.`;
+  return null;
+}
+
+// ---------- WRITING ----------
+// Byte lists are copied in loops, never spread into push() or uint8():
+// a long take has more bytes than fit in an argument list
+class ByteWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  uint8(...values) {
+    this.write(values);
+  }
+
+  write(values) {
+    for (const v of values) this.bytes.push(v & 0xFF);
+  }
+
+  uint16(v) {
+    this.uint8(v >> 8, v);
+  }
+
+  uint32(v) {
+    this.uint8(v >>> 24, v >>> 16, v >>> 8, v);
+  }
+
+  ascii(text) {
+    for (const ch of text) this.bytes.push(ch.charCodeAt(0) & 0x7F);
+  }
+
+  vlq(value) {
+    const groups = [value & 0x7F];
+    while ((value >>>= 7) > 0) groups.unshift((value & 0x7F) | 0x80);
+    this.write(groups);
+  }
+
+  chunk(id, body) {
+    this.ascii(id);
+    this.uint32(body.length);
+    this.write(body);
+  }
+}
+
+const encodeText = (text) => {
+  if (typeof TextEncoder !== 'undefined') return Array.from(new TextEncoder().encode(text));
+  return Array.from(text, ch => ch.charCodeAt(0) & 0xFF);
+};
+
+const META_CODES = Object.fromEntries(Object.entries(META_TYPES).map(([code, type]) => [type, Number(code)]));
+const dataByte = (v) => Math.max(0, Math.min(127, Math.round(v)));
+
+// Events at the same tick: meta first, then releases before new notes so a
+// repeated pitch is not cut off by its own note-off
+const WRITE_ORDER = { noteOff: 2, noteOn: 3 };
+const writeRank = (e) => (e.type in META_CODES ? 0 : WRITE_ORDER[e.type] ?? 1);
+
+function encodeEvent(writer, event) {
+  const channel = (event.channel ?? 0) & 0x0F;
+  switch (event.type) {
+    case 'noteOn':
+      return writer.uint8(0x90 | channel, dataByte(event.note), dataByte(event.velocity));
+    case 'noteOff':
+      return writer.uint8(0x80 | channel, dataByte(event.note), dataByte(event.velocity ?? 0));
+    case 'polyAftertouch':
+      return writer.uint8(0xA0 | channel, dataByte(event.note), dataByte(event.pressure));
+    case 'controlChange':
+      return writer.uint8(0xB0 | channel, dataByte(event.controller), dataByte(event.value));
+    case 'programChange':
+      return writer.uint8(0xC0 | channel, dataByte(event.program));
+    case 'channelAftertouch':
+      return writer.uint8(0xD0 | channel, dataByte(event.pressure));
+    case 'pitchBend': {
+      const value = Math.max(0, Math.min(16383, Math.round(event.value) + 8192));
+      return writer.uint8(0xE0 | channel, value & 0x7F, value >> 7);
+    }
+    case 'tempo': {
+      const us = Math.round(event.microsecondsPerQuarter ?? 60000000 / event.bpm);
+      return writer.uint8(0xFF, 0x51, 3, us >> 16, us >> 8, us);
+    }
+    case 'timeSignature':
+      return writer.uint8(0xFF, 0x58, 4, event.numerator, Math.log2(event.denominator),
+        event.clocksPerClick ?? 24, event.thirtySecondsPerQuarter ?? 8);
+    case 'keySignature':
+      return writer.uint8(0xFF, 0x59, 2, event.sharpsFlats, event.minor ? 1 : 0);
+    default:
+      if (TEXT_META.has(event.type)) {
+        const text = encodeText(event.text ?? '');
+        writer.uint8(0xFF, META_CODES[event.type]);
+        writer.vlq(text.length);
+        return writer.write(text);
+      }
+      throw new Error(`Cannot write MIDI event type ${event.type}`);
+  }
+}
+
+function encodeTrack({ name, events = [] }) {
+  const writer = new ByteWriter();
+  const sorted = events
+    .filter(e => e.type !== 'endOfTrack')
+    .map((e, i) => ({ e, i }))
+    .sort((a, b) => a.e.tick - b.e.tick || writeRank(a.e) - writeRank(b.e) || a.i - b.i)
+    .map(({ e }) => e);
+  if (name) sorted.unshift({ type: 'trackName', tick: 0, text: name });
+
+  let lastTick = 0;
+  for (const event of sorted) {
+    const tick = Math.max(lastTick, Math.round(event.tick));
+    writer.vlq(tick - lastTick);
+    lastTick = tick;
+    encodeEvent(writer, event);
+  }
+  const endTick = events.reduce((end, e) => (e.type === 'endOfTrack' ? Math.max(end, e.tick) : end), lastTick);
+  writer.vlq(endTick - lastTick);
+  writer.uint8(0xFF, 0x2F, 0);
+  return writer.bytes;
+}
+
+/**
+ * Write a Standard MIDI File.
+ *
+ * Takes the same event shapes parseMidi produces (raw MIDI values, `tick`
+ * positions); `tempo` events may give `bpm` instead of microseconds. Events
+ * need not be sorted. Running status is not used, every event is written in full.
+ *
+ * @param {object} song - { format = 1, ticksPerQuarter = 480,
+ *   tracks: [{ name, events: [{ tick, type, ... }] }] }
+ * @returns {Uint8Array} file bytes
+ */
+export function encodeMidi({ format = 1, ticksPerQuarter = 480, tracks }) {
+  if (!tracks || tracks.length === 0) {
+    throw new Error('Cannot write a MIDI file without tracks');
+  }
+  if (format === 0 && tracks.length > 1) {
+    throw new Error('Format 0 MIDI files hold exactly one track');
+  }
+
+  const writer = new ByteWriter();
+  writer.ascii(HEADER_ID);
+  writer.uint32(6);
+  writer.uint16(format);
+  writer.uint16(tracks.length);
+  writer.uint16(ticksPerQuarter);
+  tracks.forEach(track => writer.chunk(TRACK_ID, encodeTrack(track)));
+  return new Uint8Array(writer.bytes);
+}
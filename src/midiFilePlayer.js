@@ -0,0 +1,263 @@
+// MIDI File Player – schedules a parsed MIDI file on Tone.Transport.
+// Notes start and stop on the transport's sample-accurate clock, sustain
+// pedal (CC64) defers note-offs, and playback can pause, seek, loop and run
+// faster or slower. The app supplies the transport and decides what a note
+// does (normally handleKeyPress/handleKeyRelease with the audio time).
+
+// ---------- CONSTANTS ----------
+// File times (ms, already tempo-mapped by the parser) are scheduled as ticks
+// at this fixed tempo; changing the transport's bpm then scales playback.
+export const BASE_BPM = 120;
+
+// Playback speeds offered by the transport bar
+export const TEMPO_SCALES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+const SUSTAIN_CC = 64;
+
+// ---------- MIDI FILE PLAYER ----------
+class MidiFilePlayer {
+  constructor({ transport, onNoteOn = () => {}, onNoteOff = () => {}, onEnd = () => {} }) {
+    this.transport = transport;
+    this.onNoteOn = onNoteOn;   // (note, audioTime) – note as produced by parseMidi
+    this.onNoteOff = onNoteOff; // (note, audioTime)
+    this.onEnd = onEnd;         // () after the last note has finished
+    this.listeners = new Set();
+    this.scheduled = [];
+    this.sounding = new Map();  // pitch → note currently held by the player
+    this.deferred = new Map();  // pitch → note released while its channel's pedal is down
+    this.sustain = new Set();   // channels with the sustain pedal down
+    this.tempoScale = 1;
+    this.loop = null;           // { start, end } in ms, or null
+    this.muted = new Set();     // track indexes
+    this.soloed = new Set();    // track indexes; when any are soloed only those play
+    this.handleLoop = (time) => {
+      this.releaseAll(time);
+      // Back at the loop start, pedals are as they were there
+      if (this.loop) this.restorePedals(this.loop.start);
+    };
+    this.transport.on('loop', this.handleLoop);
+    this.unload();
+  }
+
+  get ticksPerMs() {
+    return (BASE_BPM / 60000) * this.transport.PPQ;
+  }
+
+  toTicks(ms) {
+    return `${Math.round(ms * this.ticksPerMs)}i`;
+  }
+
+  // File position in ms
+  get position() {
+    return Math.min(this.duration, this.transport.ticks / this.ticksPerMs);
+  }
+
+  // ---------- LOADING ----------
+  load(midi, name = '') {
+    this.unload();
+    this.midi = midi;
+    this.name = name;
+    this.duration = midi.duration;
+    this.pedalEvents = midi.events.filter(e => e.type === 'controlChange' && e.controller === SUSTAIN_CC);
+
+    // Same-time order: releases, then pedal changes, then new notes – so a
+    // legato pedal change (up/down with the next note) catches the right notes
+    const queue = [];
+    midi.notes.forEach(note => {
+      queue.push({ ms: note.time, rank: 2, fn: time => this.noteOn(note, time) });
+      queue.push({ ms: note.time + note.duration, rank: 0, fn: time => this.noteOff(note, time) });
+    });
+    this.pedalEvents.forEach(e => queue.push({ ms: e.time, rank: 1, fn: time => this.pedal(e.channel, e.value, time) }));
+    queue.push({ ms: this.duration, rank: 3, fn: time => this.finish(time) });
+    queue
+      .sort((a, b) => a.ms - b.ms || a.rank - b.rank)
+      .forEach(({ ms, fn }) => this.scheduled.push(this.transport.schedule(fn, this.toTicks(ms))));
+    this.emit();
+  }
+
+  unload() {
+    this.stopTransport();
+    this.releaseAll();
+    this.scheduled.forEach(id => this.transport.clear(id));
+    this.scheduled = [];
+    this.midi = null;
+    this.name = '';
+    this.duration = 0;
+    this.pedalEvents = [];
+    this.loop = null;
+    this.transport.loop = false;
+    this.muted.clear();
+    this.soloed.clear();
+    this.playing = false;
+    this.transport.ticks = 0;
+    this.emit();
+  }
+
+  // ---------- TRANSPORT ----------
+  play() {
+    if (!this.midi || this.playing) return;
+    if (this.position >= this.duration) this.seek(this.loop ? this.loop.start : 0);
+    this.transport.bpm.value = BASE_BPM * this.tempoScale;
+    this.transport.start();
+    this.playing = true;
+    this.emit();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.stopTransport();
+    this.releaseAll();
+    this.emit();
+  }
+
+  stop() {
+    this.pause();
+    this.seek(0);
+  }
+
+  seek(ms) {
+    const target = Math.max(0, Math.min(this.duration, ms));
+    this.releaseAll();
+    this.transport.ticks = Math.round(target * this.ticksPerMs);
+    // Pedals keep the state they had at the new position
+    this.restorePedals(target);
+    this.emit();
+  }
+
+  // Sustain as set by the pedal changes before `ms`; changes at `ms` itself
+  // are still to be played
+  restorePedals(ms) {
+    this.sustain.clear();
+    this.pedalEvents
+      .filter(e => e.time < ms)
+      .forEach(e => (e.value >= 64 ? this.sustain.add(e.channel) : this.sustain.delete(e.channel)));
+  }
+
+  // Loop a region (ms); pass null to switch looping off
+  setLoop(start, end) {
+    if (start === null || start === undefined || !(end > start)) {
+      this.loop = null;
+      this.transport.loop = false;
+    } else {
+      this.loop = { start: Math.max(0, start), end: Math.min(this.duration, end) };
+      this.transport.loopStart = this.toTicks(this.loop.start);
+      this.transport.loopEnd = this.toTicks(this.loop.end);
+      this.transport.loop = true;
+    }
+    this.emit();
+  }
+
+  setTempoScale(scale) {
+    if (!(scale > 0)) return;
+    this.tempoScale = scale;
+    this.transport.bpm.value = BASE_BPM * scale;
+    this.emit();
+  }
+
+  // ---------- TRACKS ----------
+  isTrackAudible(index) {
+    if (this.muted.has(index)) return false;
+    return this.soloed.size === 0 || this.soloed.has(index);
+  }
+
+  setTrackMuted(index, muted) {
+    if (muted) this.muted.add(index);
+    else this.muted.delete(index);
+    this.releaseSilenced();
+    this.emit();
+  }
+
+  setTrackSolo(index, solo) {
+    if (solo) this.soloed.add(index);
+    else this.soloed.delete(index);
+    this.releaseSilenced();
+    this.emit();
+  }
+
+  // Notes of tracks that were just silenced stop at once
+  releaseSilenced() {
+    this.sounding.forEach((note, pitch) => {
+      if (this.isTrackAudible(note.track)) return;
+      this.sounding.delete(pitch);
+      this.deferred.delete(pitch);
+      this.onNoteOff(note);
+    });
+  }
+
+  dispose() {
+    this.unload();
+    this.transport.off('loop', this.handleLoop);
+    this.listeners.clear();
+  }
+
+  stopTransport() {
+    if (this.transport.state === 'started') this.transport.pause();
+    this.playing = false;
+  }
+
+  // ---------- NOTE HANDLING ----------
+  noteOn(note, time) {
+    if (!this.isTrackAudible(note.track)) return;
+    if (this.sounding.has(note.note)) {
+      // Overlapping same pitch: restrike rather than stack
+      this.onNoteOff(this.sounding.get(note.note), time);
+    }
+    this.deferred.delete(note.note);
+    this.sounding.set(note.note, note);
+    this.onNoteOn(note, time);
+  }
+
+  noteOff(note, time) {
+    if (this.sounding.get(note.note) !== note) return; // already restruck or released
+    if (this.sustain.has(note.channel)) {
+      this.deferred.set(note.note, note);
+      return;
+    }
+    this.sounding.delete(note.note);
+    this.onNoteOff(note, time);
+  }
+
+  pedal(channel, value, time) {
+    if (value >= 64) {
+      this.sustain.add(channel);
+      return;
+    }
+    this.sustain.delete(channel);
+    this.deferred.forEach((note, pitch) => {
+      if (note.channel !== channel) return;
+      this.deferred.delete(pitch);
+      if (this.sounding.get(pitch) === note) {
+        this.sounding.delete(pitch);
+        this.onNoteOff(note, time);
+      }
+    });
+  }
+
+  releaseAll(time) {
+    this.sounding.forEach(note => this.onNoteOff(note, time));
+    this.sounding.clear();
+    this.deferred.clear();
+    this.sustain.clear();
+  }
+
+  finish(time) {
+    if (this.loop) return; // the loop wraps before the end matters
+    this.releaseAll(time);
+    this.stopTransport();
+    this.transport.ticks = Math.round(this.duration * this.ticksPerMs);
+    this.emit();
+    this.onEnd();
+  }
+
+  // ---------- SUBSCRIPTIONS ----------
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+export default MidiFilePlayer;
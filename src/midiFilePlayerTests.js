@@ -0,0 +1,311 @@
+/* global process */
+// Tests for Transport-scheduled MIDI file playback (run with `node src/midiFilePlayerTests.js`)
+import { readFileSync } from 'node:fs';
+import { parseMidi, encodeMidi } from './midiFile.js';
+import MidiFilePlayer, { BASE_BPM } from './midiFilePlayer.js';
+
+// Minimal stand-in for Tone.Transport: ticks advance only when told to, and
+// callbacks receive the tick they were scheduled at as their "audio time".
+class FakeTransport {
+  constructor() {
+    this.PPQ = 192;
+    this.bpm = { value: 120 };
+    this.ticks = 0;
+    this.state = 'stopped';
+    this.loop = false;
+    this.loopStart = '0i';
+    this.loopEnd = '0i';
+    this.events = new Map();
+    this.nextId = 0;
+    this.loopListeners = new Set();
+  }
+
+  schedule(callback, time) {
+    this.events.set(++this.nextId, { callback, tick: parseInt(time, 10) });
+    return this.nextId;
+  }
+
+  clear(id) {
+    this.events.delete(id);
+  }
+
+  on(event, fn) {
+    if (event === 'loop') this.loopListeners.add(fn);
+  }
+
+  off(event, fn) {
+    this.loopListeners.delete(fn);
+  }
+
+  start() {
+    this.state = 'started';
+  }
+
+  pause() {
+    this.state = 'paused';
+  }
+
+  // Run the transport forward by `ticks`, firing due events and wrapping loops
+  advance(ticks) {
+    let remaining = ticks;
+    while (remaining > 0 && this.state === 'started') {
+      const loopEnd = this.loop ? parseInt(this.loopEnd, 10) : Infinity;
+      const start = this.ticks;
+      const target = Math.min(start + remaining, loopEnd);
+      const due = [...this.events.values()]
+        .filter(e => e.tick >= start && e.tick < target)
+        .sort((a, b) => a.tick - b.tick);
+      for (const e of due) {
+        if (this.state !== 'started') return;
+        this.ticks = e.tick;
+        e.callback(e.tick);
+      }
+      remaining -= target - start;
+      this.ticks = target;
+      if (target === loopEnd) {
+        this.ticks = parseInt(this.loopStart, 10);
+        this.loopListeners.forEach(fn => fn(loopEnd));
+      }
+    }
+  }
+}
+
+const fixture = (name) => new Uint8Array(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+
+// C4 0‒500 ms, E4 500‒1000 ms, then 60 BPM: G4 1000‒2000 ms
+const melody = () => parseMidi(encodeMidi({
+  ticksPerQuarter: 480,
+  tracks: [{
+    events: [
+      { type: 'tempo', tick: 0, bpm: 120 },
+      { type: 'tempo', tick: 960, bpm: 60 },
+      { type: 'noteOn', tick: 0, note: 60, velocity: 100 },
+      { type: 'noteOff', tick: 480, note: 60 },
+      { type: 'noteOn', tick: 480, note: 64, velocity: 100 },
+      { type: 'noteOff', tick: 960, note: 64 },
+      { type: 'noteOn', tick: 960, note: 67, velocity: 100 },
+      { type: 'noteOff', tick: 1440, note: 67 }
+    ]
+  }]
+}));
+
+class MidiFilePlayerTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  runAllTests() {
+    console.log("=== MIDI FILE PLAYER TESTS ===\n");
+
+    this.testSchedule();
+    this.testSustain();
+    this.testFixturePedal();
+    this.testRestrike();
+    this.testTransportControls();
+    this.testLoopSustain();
+    this.testMuteSolo();
+
+    console.log("\n=== TEST SUMMARY ===");
+    const passed = this.testResults.filter(r => r.passed).length;
+    const total = this.testResults.length;
+    console.log(`Passed: ${passed}/${total}`);
+
+    return passed === total;
+  }
+
+  check(name, passed, detail = '') {
+    this.testResults.push({ name, passed });
+    console.log(`${passed ? "✓" : "✗"} ${name}${detail ? ` (${detail})` : ''}`);
+  }
+
+  setup(midi) {
+    const transport = new FakeTransport();
+    const log = [];
+    let ended = false;
+    const player = new MidiFilePlayer({
+      transport,
+      onNoteOn: (note, time) => log.push(`on ${note.note} ${time}`),
+      onNoteOff: (note, time) => log.push(`off ${note.note} ${time}`),
+      onEnd: () => { ended = true; }
+    });
+    player.load(midi);
+    const msToTicks = ms => Math.round(ms * (BASE_BPM / 60000) * transport.PPQ);
+    return { transport, player, log, msToTicks, ended: () => ended };
+  }
+
+  // Test 1: notes start and stop at the file's times, tempo changes included
+  testSchedule() {
+    console.log("\nTest 1: Schedule");
+    const { transport, player, log, msToTicks, ended } = this.setup(melody());
+
+    player.play();
+    transport.advance(msToTicks(2500));
+    const expected = [
+      `on 60 0`, `off 60 ${msToTicks(500)}`, `on 64 ${msToTicks(500)}`,
+      `off 64 ${msToTicks(1000)}`, `on 67 ${msToTicks(1000)}`, `off 67 ${msToTicks(2000)}`
+    ];
+    this.check("true note-off times", log.join() === expected.join(), log.join());
+    this.check("ends and stops", ended() && !player.playing && player.position === 2000);
+
+    player.setTempoScale(1.5);
+    this.check("tempo scaling", transport.bpm.value === BASE_BPM * 1.5);
+  }
+
+  // Test 2: sustain pedal defers note-offs until it is lifted
+  testSustain() {
+    console.log("\nTest 2: Sustain pedal");
+    const midi = parseMidi(encodeMidi({
+      ticksPerQuarter: 480,
+      tracks: [{
+        events: [
+          { type: 'controlChange', tick: 0, controller: 64, value: 127 },
+          { type: 'noteOn', tick: 0, note: 60, velocity: 100 },
+          { type: 'noteOff', tick: 240, note: 60 },
+          { type: 'controlChange', tick: 960, controller: 64, value: 0 },
+          { type: 'noteOn', tick: 960, note: 62, velocity: 100 },
+          { type: 'noteOff', tick: 1200, note: 62 }
+        ]
+      }]
+    }));
+    const { transport, player, log, msToTicks } = this.setup(midi);
+    player.play();
+    transport.advance(msToTicks(2000));
+    this.check("held until pedal up", log[1] === `off 60 ${msToTicks(1000)}`, log.join());
+    this.check("pedal up lets later notes go", log[3] === `off 62 ${msToTicks(1250)}`);
+  }
+
+  // Test 2b: the fixture's pedal (down 0‒1000 ms) holds C4 and E4 until G4
+  testFixturePedal() {
+    console.log("\nTest 2b: Fixture pedal");
+    const { transport, player, log, msToTicks } = this.setup(parseMidi(fixture('format0.mid')));
+    player.play();
+    transport.advance(msToTicks(2500));
+    const offs = log.filter(l => l.startsWith('off')).map(l => l.split(' ').slice(1).join('@'));
+    this.check("pedalled notes released together", offs.join() === `60@${msToTicks(1000)},64@${msToTicks(1000)},67@${msToTicks(2000)}`, offs.join());
+  }
+
+  // Test 2c: what the app sees when one transport window holds several events
+  // for a pitch: the restrike's release comes before its attack, and a very
+  // short note's attack before its release
+  testRestrike() {
+    console.log("\nTest 2c: Restrike and short notes");
+    const midi = parseMidi(encodeMidi({
+      ticksPerQuarter: 480,
+      tracks: [{
+        events: [
+          { type: 'noteOn', tick: 0, note: 60, velocity: 100 },
+          { type: 'noteOn', tick: 10, note: 60, velocity: 100 },
+          { type: 'noteOff', tick: 480, note: 60 },
+          { type: 'noteOff', tick: 480, note: 60 },
+          { type: 'noteOn', tick: 480, note: 64, velocity: 100 },
+          { type: 'noteOff', tick: 482, note: 64 }
+        ]
+      }]
+    }));
+    const { transport, player, log, msToTicks } = this.setup(midi);
+    player.play();
+    transport.advance(msToTicks(1000)); // all of it in one go
+    const [, restruck, short] = midi.notes.map(n => [msToTicks(n.time), msToTicks(n.time + n.duration)]);
+    this.check("restrike releases, then strikes", log.slice(0, 3).join() === `on 60 0,off 60 ${restruck[0]},on 60 ${restruck[0]}`,
+      log.join());
+    this.check("short note attacks before it releases", short[1] - short[0] <= 1 &&
+      log.slice(-2).join() === `on 64 ${short[0]},off 64 ${short[1]}`);
+  }
+
+  // Test 3: pause releases held notes; seek and loop reposition playback
+  testTransportControls() {
+    console.log("\nTest 3: Pause, seek, loop");
+    const { transport, player, log, msToTicks } = this.setup(melody());
+
+    player.play();
+    transport.advance(msToTicks(1200)); // G4 sounding
+    player.pause();
+    this.check("pause releases sounding notes", log.at(-1) === 'off 67 undefined' && !player.playing, log.join());
+    transport.advance(msToTicks(500));
+    this.check("paused transport is silent", log.length === 6);
+
+    player.seek(400);
+    log.length = 0;
+    player.play();
+    transport.advance(msToTicks(200));
+    // C4 began before the seek point, so only E4 is heard
+    this.check("seek resumes from new position", log.join() === `on 64 ${msToTicks(500)}`, log.join());
+
+    player.setLoop(500, 1000);
+    player.seek(500);
+    log.length = 0;
+    transport.advance(msToTicks(1000)); // two passes of the loop
+    const passes = log.filter(l => l.startsWith('on 64')).length;
+    this.check("loop repeats region", passes === 2 && !log.some(l => l.startsWith('on 67')), log.join());
+    this.check("loop wrap releases notes", log.filter(l => l.startsWith('off 64')).length === 2);
+
+    player.dispose();
+    this.check("dispose clears schedule", transport.events.size === 0 && transport.loopListeners.size === 0);
+  }
+
+  // Test 3b: a pedal held across the loop start still sustains after each wrap
+  testLoopSustain() {
+    console.log("\nTest 3b: Loop with sustain");
+    // Pedal down from the start; C4 0‒250 ms, D4 500‒750 ms
+    const midi = parseMidi(encodeMidi({
+      ticksPerQuarter: 480,
+      tracks: [{
+        events: [
+          { type: 'controlChange', tick: 0, controller: 64, value: 127 },
+          { type: 'noteOn', tick: 0, note: 60, velocity: 100 },
+          { type: 'noteOff', tick: 240, note: 60 },
+          { type: 'noteOn', tick: 480, note: 62, velocity: 100 },
+          { type: 'noteOff', tick: 720, note: 62 },
+          { type: 'controlChange', tick: 1920, controller: 64, value: 0 }
+        ]
+      }]
+    }));
+    const { transport, player, log, msToTicks } = this.setup(midi);
+    player.setLoop(250, 1000);
+    player.seek(250);
+    player.play();
+    transport.advance(msToTicks(1500)); // two passes of the loop
+    const offs = log.filter(l => l.startsWith('off 62'));
+    this.check("held until each wrap", offs.join() === `off 62 ${msToTicks(1000)},off 62 ${msToTicks(1000)}`, log.join());
+  }
+
+  // Test 4: muted tracks are skipped, solo silences the other tracks
+  testMuteSolo() {
+    console.log("\nTest 4: Mute and solo");
+    const midi = parseMidi(encodeMidi({
+      ticksPerQuarter: 480,
+      tracks: [
+        { name: 'Melody', events: [{ type: 'noteOn', tick: 0, note: 72, velocity: 100 }, { type: 'noteOff', tick: 960, note: 72 }] },
+        { name: 'Bass', events: [{ type: 'noteOn', tick: 0, note: 48, velocity: 100 }, { type: 'noteOff', tick: 960, note: 48 }] }
+      ]
+    }));
+    const { transport, player, log, msToTicks } = this.setup(midi);
+
+    player.setTrackMuted(1, true);
+    player.play();
+    transport.advance(msToTicks(200));
+    this.check("muted track is skipped", log.join() === 'on 72 0', log.join());
+
+    player.setTrackSolo(1, true);
+    this.check("solo releases other tracks", log.at(-1) === 'off 72 undefined' && player.isTrackAudible(1) === false);
+
+    player.setTrackMuted(1, false);
+    player.stop();
+    log.length = 0;
+    player.play();
+    transport.advance(msToTicks(200));
+    this.check("soloed track plays alone", log.join() === 'on 48 0', log.join());
+
+    player.load(midi);
+    this.check("loading resets mute and solo", player.isTrackAudible(0) && player.isTrackAudible(1));
+  }
+}
+
+// Run tests if this file is executed directly
+if (typeof window === 'undefined') {
+  const tester = new MidiFilePlayerTests();
+  const allPassed = tester.runAllTests();
+  process.exit(allPassed ? 0 : 1);
+}
+
+export default MidiFilePlayerTests;
@@ -0,0 +1,217 @@
+/* global process */
+// Tests for the Standard MIDI File parser (run with `node src/midiFileTests.js`)
+import { readFileSync } from 'node:fs';
+import { parseMidi, encodeMidi, validateMidiFile, MAX_MIDI_FILE_BYTES } from './midiFile.js';
+
+const fixture = (name) => new Uint8Array(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+const near = (a, b, eps = 0.01) => Math.abs(a - b) < eps;
+
+class MidiFileTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  runAllTests() {
+    console.log("=== MIDI FILE PARSER TESTS ===\n");
+
+    this.testFormat0();
+    this.testFormat1();
+    this.testSmpteDivision();
+    this.testInvalidInput();
+    this.testWriter();
+    this.testValidation();
+    this.testDenseFile();
+
+    console.log("\n=== TEST SUMMARY ===");
+    const passed = this.testResults.filter(r => r.passed).length;
+    const total = this.testResults.length;
+    console.log(`Passed: ${passed}/${total}`);
+
+    return passed === total;
+  }
+
+  check(name, passed, detail = '') {
+    this.testResults.push({ name, passed });
+    console.log(`${passed ? "✓" : "✗"} ${name}${detail ? ` (${detail})` : ''}`);
+  }
+
+  // Test 1: single track with running status, vel-0 note-off, tempo change and a long meta
+  testFormat0() {
+    console.log("\nTest 1: Format 0");
+    const midi = parseMidi(fixture('format0.mid'));
+    const [c4, e4, g4] = midi.notes;
+
+    this.check("format and division", midi.format === 0 && midi.division.ticksPerQuarter === 480);
+    this.check("track name", midi.tracks[0].name === 'Lead');
+    this.check("three notes", midi.notes.length === 3, `${midi.notes.length}`);
+    this.check("note-off via 0x80", c4.note === 60 && c4.time === 0 && near(c4.duration, 500));
+    this.check("note-off via velocity 0", e4.note === 64 && near(e4.time, 500) && near(e4.duration, 500));
+    this.check("tempo change applied", g4.note === 67 && near(g4.time, 1000) && near(g4.duration, 1000), `${g4.time}/${g4.duration}`);
+    this.check("velocity normalised", near(c4.velocity, 100 / 127));
+
+    const text = midi.events.find(e => e.type === 'text');
+    this.check("meta length > 127 (VLQ)", text && text.text.length === 200);
+
+    const bend = midi.events.find(e => e.type === 'pitchBend');
+    this.check("pitch bend value", bend && bend.value === 4096 && near(bend.time, 750));
+
+    const pedal = midi.events.filter(e => e.type === 'controlChange' && e.controller === 64);
+    this.check("sustain CC events", pedal.length === 2 && pedal[0].value === 127 && pedal[1].value === 0);
+    this.check("program change", midi.events.some(e => e.type === 'programChange' && e.program === 5));
+    this.check("tempo map", midi.tempoMap.length === 2 && near(midi.tempoMap[1].time, 1000) && midi.tempoMap[1].bpm === 60);
+    this.check("duration", near(midi.duration, 2000));
+    this.check("no warnings", midi.warnings.length === 0);
+  }
+
+  // Test 2: multi-track file with conductor track, alien chunk and a hanging note
+  testFormat1() {
+    console.log("\nTest 2: Format 1");
+    const midi = parseMidi(fixture('format1.mid'));
+
+    this.check("three tracks, alien chunk skipped", midi.tracks.length === 3);
+    this.check("track names", midi.tracks.map(t => t.name).join(',') === 'Conductor,Piano,Bass');
+    this.check("time signature", midi.timeSignatures[0]?.numerator === 3 && midi.timeSignatures[0]?.denominator === 4);
+    this.check("key signature", midi.keySignatures[0]?.key === 'Eb major' && midi.keySignatures[0]?.tonic === 3);
+
+    const piano = midi.tracks[1].notes;
+    this.check("running status chord", piano.filter(n => n.time === 0).length === 3);
+    this.check("chord duration at 100 BPM", near(piano[0].duration, 600));
+    const f4 = piano.find(n => n.note === 65);
+    this.check("conductor tempo applies to other tracks", near(f4.time, 1200) && near(f4.duration, 600), `${f4.time}/${f4.duration}`);
+
+    const bass = midi.tracks[2];
+    this.check("channel recorded", bass.channels.join() === '1');
+    this.check("channel aftertouch", bass.events.some(e => e.type === 'channelAftertouch' && e.pressure === 40));
+    this.check("poly aftertouch", bass.events.some(e => e.type === 'polyAftertouch' && e.note === 39 && e.pressure === 20));
+    const hanging = bass.notes.find(n => n.note === 46);
+    this.check("hanging note closed at end of track", near(hanging.time, 1800) && near(hanging.duration, 300));
+    this.check("merged notes sorted", midi.notes.every((n, i) => i === 0 || midi.notes[i - 1].time <= n.time));
+  }
+
+  // Test 3: SMPTE time division ignores tempo meta
+  testSmpteDivision() {
+    console.log("\nTest 3: SMPTE division");
+    const midi = parseMidi(fixture('smpte.mid'));
+
+    this.check("division", midi.division.type === 'smpte' && midi.division.framesPerSecond === 25 && midi.division.ticksPerFrame === 40);
+    this.check("absolute timing", near(midi.notes[1].time, 500) && near(midi.notes[1].duration, 500));
+    this.check("duration", near(midi.duration, 1000));
+  }
+
+  // Test 4: garbage and truncated input
+  testInvalidInput() {
+    console.log("\nTest 4: Invalid input");
+    let threw = false;
+    try {
+      parseMidi(new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14]));
+    } catch {
+      threw = true;
+    }
+    this.check("rejects non-MIDI data", threw);
+
+    const bytes = fixture('format0.mid');
+    const truncated = parseMidi(bytes.slice(0, bytes.length - 20));
+    this.check("truncated file keeps readable events", truncated.notes.length >= 2 && truncated.warnings.length > 0);
+  }
+
+  // Test 5: encodeMidi output parses back to the same events
+  testWriter() {
+    console.log("\nTest 5: Writer round-trip");
+    const bytes = encodeMidi({
+      format: 1,
+      ticksPerQuarter: 96,
+      tracks: [
+        {
+          name: 'Conductor',
+          events: [
+            { type: 'tempo', tick: 0, bpm: 100 },
+            { type: 'timeSignature', tick: 0, numerator: 3, denominator: 4 },
+            { type: 'keySignature', tick: 0, sharpsFlats: -3, minor: false }
+          ]
+        },
+        {
+          name: 'Piano',
+          events: [
+            // Unsorted on purpose; same-tick release must precede the re-strike
+            { type: 'noteOn', tick: 96, note: 60, velocity: 90 },
+            { type: 'noteOff', tick: 96, note: 60 },
+            { type: 'noteOn', tick: 0, note: 60, velocity: 100 },
+            { type: 'controlChange', tick: 48, controller: 64, value: 127 },
+            { type: 'pitchBend', tick: 48, value: -8192 },
+            { type: 'noteOff', tick: 20000, note: 60 },
+            { type: 'text', tick: 0, text: 'é'.repeat(100) }
+          ]
+        }
+      ]
+    });
+    const midi = parseMidi(bytes);
+    const [first, second] = midi.notes;
+
+    this.check("header", midi.format === 1 && midi.division.ticksPerQuarter === 96 && midi.tracks.length === 2);
+    this.check("track names", midi.tracks.map(t => t.name).join(',') === 'Conductor,Piano');
+    this.check("tempo and meta", near(midi.tempoMap[0].bpm, 100) && midi.timeSignatures[0].numerator === 3 &&
+      midi.keySignatures[0].key === 'Eb major');
+    this.check("re-struck note", midi.notes.length === 2 && near(first.duration, 600) && near(second.time, 600) &&
+      near(second.velocity, 90 / 127));
+    this.check("long delta (multi-byte VLQ)", near(second.duration, 20000 / 96 * 600 - 600));
+    this.check("controllers", midi.events.some(e => e.type === 'pitchBend' && e.value === -8192) &&
+      midi.events.some(e => e.type === 'controlChange' && e.controller === 64 && near(e.time, 300)));
+    this.check("utf-8 text", midi.events.find(e => e.type === 'text')?.text === 'é'.repeat(100));
+    this.check("clean parse", midi.warnings.length === 0);
+
+    // A parsed time signature writes back with its metronome settings
+    const sixEight = { type: 'timeSignature', tick: 0, numerator: 6, denominator: 8, clocksPerClick: 36, thirtySecondsPerQuarter: 8 };
+    const parsed = parseMidi(encodeMidi({ tracks: [{ events: [sixEight] }] })).timeSignatures[0];
+    const again = parseMidi(encodeMidi({ tracks: [{ events: [{ ...parsed, clocksPerClick: 12, thirtySecondsPerQuarter: 16 }] }] }))
+      .timeSignatures[0];
+    this.check("time signature round-trip", parsed.numerator === 6 && parsed.denominator === 8 && parsed.clocksPerClick === 36 &&
+      again.clocksPerClick === 12 && again.thirtySecondsPerQuarter === 16);
+  }
+
+  // Test 6: picked/dropped files are screened before they are read
+  testValidation() {
+    console.log("\nTest 6: File validation");
+    this.check("accepts .mid and .MIDI", validateMidiFile({ name: 'a.mid', size: 20 }) === null &&
+      validateMidiFile({ name: 'B.MIDI', size: 20 }) === null);
+    this.check("rejects other extensions", /not a MIDI file/.test(validateMidiFile({ name: 'song.mp3', size: 20 })));
+    this.check("rejects empty and oversized files", /empty/.test(validateMidiFile({ name: 'a.mid', size: 0 })) &&
+      /too large/.test(validateMidiFile({ name: 'a.mid', size: MAX_MIDI_FILE_BYTES + 1 })));
+    this.check("rejects missing file", validateMidiFile(null) !== null);
+  }
+
+  // Test 7: files with more notes than fit in an argument list
+  testDenseFile() {
+    console.log("\nTest 7: Dense file");
+    let midi = null;
+    try {
+      midi = parseMidi(denseFile(200000));
+    } catch (error) {
+      console.log(error);
+    }
+    // 10 ticks at 96 per quarter and 120 BPM: 52.08 ms per note
+    this.check("parses 200k notes", midi?.notes.length === 200000);
+    this.check("duration", midi && near(midi.duration, 200000 * 10 / 96 * 500, 1), midi?.duration.toFixed(0));
+  }
+}
+
+// Format 0 file of `count` back-to-back 10-tick notes, written by hand
+const denseFile = (count) => {
+  const track = [];
+  for (let i = 0; i < count; i++) track.push(0, 0x90, 60 + (i % 12), 100, 10, 0x80, 60 + (i % 12), 0);
+  track.push(0, 0xFF, 0x2F, 0);
+  const length = [track.length >>> 24, track.length >>> 16, track.length >>> 8, track.length].map(b => b & 0xFF);
+  const header = [0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96, 0x4D, 0x54, 0x72, 0x6B, ...length];
+  const bytes = new Uint8Array(header.length + track.length);
+  bytes.set(header);
+  bytes.set(track, header.length);
+  return bytes;
+};
+
+// Run tests if this file is executed directly
+if (typeof window === 'undefined') {
+  const tester = new MidiFileTests();
+  const allPassed = tester.runAllTests();
+  process.exit(allPassed ? 0 : 1);
+}
+
+export default MidiFileTests;
@@ -0,0 +1,189 @@
+// MIDI Output – echoes what is played to an external MIDI port (thru) and
+// can stream the machine's state as controller changes, so its reaction can
+// drive outboard synths or DMX-over-MIDI lighting the way Pask's original
+// Musicolour drove its lights. Settings persist in localStorage.
+import { deviceKey } from './midiDevices.js';
+
+// ---------- CONSTANTS ----------
+export const MIDI_OUTPUT_SETTINGS_KEY = 'musicolour-midi-output';
+
+// Port setting meaning "send nothing"
+export const NO_OUTPUT = null;
+
+// State values go out on controllers CC20‒31 (undefined in the MIDI spec, so
+// free for automation): excitement, score, then metrics. Past CC31 come the
+// LSBs of the standard controllers, so later metrics get none until assigned.
+export const STATE_CC_BASE = 20;
+export const STATE_CC_LAST = 31;
+export const STATE_FIELDS = ['excitement', 'musicalityScore'];
+
+// ms between state sends; only changed values are sent
+export const STATE_INTERVAL = 50;
+
+const DEFAULT_SETTINGS = {
+  port: NO_OUTPUT, // deviceKey of the chosen output
+  thru: true,      // echo notes and pedals
+  channel: 0,      // 0‒15, for notes and state alike
+  state: false,    // stream the machine's state as CCs
+  clock: false,    // send MIDI clock at the detected tempo
+  ccs: {}          // state field or metric name → controller, or null for off
+};
+
+const toByte = (value) => Math.max(0, Math.min(127, Math.round(value * 127)));
+
+// ---------- MIDI OUTPUT ----------
+class MidiOutput {
+  constructor({ storage = globalThis.localStorage } = {}) {
+    this.storage = storage;
+    this.listeners = new Set();
+    this.settings = { ...DEFAULT_SETTINGS, ...this.load() };
+    this.port = null;          // the open MIDIOutput, if connected
+    this.sounding = new Set(); // notes sent on but not yet off
+    this.lastState = new Map(); // controller → last value sent
+  }
+
+  load() {
+    try {
+      const saved = this.storage?.getItem(MIDI_OUTPUT_SETTINGS_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.warn('Ignoring unreadable MIDI output settings:', error);
+      return {};
+    }
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(MIDI_OUTPUT_SETTINGS_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.warn('Could not save MIDI output settings:', error);
+    }
+  }
+
+  update(changes) {
+    // Notes and controllers left on the old port or channel would hang
+    if ('port' in changes || 'channel' in changes || changes.thru === false) this.allNotesOff();
+    this.settings = { ...this.settings, ...changes };
+    this.lastState.clear();
+    this.save();
+    this.emit();
+  }
+
+  // ---------- PORTS ----------
+  // Pick the saved port out of the available outputs (after connecting or
+  // any device change); a saved port that is not plugged in stays chosen
+  attach(outputs) {
+    const port = Array.from(outputs).find(p => deviceKey(p) === this.settings.port && p.state !== 'disconnected');
+    if (port !== this.port) {
+      this.port = port || null;
+      this.sounding.clear();
+      this.lastState.clear();
+      this.emit();
+    }
+  }
+
+  // port: a MIDIOutput, or NO_OUTPUT
+  setPort(port) {
+    this.allNotesOff();
+    this.port = port || null;
+    this.update({ port: port ? deviceKey(port) : NO_OUTPUT });
+  }
+
+  setChannel(channel) {
+    if (Number.isInteger(channel) && channel >= 0 && channel <= 15) this.update({ channel });
+  }
+
+  // controller: 0‒119, or null to stop sending `name`
+  setStateCC(name, controller) {
+    const valid = Number.isInteger(controller) && controller >= 0 && controller <= 119;
+    this.update({ ccs: { ...this.settings.ccs, [name]: valid ? controller : null } });
+  }
+
+  // `at`: optional performance.now() timestamp for notes scheduled ahead
+  send(bytes, at) {
+    if (!this.port) return;
+    try {
+      this.port.send(bytes, at);
+    } catch (error) {
+      console.warn('MIDI output failed:', error);
+    }
+  }
+
+  // ---------- THRU ----------
+  noteOn(note, velocity, at) {
+    if (!this.settings.thru) return;
+    this.sounding.add(note);
+    this.send([0x90 | this.settings.channel, note, Math.max(1, toByte(velocity))], at);
+  }
+
+  noteOff(note, at) {
+    if (!this.settings.thru || !this.sounding.delete(note)) return;
+    this.send([0x80 | this.settings.channel, note, 0], at);
+  }
+
+  controlChange(controller, value) {
+    if (this.settings.thru) this.send([0xB0 | this.settings.channel, controller, value]);
+  }
+
+  allNotesOff() {
+    this.sounding.forEach(note => this.send([0x80 | this.settings.channel, note, 0]));
+    this.sounding.clear();
+  }
+
+  // ---------- STATE ----------
+  // Controller for a state field or metric (index = its place in the metrics)
+  ccFor(name, index) {
+    if (name in this.settings.ccs) return this.settings.ccs[name];
+    const field = STATE_FIELDS.indexOf(name);
+    const cc = STATE_CC_BASE + (field >= 0 ? field : STATE_FIELDS.length + index);
+    return cc <= STATE_CC_LAST ? cc : null;
+  }
+
+  // [{ name, cc, value (0‒1, or null for a metric that is switched off) }]
+  // for a systemState (its musicalityScore is 0‒100, as the engine keeps it).
+  // `metricNames` fixes each metric's place (and so its default controller)
+  // whether or not it is enabled.
+  stateControls({ excitement = 0, musicalityScore = 0, musicalityMetrics = {} }, metricNames = Object.keys(musicalityMetrics)) {
+    const values = [['excitement', excitement], ['musicalityScore', musicalityScore / 100],
+      ...metricNames.map(name => [name, musicalityMetrics[name]])];
+    return values.map(([name, value], i) => ({
+      name,
+      cc: this.ccFor(name, i - STATE_FIELDS.length),
+      value: Number.isFinite(value) ? value : null
+    }));
+  }
+
+  // Send the state values that changed since the last call
+  sendState(systemState, metricNames) {
+    if (!this.settings.state || !this.port) return;
+    this.stateControls(systemState, metricNames).forEach(({ cc, value }) => {
+      if (cc === null || value === null) return;
+      const byte = toByte(value);
+      if (this.lastState.get(cc) === byte) return;
+      this.lastState.set(cc, byte);
+      this.send([0xB0 | this.settings.channel, cc, byte]);
+    });
+  }
+
+  // Outputs and settings, for the devices panel
+  describe(outputs, systemState, metricNames) {
+    return {
+      ports: Array.from(outputs, port => ({ id: port.id, key: deviceKey(port), name: port.name })),
+      connected: Boolean(this.port),
+      ...this.settings,
+      controls: this.stateControls(systemState, metricNames).map(({ name, cc }) => ({ name, cc }))
+    };
+  }
+
+  // ---------- SUBSCRIPTIONS ----------
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+export default MidiOutput;
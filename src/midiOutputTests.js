@@ -0,0 +1,160 @@
+/* global process */
+// Tests for MIDI thru and state output (run with `node src/midiOutputTests.js`)
+import MidiOutput, { MIDI_OUTPUT_SETTINGS_KEY, STATE_CC_BASE, STATE_CC_LAST } from './midiOutput.js';
+import MusicalityEngine from './musicalityEngine.js';
+import { EXPERIMENTAL_METRICS } from './experimentalMetrics.js';
+
+// In-memory stand-in for localStorage
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+}
+
+// Records what a MIDIOutput was sent
+class FakePort {
+  constructor(name) {
+    this.id = `output-${name}`;
+    this.name = name;
+    this.manufacturer = 'Acme';
+    this.state = 'connected';
+    this.sent = [];
+  }
+
+  send(bytes, at) {
+    this.sent.push({ bytes: [...bytes], at });
+  }
+}
+
+const state = (excitement, musicalityScore, musicalityMetrics = {}) => ({ excitement, musicalityScore, musicalityMetrics });
+
+class MidiOutputTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  runAllTests() {
+    console.log("=== MIDI OUTPUT TESTS ===\n");
+
+    this.testThru();
+    this.testState();
+    this.testPorts();
+
+    console.log("\n=== TEST SUMMARY ===");
+    const passed = this.testResults.filter(r => r.passed).length;
+    const total = this.testResults.length;
+    console.log(`Passed: ${passed}/${total}`);
+
+    return passed === total;
+  }
+
+  check(name, passed, detail = '') {
+    this.testResults.push({ name, passed });
+    console.log(`${passed ? "✓" : "✗"} ${name}${detail ? ` (${detail})` : ''}`);
+  }
+
+  // Test 1: played notes and pedals are echoed on the chosen channel
+  testThru() {
+    console.log("\nTest 1: Thru");
+    const output = new MidiOutput({ storage: new MemoryStorage() });
+    output.noteOn(60, 1); // no port yet: nothing to send to
+
+    const port = new FakePort('Synth');
+    output.setPort(port);
+    output.setChannel(2);
+    output.noteOn(64, 0.5, 1234);
+    output.controlChange(64, 127);
+    output.noteOff(64);
+    output.noteOff(67); // never sent on
+    const bytes = port.sent.map(m => m.bytes.join(','));
+    this.check("note on, pedal, note off", bytes.join(' ') === '146,64,64 178,64,127 130,64,0', bytes.join(' '));
+    this.check("timestamp passed through", port.sent[0].at === 1234);
+
+    output.noteOn(72, 0.8);
+    output.update({ thru: false });
+    output.noteOn(74, 0.8);
+    this.check("turning thru off ends held notes", port.sent.at(-1).bytes.join(',') === '130,72,0');
+  }
+
+  // Test 2: state values go out as controllers, only when they change
+  testState() {
+    console.log("\nTest 2: State");
+    const output = new MidiOutput({ storage: new MemoryStorage() });
+    const port = new FakePort('Lights');
+    output.setPort(port);
+    output.sendState(state(0.5, 50));
+    this.check("off by default", port.sent.length === 0);
+
+    output.update({ state: true });
+    output.sendState(state(1, 50, { melodicCoherence: 0, harmonicProgression: 0.25 }));
+    const sent = port.sent.map(m => m.bytes.join(','));
+    this.check("excitement, score and metrics", sent.join(' ') ===
+      `176,${STATE_CC_BASE},127 176,${STATE_CC_BASE + 1},64 176,${STATE_CC_BASE + 2},0 176,${STATE_CC_BASE + 3},32`,
+      sent.join(' '));
+
+    output.sendState(state(1, 73, { melodicCoherence: 0, harmonicProgression: 0.25 }));
+    this.check("only changes resent", port.sent.length === 5 && port.sent[4].bytes[1] === STATE_CC_BASE + 1);
+    this.check("score scaled from 0‒100", port.sent[4].bytes[2] === 93, `${port.sent[4].bytes[2]}`);
+
+    const names = ['melodicCoherence', 'harmonicProgression', 'rhythmicConsistency'];
+    const partial = output.stateControls(state(1, 60, { rhythmicConsistency: 1 }), names);
+    this.check("switched-off metrics keep their place", partial[4].cc === STATE_CC_BASE + 4 &&
+      partial[4].value === 1 && partial[2].value === null);
+
+    output.setStateCC('excitement', 80);
+    output.setStateCC('musicalityScore', null);
+    const controls = output.stateControls(state(0.2, 20));
+    this.check("configurable controllers", controls[0].cc === 80 && controls[1].cc === null);
+
+    // Every registered metric, as the app lists them: defaults stay in 20‒31
+    const engine = new MusicalityEngine();
+    EXPERIMENTAL_METRICS.forEach(create => engine.registerMetric(create(), { enabled: false }));
+    const all = new MidiOutput({ storage: new MemoryStorage() })
+      .stateControls(state(1, 50), engine.getMetrics().map(m => m.name));
+    const ccs = all.map(c => c.cc).filter(cc => cc !== null);
+    this.check("defaults only on free controllers", all.length > STATE_CC_LAST - STATE_CC_BASE + 1 &&
+      ccs.length === STATE_CC_LAST - STATE_CC_BASE + 1 && new Set(ccs).size === ccs.length &&
+      ccs.every(cc => cc >= STATE_CC_BASE && cc <= STATE_CC_LAST) && all.at(-1).cc === null,
+      `${all.length} controls, last ${all.at(-1).cc}`);
+    output.setStateCC(all.at(-1).name, 85);
+    this.check("later metrics can be assigned", output.ccFor(all.at(-1).name, all.length - 3) === 85);
+  }
+
+  // Test 3: the chosen port is remembered by name and found again
+  testPorts() {
+    console.log("\nTest 3: Ports");
+    const storage = new MemoryStorage();
+    const output = new MidiOutput({ storage });
+    const synth = new FakePort('Synth');
+    output.setPort(synth);
+    output.noteOn(60, 1);
+    output.setPort(null);
+    this.check("changing port ends held notes", synth.sent.at(-1).bytes.join(',') === '128,60,0');
+
+    output.setPort(synth);
+    const saved = JSON.parse(storage.getItem(MIDI_OUTPUT_SETTINGS_KEY));
+    const restored = new MidiOutput({ storage });
+    const replugged = new FakePort('Synth');
+    restored.attach([new FakePort('Other'), replugged]);
+    this.check("saved by name", saved.port === 'Acme|Synth' && restored.port === replugged);
+    restored.attach([]);
+    this.check("unplugged", restored.port === null && restored.settings.port === 'Acme|Synth');
+  }
+}
+
+// Run tests if this file is executed directly
+if (typeof window === 'undefined') {
+  const tester = new MidiOutputTests();
+  const allPassed = tester.runAllTests();
+  process.exit(allPassed ? 0 : 1);
+}
+
+export default MidiOutputTests;
@@ -0,0 +1,196 @@
+// MPE (MIDI Polyphonic Expression) – tracks zones and per-note expression.
+// Each note of an MPE controller gets its own member channel, so pitch bend,
+// channel pressure and timbre (CC74) on that channel belong to that note
+// alone. Master channels (1 for the lower zone, 16 for the upper) carry
+// zone-wide messages such as a bend for every note of the zone.
+
+// ---------- CONSTANTS ----------
+export const MPE_MODE_KEY = 'musicolour-mpe-mode';
+
+export const LOWER_MASTER = 0;  // channel 1
+export const UPPER_MASTER = 15; // channel 16
+export const MEMBER_BEND_RANGE = 48; // semitones, MPE default for member channels
+export const MASTER_BEND_RANGE = 2;  // semitones, MPE default for master channels
+export const TIMBRE_CC = 74;
+
+// Registered parameter numbers (CC101/CC100) this tracker understands
+const RPN_BEND_RANGE = 0;
+const RPN_MPE_CONFIG = 6;
+const RPN_NONE = 127;
+
+// ---------- MPE TRACKER ----------
+// handle() digests one raw message and returns what happened:
+//   { type: 'noteOn' | 'noteOff', note }
+//   { type: 'update', notes }   per-note or zone-wide expression changed
+//   { type: 'zone', zones }     a configuration message changed the layout
+//   null                        not MPE business (e.g. sustain pedal)
+// Notes are { id, channel, note, velocity, zone, bend (semitones), pressure,
+// timbre }, with pressure and timbre 0‒1.
+class MpeTracker {
+  constructor() {
+    this.reset();
+  }
+
+  // Without a configuration message, assume a lower zone on all 15 channels
+  reset() {
+    this.zones = { lower: 15, upper: 0 }; // member channels per zone
+    this.channels = new Map(); // channel → { bend (−1‒1), pressure, timbre, rpn }
+    this.bendRange = { lower: { master: MASTER_BEND_RANGE, member: MEMBER_BEND_RANGE },
+      upper: { master: MASTER_BEND_RANGE, member: MEMBER_BEND_RANGE } };
+    this.masterBend = { lower: 0, upper: 0 }; // semitones applied to every note of the zone
+    this.notes = new Map(); // `${channel}:${pitch}` → note
+  }
+
+  // 'lower' | 'upper' | null for a channel outside both zones
+  zoneOf(channel) {
+    if (this.zones.lower > 0 && channel <= LOWER_MASTER + this.zones.lower) return 'lower';
+    if (this.zones.upper > 0 && channel >= UPPER_MASTER - this.zones.upper) return 'upper';
+    return null;
+  }
+
+  isMaster(channel) {
+    return channel === LOWER_MASTER || channel === UPPER_MASTER;
+  }
+
+  channel(channel) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, { bend: 0, pressure: 0, timbre: 0.5, rpn: [RPN_NONE, RPN_NONE] });
+    }
+    return this.channels.get(channel);
+  }
+
+  // Sounding pitch in semitones (fractional while bent)
+  pitchOf(note) {
+    return note.note + note.bend + this.masterBend[note.zone];
+  }
+
+  get heldNotes() {
+    return Array.from(this.notes.values());
+  }
+
+  // ---------- MESSAGES ----------
+  handle(status, data1, data2) {
+    const command = status & 0xF0;
+    const ch = status & 0x0F;
+
+    // Configuration arrives on master channels before any zone exists
+    if (command === 0xB0 && [101, 100, 6].includes(data1)) return this.handleRpn(ch, data1, data2);
+
+    const zone = this.zoneOf(ch);
+    if (!zone) return null;
+    const state = this.channel(ch);
+    const isMaster = this.isMaster(ch);
+
+    switch (command) {
+      case 0x90:
+        if (data2 > 0) return this.noteOn(ch, zone, data1, data2 / 127);
+        return this.noteOff(ch, data1);
+      case 0x80:
+        return this.noteOff(ch, data1);
+      case 0xE0: {
+        const offset = ((data2 << 7) | data1) - 8192;
+        state.bend = offset / (offset > 0 ? 8191 : 8192);
+        if (isMaster) {
+          this.masterBend[zone] = state.bend * this.bendRange[zone].master;
+          return { type: 'update', notes: this.heldNotes.filter(n => n.zone === zone) };
+        }
+        return this.updateChannel(ch, { bend: state.bend * this.bendRange[zone].member });
+      }
+      case 0xD0:
+        state.pressure = data1 / 127;
+        return isMaster ? null : this.updateChannel(ch, { pressure: state.pressure });
+      case 0xA0: {
+        const note = this.notes.get(`${ch}:${data1}`);
+        if (!note) return null;
+        note.pressure = data2 / 127;
+        return { type: 'update', notes: [note] };
+      }
+      case 0xB0:
+        if (data1 !== TIMBRE_CC) return null;
+        state.timbre = data2 / 127;
+        return isMaster ? null : this.updateChannel(ch, { timbre: state.timbre });
+      default:
+        return null;
+    }
+  }
+
+  // Expression already sent on the channel applies to the new note
+  noteOn(ch, zone, pitch, velocity) {
+    const state = this.channel(ch);
+    const note = {
+      id: `${ch}:${pitch}`,
+      channel: ch,
+      note: pitch,
+      velocity,
+      zone,
+      bend: this.isMaster(ch) ? 0 : state.bend * this.bendRange[zone].member,
+      pressure: state.pressure,
+      timbre: state.timbre
+    };
+    this.notes.set(note.id, note);
+    return { type: 'noteOn', note };
+  }
+
+  noteOff(ch, pitch) {
+    const note = this.notes.get(`${ch}:${pitch}`);
+    if (!note) return null;
+    this.notes.delete(note.id);
+    return { type: 'noteOff', note };
+  }
+
+  updateChannel(ch, changes) {
+    const notes = this.heldNotes.filter(n => n.channel === ch);
+    notes.forEach(note => Object.assign(note, changes));
+    return { type: 'update', notes };
+  }
+
+  // RPN 0 sets a bend range, RPN 6 on a master channel (the MPE
+  // Configuration Message) sets how many member channels its zone has
+  handleRpn(ch, controller, value) {
+    const state = this.channel(ch);
+    if (controller === 101) state.rpn[0] = value;
+    if (controller === 100) state.rpn[1] = value;
+    if (controller !== 6 || state.rpn[0] !== 0) return null;
+
+    if (state.rpn[1] === RPN_MPE_CONFIG && this.isMaster(ch)) {
+      const members = Math.min(15, value);
+      if (ch === LOWER_MASTER) {
+        this.zones.lower = members;
+        this.zones.upper = Math.min(this.zones.upper, Math.max(0, 14 - members));
+      } else {
+        this.zones.upper = members;
+        this.zones.lower = Math.min(this.zones.lower, Math.max(0, 14 - members));
+      }
+      // A new layout resets the affected notes and ranges
+      this.notes.clear();
+      this.bendRange = { lower: { master: MASTER_BEND_RANGE, member: MEMBER_BEND_RANGE },
+        upper: { master: MASTER_BEND_RANGE, member: MEMBER_BEND_RANGE } };
+      return { type: 'zone', zones: { ...this.zones } };
+    }
+
+    if (state.rpn[1] === RPN_BEND_RANGE) {
+      const zone = this.zoneOf(ch);
+      if (!zone) return null;
+      // Member channels of a zone share one range
+      this.bendRange[zone][this.isMaster(ch) ? 'master' : 'member'] = value;
+    }
+    return null;
+  }
+
+  // ---------- SUMMARY ----------
+  // One value per engine expression type across the held notes: the widest
+  // bend (±1 = an octave), the firmest pressure and the brightest timbre
+  summary() {
+    const notes = this.heldNotes;
+    if (notes.length === 0) return { pitchBend: 0, aftertouch: 0, modulation: 0 };
+    const bends = notes.map(n => n.bend + this.masterBend[n.zone]);
+    const widest = bends.reduce((a, b) => (Math.abs(b) > Math.abs(a) ? b : a), 0);
+    return {
+      pitchBend: Math.max(-1, Math.min(1, widest / 12)),
+      aftertouch: Math.max(...notes.map(n => n.pressure)),
+      modulation: Math.max(...notes.map(n => n.timbre))
+    };
+  }
+}
+
+export default MpeTracker;
@@ -0,0 +1,64 @@
+// MPE Synth – one voice per held note, so each note can bend, swell and
+// brighten on its own as MPE controllers expect. The shared piano cannot do
+// that (its bend, vibrato and swell act on every voice at once).
+import * as Tone from 'tone';
+
+export const MAX_MPE_VOICES = 16;
+const RELEASE = 0.8; // seconds
+
+// timbre 0‒1 → low-pass cutoff 300 Hz‒19.2 kHz
+const cutoff = (timbre) => 300 * 2 ** (timbre * 6);
+// pressure 0‒1 → voice gain
+const level = (pressure) => 0.4 + 0.6 * pressure;
+
+class MpeSynth {
+  constructor(destination = Tone.getDestination()) {
+    this.output = new Tone.Volume(-14).connect(destination);
+    this.voices = new Map(); // note id → { synth, filter, gain }
+  }
+
+  // note as tracked by MpeTracker; pitchOffset adds the zone's master bend
+  noteOn(note, pitchOffset = 0) {
+    this.noteOff(note.id);
+    if (this.voices.size >= MAX_MPE_VOICES) this.noteOff(this.voices.keys().next().value);
+
+    const gain = new Tone.Gain(level(note.pressure)).connect(this.output);
+    const filter = new Tone.Filter({ type: 'lowpass', frequency: cutoff(note.timbre), Q: 1 }).connect(gain);
+    const synth = new Tone.Synth({
+      oscillator: { type: 'sawtooth' },
+      envelope: { attack: 0.01, decay: 0.3, sustain: 0.7, release: RELEASE }
+    }).connect(filter);
+    synth.detune.value = (note.bend + pitchOffset) * 100;
+    synth.triggerAttack(Tone.Frequency(note.note, 'midi'), undefined, 0.3 + 0.7 * note.velocity);
+    this.voices.set(note.id, { synth, filter, gain });
+  }
+
+  update(note, pitchOffset = 0) {
+    const voice = this.voices.get(note.id);
+    if (!voice) return;
+    voice.synth.detune.rampTo((note.bend + pitchOffset) * 100, 0.02);
+    voice.filter.frequency.rampTo(cutoff(note.timbre), 0.03);
+    voice.gain.gain.rampTo(level(note.pressure), 0.03);
+  }
+
+  noteOff(id) {
+    const voice = this.voices.get(id);
+    if (!voice) return;
+    this.voices.delete(id);
+    voice.synth.triggerRelease();
+    // Free the nodes once the release tail has faded
+    setTimeout(() => [voice.synth, voice.filter, voice.gain].forEach(node => node.dispose()), (RELEASE + 0.2) * 1000);
+  }
+
+  releaseAll() {
+    Array.from(this.voices.keys()).forEach(id => this.noteOff(id));
+  }
+
+  dispose() {
+    this.voices.forEach(voice => [voice.synth, voice.filter, voice.gain].forEach(node => node.dispose()));
+    this.voices.clear();
+    this.output.dispose();
+  }
+}
+
+export default MpeSynth;
@@ -0,0 +1,114 @@
+/* global process */
+// Tests for MPE zone and per-note expression tracking (run with `node src/mpeTests.js`)
+import MpeTracker, { MEMBER_BEND_RANGE } from './mpe.js';
+
+// Raw message helpers: channel is 0-based
+const noteOn = (ch, note, vel = 100) => [0x90 | ch, note, vel];
+const noteOff = (ch, note) => [0x80 | ch, note, 0];
+const bend = (ch, value) => {
+  const raw = Math.round(8192 + value * (value > 0 ? 8191 : 8192));
+  return [0xE0 | ch, raw & 0x7F, raw >> 7];
+};
+const pressure = (ch, value) => [0xD0 | ch, value, 0];
+const cc = (ch, controller, value) => [0xB0 | ch, controller, value];
+// MPE Configuration Message: RPN 6 on a master channel
+const mcm = (master, members) => [cc(master, 101, 0), cc(master, 100, 6), cc(master, 6, members)];
+
+class MpeTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  runAllTests() {
+    console.log("=== MPE TESTS ===\n");
+
+    this.testPerNoteExpression();
+    this.testMasterChannel();
+    this.testZones();
+
+    console.log("\n=== TEST SUMMARY ===");
+    const passed = this.testResults.filter(r => r.passed).length;
+    const total = this.testResults.length;
+    console.log(`Passed: ${passed}/${total}`);
+
+    return passed === total;
+  }
+
+  check(name, passed, detail = '') {
+    this.testResults.push({ name, passed });
+    console.log(`${passed ? "✓" : "✗"} ${name}${detail ? ` (${detail})` : ''}`);
+  }
+
+  // Test 1: each member channel's bend/pressure/timbre belongs to its note
+  testPerNoteExpression() {
+    console.log("\nTest 1: Per-note expression");
+    const mpe = new MpeTracker();
+    const send = msg => mpe.handle(...msg);
+
+    send(bend(1, -1)); // sent before the note: applies to it
+    const c = send(noteOn(1, 60)).note;
+    const e = send(noteOn(2, 64)).note;
+    this.check("initial expression", c.bend === -MEMBER_BEND_RANGE && e.bend === 0 && c.timbre === 0.5, `${c.bend}`);
+
+    const update = send(pressure(2, 127));
+    send(cc(1, 74, 0));
+    this.check("channel pressure reaches one note", update.type === 'update' && update.notes.length === 1 &&
+      e.pressure === 1 && c.pressure === 0);
+    this.check("timbre", c.timbre === 0 && e.timbre === 0.5);
+    this.check("sounding pitch", mpe.pitchOf(c) === 60 - MEMBER_BEND_RANGE);
+
+    const summary = mpe.summary();
+    this.check("summary", summary.pitchBend === -1 && summary.aftertouch === 1 && summary.modulation === 0.5,
+      JSON.stringify(summary));
+
+    this.check("note-off", send(noteOff(1, 60)).note === c && mpe.heldNotes.length === 1);
+    this.check("unknown note-off ignored", send(noteOff(3, 60)) === null);
+    this.check("sustain left to the app", send(cc(0, 64, 127)) === null);
+  }
+
+  // Test 2: master-channel bend moves every note of the zone
+  testMasterChannel() {
+    console.log("\nTest 2: Master channel");
+    const mpe = new MpeTracker();
+    const a = mpe.handle(...noteOn(1, 60)).note;
+    const b = mpe.handle(...noteOn(2, 67)).note;
+    const update = mpe.handle(...bend(0, 1));
+    this.check("zone-wide bend", update.notes.length === 2 && mpe.pitchOf(a) === 62 && mpe.pitchOf(b) === 69);
+  }
+
+  // Test 3: configuration messages set up zones and bend ranges
+  testZones() {
+    console.log("\nTest 3: Zones");
+    const mpe = new MpeTracker();
+    let result;
+    mcm(0, 7).forEach(msg => { result = mpe.handle(...msg) || result; });
+    mcm(15, 7).forEach(msg => { result = mpe.handle(...msg) || result; });
+    this.check("split layout", result.type === 'zone' && result.zones.lower === 7 && result.zones.upper === 7);
+    this.check("channels assigned", mpe.zoneOf(3) === 'lower' && mpe.zoneOf(9) === 'upper' && mpe.zoneOf(7) === 'lower');
+
+    const upper = mpe.handle(...noteOn(14, 72)).note;
+    this.check("upper zone note", upper.zone === 'upper');
+
+    // Member bend range of 12 semitones for the upper zone
+    [cc(14, 101, 0), cc(14, 100, 0), cc(14, 6, 12)].forEach(msg => mpe.handle(...msg));
+    mpe.handle(...bend(14, 1));
+    this.check("bend range RPN", mpe.pitchOf(upper) === 84, `${mpe.pitchOf(upper)}`);
+
+    mcm(0, 15).forEach(msg => mpe.handle(...msg));
+    this.check("a full lower zone removes the upper", mpe.zones.upper === 0 && mpe.zoneOf(15) === 'lower');
+
+    const narrow = new MpeTracker();
+    mcm(0, 3).forEach(msg => narrow.handle(...msg));
+    this.check("channels outside any zone are ignored", narrow.handle(...noteOn(9, 60)) === null &&
+      narrow.handle(...noteOn(3, 60)).type === 'noteOn');
+  }
+}
+
+// Run tests if this file is executed directly
+if (typeof window === 'undefined') {
+  const tester = new MpeTests();
+  const allPassed = tester.runAllTests();
+  process.exit(allPassed ? 0 : 1);
+}
+
+export default MpeTests;
@@ -1,5 +1,8 @@
 // Musicality Engine – Advanced musical pattern detection and scoring (rev.2)
 // Implements the metric recipe outlined in the design documents.
+import BeatTracker from './beatTracker.js';
+import Habituation, { HABITUATION_PARAMS } from './habituation.js';
+import { systemClock, SeededRandom } from './runtime.js';
 
 // ---------- CONSTANTS & HELPERS ----------
 // Musical intervals in semitones
@@ -20,34 +23,142 @@ const INTERVALS = {
 };
 
 // Common scales (interval patterns from root)
-const SCALES = {
+export const SCALES = {
   MAJOR: [0, 2, 4, 5, 7, 9, 11],
   NATURAL_MINOR: [0, 2, 3, 5, 7, 8, 10],
   HARMONIC_MINOR: [0, 2, 3, 5, 7, 8, 11],
   PENTATONIC_MAJOR: [0, 2, 4, 7, 9],
   PENTATONIC_MINOR: [0, 3, 5, 7, 10],
   BLUES: [0, 3, 5, 6, 7, 10],
-  CHROMATIC: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+  CHROMATIC: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  DORIAN: [0, 2, 3, 5, 7, 9, 10],
+  PHRYGIAN: [0, 1, 3, 5, 7, 8, 10],
+  LYDIAN: [0, 2, 4, 6, 7, 9, 11],
+  MIXOLYDIAN: [0, 2, 4, 5, 7, 9, 10],
+  LOCRIAN: [0, 1, 3, 5, 6, 8, 10]
 };
 
-// Chord patterns (intervals from root)
+// Krumhansl–Kessler key profiles (probe-tone ratings, index = semitones above tonic)
+const KK_MAJOR = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const KK_MINOR = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Church modes have no published probe-tone data, so build a profile from the
+// scale itself with Krumhansl–Kessler-like weights for tonic, third and fifth
+const modalProfile = (scale) => Array.from({ length: 12 }, (_, i) => {
+  if (i === 0) return 6.35;
+  if (!scale.includes(i)) return 2.35;
+  if (i === 7) return 5.19;
+  if (i === 3 || i === 4) return 4.38;
+  return 3.53;
+});
+
+// Modes considered by key finding: correlation profile + pitch set counted as "in key".
+// Minor accepts the raised 6th/7th of the melodic and harmonic forms.
+const KEY_MODES = {
+  major: { profile: KK_MAJOR, scale: SCALES.MAJOR },
+  minor: { profile: KK_MINOR, scale: [...SCALES.NATURAL_MINOR, 9, 11] },
+  dorian: { profile: modalProfile(SCALES.DORIAN), scale: SCALES.DORIAN },
+  phrygian: { profile: modalProfile(SCALES.PHRYGIAN), scale: SCALES.PHRYGIAN },
+  lydian: { profile: modalProfile(SCALES.LYDIAN), scale: SCALES.LYDIAN },
+  mixolydian: { profile: modalProfile(SCALES.MIXOLYDIAN), scale: SCALES.MIXOLYDIAN },
+  locrian: { profile: modalProfile(SCALES.LOCRIAN), scale: SCALES.LOCRIAN }
+};
+
+// Modes other than major/minor must beat them clearly before being reported
+const MODAL_PRIOR = 0.9;
+const KEY_HALF_LIFE = 12;    // notes until a note's weight in key finding halves
+const KEY_MIN_EVIDENCE = 8;  // notes needed before full confidence
+
+// Chord patterns (intervals from root). Sevenths come first so a full
+// seventh chord is not reported as the triad it contains.
 const CHORDS = {
+  MAJOR_SEVENTH: [0, 4, 7, 11],
+  DOMINANT_SEVENTH: [0, 4, 7, 10],
+  MINOR_SEVENTH: [0, 3, 7, 10],
+  HALF_DIMINISHED_SEVENTH: [0, 3, 6, 10],
   MAJOR_TRIAD: [0, 4, 7],
   MINOR_TRIAD: [0, 3, 7],
   DIMINISHED: [0, 3, 6],
-  AUGMENTED: [0, 4, 8],
-  MAJOR_SEVENTH: [0, 4, 7, 11],
-  DOMINANT_SEVENTH: [0, 4, 7, 10],
-  MINOR_SEVENTH: [0, 3, 7, 10]
+  AUGMENTED: [0, 4, 8]
+};
+
+const CHORD_QUALITY = {
+  MAJOR_SEVENTH: 'major',
+  DOMINANT_SEVENTH: 'major',
+  MINOR_SEVENTH: 'minor',
+  HALF_DIMINISHED_SEVENTH: 'diminished',
+  MAJOR_TRIAD: 'major',
+  MINOR_TRIAD: 'minor',
+  DIMINISHED: 'diminished',
+  AUGMENTED: 'augmented'
 };
 
-// Canonical chord progressions (roots relative to scale)
+// Roman numeral spelling of each semitone above the tonic
+const DEGREE_NUMERALS = ['I', 'bII', 'II', 'bIII', 'III', 'IV', '#IV', 'V', 'bVI', 'VI', 'bVII', 'VII'];
+
+// Parse 'bVI', 'ii', 'vii°', 'V' → { degree, quality }
+const parseNumeral = (numeral) => {
+  const [, accidental, roman, suffix] = numeral.match(/^([b#]?)([ivIV]+)(°|\+)?$/);
+  const base = DEGREE_NUMERALS.indexOf(roman.toUpperCase());
+  const degree = (base + (accidental === 'b' ? -1 : accidental === '#' ? 1 : 0) + 12) % 12;
+  let quality = roman === roman.toUpperCase() ? 'major' : 'minor';
+  if (suffix === '°') quality = 'diminished';
+  if (suffix === '+') quality = 'augmented';
+  return { degree, quality };
+};
+
+// Spell a chord as a roman numeral relative to a tonic
+const chordNumeral = (chord, tonic) => {
+  const roman = DEGREE_NUMERALS[pitchClass(chord.root - tonic)];
+  const lower = chord.quality === 'minor' || chord.quality === 'diminished';
+  const accidental = /^[b#]/.test(roman) ? roman[0] : '';
+  const body = accidental ? roman.slice(1) : roman;
+  const suffix = { diminished: '°', augmented: '+' }[chord.quality] || '';
+  return `${accidental}${lower ? body.toLowerCase() : body}${suffix}${chord.seventh ? '7' : ''}`;
+};
+
+// Canonical chord progressions as roman numerals relative to the detected key.
+// Matched cyclically, so any rotation of a looping progression counts.
 const PROGRESSIONS = {
-  I_V_vi_IV: [0, 7, 9, 5],
-  I_IV_V: [0, 5, 7],
-  ii_V_I: [2, 7, 0],
-  I_vi_IV_V: [0, 9, 5, 7],
-  vi_IV_I_V: [9, 5, 0, 7]
+  I_V_vi_IV: ['I', 'V', 'vi', 'IV'],
+  I_IV_V: ['I', 'IV', 'V'],
+  ii_V_I: ['ii', 'V', 'I'],
+  I_vi_IV_V: ['I', 'vi', 'IV', 'V'],
+  vi_IV_I_V: ['vi', 'IV', 'I', 'V'],
+  I_vi_ii_V: ['I', 'vi', 'ii', 'V'],
+  i_iv_V: ['i', 'iv', 'V'],
+  iio_V_i: ['ii°', 'V', 'i'],
+  i_bVI_bIII_bVII: ['i', 'bVI', 'bIII', 'bVII']
+};
+const PARSED_PROGRESSIONS = Object.fromEntries(
+  Object.entries(PROGRESSIONS).map(([name, prog]) => [name, prog.map(parseNumeral)])
+);
+
+// Harmonic function of each scale degree (semitones above tonic)
+const FUNCTIONS = { 0: 'T', 4: 'T', 9: 'T', 3: 'T', 8: 'T', 2: 'S', 5: 'S', 7: 'D', 11: 'D', 10: 'D' };
+const STRONG_MOTION = new Set(['T→S', 'S→D', 'D→T', 'T→D', 'S→T']);
+
+// Cadence strength for the last chord change (from-degree → to-degree)
+const CADENCES = [
+  { name: 'authentic', from: 7, to: 0, value: 1.0 },
+  { name: 'plagal', from: 5, to: 0, value: 0.8 },
+  { name: 'deceptive', from: 7, to: 9, value: 0.6 },
+  { name: 'deceptive', from: 7, to: 8, value: 0.6 },
+  { name: 'half', from: null, to: 7, value: 0.4 }
+];
+
+const HARMONY_WINDOW = 8; // chords considered for motion & progression matching
+
+// Default share of each built-in metric in the musicality score
+export const DEFAULT_WEIGHTS = {
+  melodicCoherence: 0.25,
+  harmonicProgression: 0.25,
+  rhythmicConsistency: 0.20,
+  scaleAdherence: 0.15,
+  phraseStructure: 0.10,
+  dynamicVariation: 0.05,
+  articulation: 0.10,
+  expressiveness: 0.10
 };
 
 // Sliding-window sizes & tuning knobs (exported for live tweaking)
@@ -56,63 +167,271 @@ export const MODEL_PARAMS = {
   IOI_WIN: 16,          // inter-onset intervals analysed
   VEL_WIN: 16,          // velocities analysed
   CHORD_WINDOW: 250,    // ms to collect simultaneous notes
-  EMA_ALPHA: 0.1        // speed of “boredom baseline”
-  ,BOOST_POS: 0.15      // excitement gain when surprising/creative
-  ,BOOST_NEG: 0.02      // boredom decay when stagnant
+  ...HABITUATION_PARAMS, // how fast attention wears down and recovers (see habituation.js)
+  BOOST_POS: 0.15,      // excitement gain for novel, musical playing
+  BOOST_NEG: 0.02,      // excitement loss per note the machine has heard enough of
+  DECAY: 0.002,         // excitement lost per second with fresh attention (more when bored)
+  WEIGHTS: { ...DEFAULT_WEIGHTS } // metric name → score weight (registered metrics add theirs)
+};
+
+// Schema version written by toJSON(). Bump it when the saved shape changes and
+// add a step to STATE_MIGRATIONS that upgrades the previous version.
+export const STATE_VERSION = 3;
+const STATE_MIGRATIONS = {
+  // 2 adds continuous-control expression
+  1: (state) => ({
+    ...state,
+    version: 2,
+    expression: { pitchBend: 0, modulation: 0, aftertouch: 0 },
+    expressionHistory: []
+  }),
+  // 3 replaces the score's moving average with habituation, which starts fresh
+  2: (state) => {
+    const next = { ...state, version: 3, habituation: null };
+    delete next.ema;
+    return next;
+  }
 };
 
+const EXPRESSION_WINDOW = 4000; // ms of pitch bend / modulation / aftertouch movement considered
+
 // Helper functions
 const clamp = (x, min, max) => Math.max(min, Math.min(max, x));
 const norm = (x, lo, hi) => clamp((x - lo) / (hi - lo), 0, 1); // 0‒1
+const pitchClass = (midiNote) => ((midiNote % 12) + 12) % 12;
+
+const pearson = (a, b) => {
+  const n = a.length;
+  const ma = a.reduce((s, v) => s + v, 0) / n;
+  const mb = b.reduce((s, v) => s + v, 0) / n;
+  let num = 0, da = 0, db = 0;
+  for (let i = 0; i < n; i++) {
+    num += (a[i] - ma) * (b[i] - mb);
+    da += (a[i] - ma) ** 2;
+    db += (b[i] - mb) ** 2;
+  }
+  return da && db ? num / Math.sqrt(da * db) : 0;
+};
+
+// ---------- METRIC REGISTRY ----------
+// A metric is a plain object:
+//   name           key in `metrics` and in the weights
+//   label          human-readable name for the debug/params panels (optional)
+//   description    one-line tooltip (optional)
+//   defaultWeight  score weight used when MODEL_PARAMS.WEIGHTS has none yet
+//   events         ['noteOn'] (default) and/or 'noteOff', 'expression'
+//   update(ctx)    recompute; return a 0‒1 value or set `this.value`
+//   isActive(eng)  optional – excluded from the score while false
+//   reset()        optional – called by engine.reset()
+//   toJSON()/fromJSON(state)  optional – internal state kept across save/restore
+// ctx = { engine, event, note, timestamp, velocity, duration } – for
+// 'expression' events { engine, event, timestamp, type, value }
+
+// Built-ins wrap the engine's own update* methods, which write engine.metrics
+const builtin = (name, label, description, defaultWeight, run, extra = {}) => ({
+  name,
+  label,
+  description,
+  defaultWeight,
+  builtin: true,
+  ...extra,
+  update(ctx) {
+    run(ctx.engine, ctx);
+    return ctx.engine.metrics[name] ?? 0;
+  }
+});
+
+const BUILTIN_METRICS = [
+  builtin('rhythmicConsistency', 'Rhythm', 'Notes landing on the beat grid', DEFAULT_WEIGHTS.rhythmicConsistency,
+    (e, ctx) => e.updateRhythmicConsistency(ctx.timestamp)),
+  builtin('melodicCoherence', 'Melody', 'Stepwise motion and recurring intervals', DEFAULT_WEIGHTS.melodicCoherence,
+    e => e.updateMelodicCoherence()),
+  builtin('scaleAdherence', 'Scale', 'Notes belonging to the detected key', DEFAULT_WEIGHTS.scaleAdherence,
+    e => e.updateScaleAdherence()),
+  builtin('harmonicProgression', 'Harmony', 'Progressions, functional motion and cadences', DEFAULT_WEIGHTS.harmonicProgression,
+    e => e.updateHarmonicProgression()),
+  builtin('phraseStructure', 'Phrasing', 'Phrases of 1, 2, 4 or 8 bars starting on downbeats', DEFAULT_WEIGHTS.phraseStructure,
+    e => e.updatePhraseStructure()),
+  builtin('dynamicVariation', 'Dynamics', 'Moderate, intentional velocity variation', DEFAULT_WEIGHTS.dynamicVariation,
+    (e, ctx) => e.updateDynamicVariation(ctx.velocity)),
+  // Articulation only counts once note-offs have been seen, so callers that
+  // never report releases are scored exactly as before
+  builtin('articulation', 'Articulation', 'Consistent legato/staccato shaping', DEFAULT_WEIGHTS.articulation,
+    (e, ctx) => e.updateArticulation(ctx.duration),
+    { events: ['noteOff'], isActive: e => e.gateHistory.length > 0 }),
+  // Likewise expressiveness only counts while continuous controls are in use
+  builtin('expressiveness', 'Expression', 'Pitch bend, vibrato and pressure shaping the notes', DEFAULT_WEIGHTS.expressiveness,
+    (e, ctx) => e.updateExpressiveness(ctx.timestamp),
+    { events: ['noteOn', 'expression'], isActive: e => e.expressionHistory.length > 0 })
+];
 
 // ---------- MUSICALITY ENGINE ----------
 class MusicalityEngine {
-  constructor() {
+  // clock: { now() } used when callers omit timestamps; random: SeededRandom
+  // shared with metrics that need chance (engine.random)
+  constructor({ clock = systemClock, random = new SeededRandom() } = {}) {
+    this.clock = clock;
+    this.random = random;
+    this.registry = new Map(); // name → { metric, enabled, value }; weights live in MODEL_PARAMS.WEIGHTS
+    BUILTIN_METRICS.forEach(metric => this.registerMetric(metric));
     this.reset();
   }
 
+  // Add (or replace) a metric. Options: { enabled = true, weight }; without an
+  // explicit weight a tuned value already in MODEL_PARAMS.WEIGHTS is kept
+  registerMetric(metric, { enabled = true, weight } = {}) {
+    if (!metric || !metric.name || typeof metric.update !== 'function') {
+      throw new Error('A metric needs a name and an update(context) function');
+    }
+    if (weight !== undefined || !(metric.name in MODEL_PARAMS.WEIGHTS)) {
+      MODEL_PARAMS.WEIGHTS[metric.name] = Math.max(0, weight ?? metric.defaultWeight ?? 0);
+    }
+    this.registry.set(metric.name, { metric, enabled, value: 0 });
+    if (this.metrics) this.syncMetrics();
+    return metric;
+  }
+
+  unregisterMetric(name) {
+    const removed = this.registry.delete(name);
+    if (removed) this.syncMetrics();
+    return removed;
+  }
+
+  setMetricEnabled(name, enabled) {
+    const entry = this.registry.get(name);
+    if (!entry) return;
+    entry.enabled = enabled;
+    this.syncMetrics();
+    this.calculateMusicalityScore();
+  }
+
+  // With { normalise: true } the other enabled metrics are rescaled so the
+  // enabled weights keep summing to 1 (the params panel sliders use this)
+  setMetricWeight(name, weight, { normalise = false } = {}) {
+    if (!this.registry.has(name)) return;
+    const weights = MODEL_PARAMS.WEIGHTS;
+
+    if (!normalise) {
+      weights[name] = Math.max(0, weight);
+    } else {
+      const others = Array.from(this.registry.values())
+        .filter(({ metric, enabled }) => enabled && metric.name !== name)
+        .map(({ metric }) => metric.name);
+      weights[name] = others.length ? clamp(weight, 0, 1) : 1;
+      const rest = others.reduce((s, n) => s + (weights[n] ?? 0), 0);
+      const remaining = 1 - weights[name];
+      others.forEach(n => {
+        weights[n] = rest > 0 ? (weights[n] ?? 0) * remaining / rest : remaining / others.length;
+      });
+    }
+    this.calculateMusicalityScore();
+  }
+
+  getMetricWeight(name) {
+    return MODEL_PARAMS.WEIGHTS[name] ?? 0;
+  }
+
+  // Back to each registered metric's declared default
+  resetWeights() {
+    for (const { metric } of this.registry.values()) {
+      MODEL_PARAMS.WEIGHTS[metric.name] = metric.defaultWeight ?? 0;
+    }
+    this.calculateMusicalityScore();
+  }
+
+  // Snapshot of every registered metric for UI panels
+  getMetrics() {
+    return Array.from(this.registry.values(), ({ metric, enabled, value }) => ({
+      name: metric.name,
+      label: metric.label || metric.name,
+      description: metric.description || '',
+      builtin: Boolean(metric.builtin),
+      defaultWeight: metric.defaultWeight ?? 0,
+      enabled,
+      weight: this.getMetricWeight(metric.name),
+      value
+    }));
+  }
+
+  // Rebuild the public `metrics` view: one value per enabled metric
+  syncMetrics() {
+    const next = {};
+    for (const [name, entry] of this.registry) {
+      if (entry.enabled) next[name] = entry.value;
+    }
+    this.metrics = next;
+  }
+
+  runMetrics(event, ctx) {
+    const context = { engine: this, event, ...ctx };
+    for (const entry of this.registry.values()) {
+      const { metric } = entry;
+      if (!entry.enabled || !(metric.events || ['noteOn']).includes(event)) continue;
+      const result = metric.update(context);
+      entry.value = clamp(typeof result === 'number' ? result : (metric.value ?? 0), 0, 1);
+      this.metrics[metric.name] = entry.value;
+    }
+  }
+
   reset() {
-    this.noteHistory = [];
+    this.noteHistory = []; // MIDI pitches
     this.timeHistory = [];
+    this.durHistory = [];  // held time per note, null until its note-off
     this.rhythmPattern = [];
     this.velHistory = [];
 
+    this.heldNotes = new Map(); // MIDI pitch → { onset, velocity }
+    this.gateHistory = [];      // held duration ÷ mean IOI per released note
+    this.polyphony = 0;         // notes sounding at the last onset
+    this.articulation = null;   // 'legato' | 'normal' | 'staccato'
+
+    // Latest continuous controls: pitchBend −1‒1, modulation and aftertouch 0‒1
+    this.expression = { pitchBend: 0, modulation: 0, aftertouch: 0 };
+    this.expressionHistory = []; // { change, held, timestamp } within EXPRESSION_WINDOW
+
     this.chordBuffer = [];
-    this.chordBufferTime = 0;
+    this.chordBufferTime = 0; // onset of the first note in the buffer
+    this.chordBufferLast = 0; // onset of the latest note in the buffer
     this.chordHistory = [];
+    this.harmonicContext = null; // { chord, inversion, progression, cadence }
 
-    this.scaleContext = null;
+    this.scaleContext = null; // { tonic, mode, confidence } once a key is found
+    // An external clock being followed outlasts a reset (e.g. a replay seek)
+    const clock = this.beatTracker?.external ? this.beatTracker : null;
+    this.beatTracker = new BeatTracker();
+    this.beat = null; // last onset's { tempo, meter, alignment, beat, barPosition, confidence }
     this.tempo = null;
-    this.ema = null; // exponential moving average of score
+    if (clock) this.followClock(clock.period, clock.beatTime);
+    this.habituation = new Habituation(MODEL_PARAMS);
+    this.novelty = 1; // how new the last note was to the machine, 0‒1
 
     this.musicalityScore = 0;
-    this.metrics = {
-      melodicCoherence: 0,
-      harmonicProgression: 0,
-      rhythmicConsistency: 0,
-      scaleAdherence: 0,
-      phraseStructure: 0,
-      dynamicVariation: 0
-    };
+    for (const entry of this.registry.values()) {
+      entry.value = 0;
+      if (typeof entry.metric.reset === 'function') entry.metric.reset();
+      if ('value' in entry.metric && !entry.metric.builtin) entry.metric.value = 0;
+    }
+    this.syncMetrics();
   }
 
-  // Main entry – call on each MIDI note-on
-  processNote(noteIndex, timestamp, velocity = 0.5) {
+  // Main entry – call on each MIDI note-on with the MIDI pitch (60 = C4)
+  processNote(midiNote, timestamp = this.clock.now(), velocity = 0.5) {
     // ---- Update core histories ----
-    this.noteHistory.push(noteIndex);
+    this.noteHistory.push(midiNote);
     this.timeHistory.push(timestamp);
+    this.durHistory.push(null);
     if (this.noteHistory.length > MODEL_PARAMS.HISTORY) {
       this.noteHistory.shift();
       this.timeHistory.shift();
+      this.durHistory.shift();
     }
 
+    this.heldNotes.set(midiNote, { onset: timestamp, velocity });
+    this.polyphony = this.heldNotes.size;
+    this.beat = this.beatTracker.addOnset(timestamp, velocity);
+
     // ---- Per-metric updates ----
-    this.updateRhythmicConsistency(timestamp);
-    this.updateMelodicCoherence();
-    this.updateScaleAdherence();
-    this.updateHarmonicProgression();
-    this.updatePhraseStructure();
-    this.updateDynamicVariation(velocity);
+    this.runMetrics('noteOn', { note: midiNote, timestamp, velocity });
 
     // ---- Aggregate score & excitement ----
     this.calculateMusicalityScore();
@@ -120,18 +439,94 @@ class MusicalityEngine {
     return {
       score: this.musicalityScore,
       metrics: { ...this.metrics },
-      excitement: this.calculateExcitementBoost()
+      scaleContext: this.scaleContext,
+      harmonicContext: this.harmonicContext,
+      beat: this.beat,
+      novelty: this.novelty,
+      attention: this.habituation.attention,
+      excitement: this.calculateExcitementBoost(midiNote, timestamp, velocity)
+    };
+  }
+
+  // Call on each MIDI note-off. Unknown notes (e.g. mouse leaving a key that
+  // was never pressed) are ignored and return null.
+  processNoteOff(midiNote, timestamp = this.clock.now()) {
+    const held = this.heldNotes.get(midiNote);
+    if (!held) return null;
+    this.heldNotes.delete(midiNote);
+
+    const duration = Math.max(0, timestamp - held.onset);
+    for (let i = this.noteHistory.length - 1; i >= 0; i--) {
+      if (this.noteHistory[i] === midiNote && this.timeHistory[i] === held.onset) {
+        this.durHistory[i] = duration;
+        break;
+      }
+    }
+    this.runMetrics('noteOff', { note: midiNote, timestamp, velocity: held.velocity, duration });
+    this.calculateMusicalityScore();
+
+    return {
+      duration,
+      articulation: this.articulation,
+      score: this.musicalityScore,
+      metrics: { ...this.metrics }
     };
   }
 
+  // Call on each continuous-control change: type is 'pitchBend' (−1‒1),
+  // 'modulation' or 'aftertouch' (0‒1). Feeds the expressiveness metric but
+  // is not a note, so excitement is left to the next onset. Unknown types
+  // return null.
+  processExpression(type, value, timestamp = this.clock.now()) {
+    if (!(type in this.expression)) return null;
+    const change = Math.abs(value - this.expression[type]);
+    this.expression[type] = value;
+    this.expressionHistory.push({ change, held: this.heldNotes.size > 0, timestamp });
+
+    this.runMetrics('expression', { timestamp, type, value });
+    this.calculateMusicalityScore();
+
+    return {
+      expression: { ...this.expression },
+      score: this.musicalityScore,
+      metrics: { ...this.metrics }
+    };
+  }
+
+  // Follow an external clock (e.g. MIDI clock in): period in ms per beat and
+  // the time of a beat on the engine clock. Rhythm is then judged against
+  // that grid instead of one induced from the notes, until releaseClock().
+  followClock(period, beatTime) {
+    this.beatTracker.follow(period, beatTime);
+    this.tempo = this.beatTracker.tempo;
+  }
+
+  releaseClock() {
+    this.beatTracker.release();
+  }
+
   // ---------- METRIC COMPUTATIONS ----------
   // 1. Rhythmic Consistency & tempo
+  // Once the beat tracker has a grid, reward notes that land on beats or
+  // subdivisions; until then fall back to how evenly notes are spaced.
   updateRhythmicConsistency(ts) {
     if (this.timeHistory.length < 2) return;
 
     const ioi = ts - this.timeHistory[this.timeHistory.length - 2];
-    this.rhythmPattern.push(ioi);
-    if (this.rhythmPattern.length > MODEL_PARAMS.IOI_WIN) this.rhythmPattern.shift();
+    if (ioi > 0) {
+      this.rhythmPattern.push(ioi);
+      if (this.rhythmPattern.length > MODEL_PARAMS.IOI_WIN) this.rhythmPattern.shift();
+    }
+    if (!this.rhythmPattern.length) return;
+
+    const tracker = this.beatTracker;
+    if (tracker.tempo) {
+      const recent = tracker.alignments.slice(-MODEL_PARAMS.IOI_WIN);
+      const meanAlign = recent.reduce((a, b) => a + b, 0) / recent.length;
+      this.metrics.rhythmicConsistency = norm(meanAlign, 0.45, 0.9);
+      this.tempo = tracker.tempo; // BPM
+      return;
+    }
 
     const mean = this.rhythmPattern.reduce((a, b) => a + b, 0) / this.rhythmPattern.length;
     const variance = this.rhythmPattern.reduce((s, v) => s + (v - mean) ** 2, 0) / this.rhythmPattern.length;
@@ -160,76 +555,189 @@ class MusicalityEngine {
     this.metrics.melodicCoherence = clamp(0.6 * stepScore + 0.3 * motifScore - 0.3 * leapPenalty, 0, 1);
   }
 
-  // 3. Scale Adherence
+  // 3. Scale Adherence (key finding over all 12 tonics)
+  // Pitch-class histogram weighted by note duration and recency. Notes whose
+  // note-off hasn't arrived count for the time until the next onset (or the mean IOI).
+  weightedPitchClasses() {
+    const n = this.noteHistory.length;
+    const meanIOI = this.rhythmPattern.length
+      ? this.rhythmPattern.reduce((a, b) => a + b, 0) / this.rhythmPattern.length
+      : 500;
+    const hist = Array(12).fill(0);
+
+    for (let i = 0; i < n; i++) {
+      // Chord tones share an onset, so look for the next later onset
+      const nextOnset = this.timeHistory.slice(i + 1).find(t => t > this.timeHistory[i]);
+      const dur = this.durHistory[i] ?? (nextOnset !== undefined ? nextOnset - this.timeHistory[i] : meanIOI);
+      const durWeight = clamp(dur, 50, 2000) / 500; // 1 = quarter note at 120 BPM
+      const recency = 0.5 ** ((n - 1 - i) / KEY_HALF_LIFE);
+      hist[pitchClass(this.noteHistory[i])] += durWeight * recency;
+    }
+    return hist;
+  }
+
+  detectKey(hist) {
+    let best = null;
+    for (const [mode, { profile }] of Object.entries(KEY_MODES)) {
+      const prior = mode === 'major' || mode === 'minor' ? 1 : MODAL_PRIOR;
+      for (let tonic = 0; tonic < 12; tonic++) {
+        const rotated = hist.map((_, pc) => hist[(pc + tonic) % 12]);
+        const r = pearson(rotated, profile) * prior;
+        if (!best || r > best.r) best = { tonic, mode, r };
+      }
+    }
+    return best;
+  }
+
   updateScaleAdherence() {
     if (this.noteHistory.length === 0) return;
 
-    const pcsCounts = Array(12).fill(0);
-    this.noteHistory.slice(-MODEL_PARAMS.HISTORY).forEach(n => pcsCounts[n % 12]++);
+    const hist = this.weightedPitchClasses();
+    const key = this.detectKey(hist);
+    const evidence = Math.min(1, this.noteHistory.length / KEY_MIN_EVIDENCE);
 
-    let best = { name: null, fit: 0 };
-    for (const [name, pattern] of Object.entries(SCALES)) {
-      const fit = pattern.reduce((s, int) => s + pcsCounts[int], 0);
-      if (fit > best.fit) best = { name, fit };
-    }
+    this.scaleContext = {
+      tonic: key.tonic,
+      mode: key.mode,
+      confidence: clamp(key.r, 0, 1) * evidence
+    };
 
-    this.scaleContext = best.name;
-    this.metrics.scaleAdherence = best.fit / this.noteHistory.length;
+    const scale = KEY_MODES[key.mode].scale;
+    const total = hist.reduce((a, b) => a + b, 0);
+    const inKey = hist.reduce((s, w, pc) => s + (scale.includes(pitchClass(pc - key.tonic)) ? w : 0), 0);
+    this.metrics.scaleAdherence = total > 0 ? inKey / total : 0;
   }
 
   // 4. Harmonic Progression
-  detectChord(pitchClasses) {
+  // Identify a chord (any voicing or inversion) from a group of MIDI notes
+  detectChord(notes) {
+    const pitchClasses = new Set(notes.map(pitchClass));
+    const bass = pitchClass(Math.min(...notes));
     for (const [name, intervals] of Object.entries(CHORDS)) {
       for (const root of pitchClasses) {
         if (intervals.every(i => pitchClasses.has((root + i) % 12))) {
-          return { name, root };
+          const tones = intervals.map(i => (root + i) % 12);
+          return {
+            name,
+            root,
+            quality: CHORD_QUALITY[name],
+            seventh: intervals.length === 4,
+            inversion: Math.max(0, tones.indexOf(bass))
+          };
         }
       }
     }
     return null;
   }
 
+  // Best cyclic alignment of the recent chords against each progression (0‒1)
+  matchProgression(chords, tonic) {
+    let best = { name: null, match: 0 };
+    for (const [name, prog] of Object.entries(PARSED_PROGRESSIONS)) {
+      const recent = chords.slice(-prog.length);
+      for (let offset = 0; offset < prog.length; offset++) {
+        const credit = recent.reduce((sum, chord, j) => {
+          if (!chord) return sum;
+          const want = prog[(offset + j) % prog.length];
+          if (pitchClass(chord.root - tonic) !== want.degree) return sum;
+          return sum + (chord.quality === want.quality ? 1 : 0.5);
+        }, 0);
+        const match = credit / prog.length;
+        if (match > best.match) best = { name, match };
+      }
+    }
+    return best;
+  }
+
   updateHarmonicProgression() {
     const now = this.timeHistory.at(-1);
     const lastNote = this.noteHistory.at(-1);
 
-    // Start/reset buffer window
-    if (now - this.chordBufferTime > MODEL_PARAMS.CHORD_WINDOW) {
+    // Notes closer than CHORD_WINDOW to the previous one belong to the same
+    // chord (so arpeggios group); a group never spans more than two windows
+    const gap = now - this.chordBufferLast;
+    const span = now - this.chordBufferTime;
+    if (!this.chordBuffer.length || gap > MODEL_PARAMS.CHORD_WINDOW || span > 2 * MODEL_PARAMS.CHORD_WINDOW) {
       // Flush & detect chord
       if (this.chordBuffer.length) {
-        const pcs = new Set(this.chordBuffer.map(n => n % 12));
-        const chord = this.detectChord(pcs);
-        this.chordHistory.push(chord);
+        this.chordHistory.push(this.detectChord(this.chordBuffer));
+        if (this.chordHistory.length > MODEL_PARAMS.HISTORY) this.chordHistory.shift();
       }
       this.chordBuffer = [lastNote];
       this.chordBufferTime = now;
     } else {
       this.chordBuffer.push(lastNote);
     }
+    this.chordBufferLast = now;
+
+    const tonic = this.scaleContext ? this.scaleContext.tonic : 0;
+    const chords = this.chordHistory.slice(-HARMONY_WINDOW);
+    const known = chords.filter(Boolean);
+    if (!known.length) {
+      this.harmonicContext = null;
+      this.metrics.harmonicProgression = 0;
+      return;
+    }
 
-    // Compare recent chord root sequence against known progressions
-    const roots = this.chordHistory.slice(-4).map(c => (c ? c.root : null));
-    let match = 0;
-    for (const prog of Object.values(PROGRESSIONS)) {
-      const seg = prog.slice(0, roots.length);
-      if (JSON.stringify(seg) === JSON.stringify(roots)) {
-        match = roots.length / prog.length;
-        break;
-      }
+    // a) Known progressions, matched as functions in the current key
+    const progression = this.matchProgression(chords, tonic);
+
+    // b) Functional motion: T→S→D→T or roots falling by a fifth
+    const degrees = known.map(c => pitchClass(c.root - tonic));
+    let strong = 0;
+    for (let i = 1; i < degrees.length; i++) {
+      const move = `${FUNCTIONS[degrees[i - 1]] || '?'}→${FUNCTIONS[degrees[i]] || '?'}`;
+      const fallingFifth = pitchClass(degrees[i] - degrees[i - 1]) === 5;
+      if (STRONG_MOTION.has(move) || fallingFifth) strong++;
     }
-    this.metrics.harmonicProgression = match; // 0‒1
-  }
+    const motion = degrees.length > 1 ? strong / (degrees.length - 1) : 0;
 
-  // 5. Phrase Structure (very simple IOI-based heuristic)
-  updatePhraseStructure() {
-    if (!this.tempo || this.rhythmPattern.length < 4) return;
+    // c) Cadence formed by the last chord change
+    let cadence = null;
+    if (degrees.length > 1) {
+      const [from, to] = degrees.slice(-2);
+      cadence = CADENCES.find(c => c.to === to && (c.from === null ? from !== to : c.from === from)) || null;
+    }
 
-    const meanIOI = this.rhythmPattern.reduce((a, b) => a + b, 0) / this.rhythmPattern.length;
-    const rests = this.rhythmPattern.slice(-8).filter(x => x > 1.5 * meanIOI);
-    const phraseLen = rests.length ? rests[rests.length - 1] : 0;
+    this.harmonicContext = {
+      chord: chordNumeral(known.at(-1), tonic),
+      inversion: known.at(-1).inversion,
+      progression: progression.match > 0 ? progression.name : null,
+      cadence: cadence ? cadence.name : null
+    };
+
+    this.metrics.harmonicProgression = clamp(
+      0.6 * progression.match + 0.25 * motion + 0.15 * (cadence ? cadence.value : 0),
+      0, 1
+    ); // 0‒1
+  }
 
-    const ideal = 4 * (60000 / this.tempo); // 4 beats in current tempo
-    this.metrics.phraseStructure = 1 - norm(Math.abs(phraseLen - ideal), 0, ideal);
+  // 5. Phrase Structure
+  // Phrases are separated by rests of 1.5+ beats. A phrase (measured start to
+  // next start) scores well when it lasts a power-of-two number of bars and
+  // starts on a downbeat.
+  updatePhraseStructure() {
+    const tracker = this.beatTracker;
+    if (!tracker.tempo) return;
+
+    const period = tracker.period;
+    const starts = [];
+    this.timeHistory.forEach((t, i) => {
+      const prev = this.timeHistory[i - 1];
+      if (i === 0 || t - prev >= 1.5 * period) starts.push(t);
+    });
+    if (starts.length < 2) return;
+
+    const scores = starts.slice(1).map((next, i) => {
+      const bars = (next - starts[i]) / period / tracker.meter;
+      const target = [1, 2, 4, 8].reduce((best, n) => (Math.abs(bars - n) < Math.abs(bars - best) ? n : best));
+      const closeness = 1 - norm(Math.abs(bars - target) / target, 0, 0.5);
+      const onDownbeat = tracker.barPosition(starts[i]) === 0 ? 1 : 0;
+      return 0.7 * closeness + 0.3 * onDownbeat;
+    });
+
+    const recent = scores.slice(-4);
+    this.metrics.phraseStructure = recent.reduce((a, b) => a + b, 0) / recent.length;
   }
 
   // 6. Dynamic Variation (velocity coefficient of variation)
@@ -244,32 +752,163 @@ class MusicalityEngine {
     this.metrics.dynamicVariation = 1 - norm(Math.abs(cv - 0.25), 0.2, 0.35);
   }
 
+  // 7. Articulation (how notes are shaped: gate = held time relative to pulse)
+  updateArticulation(duration) {
+    if (!this.rhythmPattern.length) return;
+
+    const meanIOI = this.rhythmPattern.reduce((a, b) => a + b, 0) / this.rhythmPattern.length;
+    const gate = clamp(duration / meanIOI, 0, 2);
+    this.gateHistory.push(gate);
+    if (this.gateHistory.length > MODEL_PARAMS.IOI_WIN) this.gateHistory.shift();
+
+    const mean = this.gateHistory.reduce((a, b) => a + b, 0) / this.gateHistory.length;
+    const variance = this.gateHistory.reduce((s, v) => s + (v - mean) ** 2, 0) / this.gateHistory.length;
+    const cv = mean > 0 ? Math.sqrt(variance) / mean : 1;
+
+    if (mean >= 0.9) this.articulation = 'legato';
+    else if (mean < 0.5) this.articulation = 'staccato';
+    else this.articulation = 'normal';
+
+    // Deliberate, consistent shaping scores high whichever style is chosen
+    this.metrics.articulation = 1 - norm(cv, 0.1, 0.6);
+  }
+
+  // 8. Expressiveness (how much the continuous controls move)
+  // Some gesture over the last few seconds scores high; none, or constant
+  // wild wobbling, scores low. Moves made while nothing sounds count half.
+  updateExpressiveness(ts) {
+    while (this.expressionHistory.length && this.expressionHistory[0].timestamp < ts - EXPRESSION_WINDOW) {
+      this.expressionHistory.shift();
+    }
+    const movement = this.expressionHistory.reduce((s, e) => s + e.change * (e.held ? 1 : 0.5), 0);
+    this.metrics.expressiveness = norm(movement, 0, 1) * (1 - norm(movement, 6, 12));
+  }
+
   // ---------- SCORING & EXCITEMENT ----------
   calculateMusicalityScore() {
-    const weights = {
-      melodicCoherence: 0.25,
-      harmonicProgression: 0.25,
-      rhythmicConsistency: 0.20,
-      scaleAdherence: 0.15,
-      phraseStructure: 0.10,
-      dynamicVariation: 0.05
-    };
-
-    const raw = Object.entries(weights).reduce((s, [k, w]) => s + w * this.metrics[k], 0);
+    // Weighted mean over enabled, active metrics (weights need not sum to 1)
+    const active = Array.from(this.registry.values())
+      .filter(({ metric, enabled }) =>
+        enabled && (typeof metric.isActive !== 'function' || metric.isActive(this)))
+      .map(({ metric, value }) => ({ weight: this.getMetricWeight(metric.name), value }))
+      .filter(({ weight }) => weight > 0);
+    const total = active.reduce((s, { weight }) => s + weight, 0);
+    const raw = total > 0 ? active.reduce((s, { weight, value }) => s + weight * value, 0) / total : 0;
     this.musicalityScore = Math.round(raw * 100); // 0-100
   }
 
-  calculateExcitementBoost() {
-    if (this.ema === null) this.ema = this.musicalityScore;
-    this.ema = MODEL_PARAMS.EMA_ALPHA * this.musicalityScore + (1 - MODEL_PARAMS.EMA_ALPHA) * this.ema;
+  // ---------- SERIALIZATION ----------
+  // Everything the engine has learned from the performance. Tuning knobs
+  // (MODEL_PARAMS, weights) are not part of it; neither are metric definitions,
+  // only their enabled flag, value and any state they expose via toJSON().
+  toJSON() {
+    const metrics = {};
+    for (const [name, { metric, enabled, value }] of this.registry) {
+      metrics[name] = { enabled, value };
+      if (typeof metric.toJSON === 'function') metrics[name].state = metric.toJSON();
+    }
+
+    return structuredClone({
+      version: STATE_VERSION,
+      noteHistory: this.noteHistory,
+      timeHistory: this.timeHistory,
+      durHistory: this.durHistory,
+      rhythmPattern: this.rhythmPattern,
+      velHistory: this.velHistory,
+      heldNotes: Array.from(this.heldNotes, ([note, held]) => ({ note, ...held })),
+      gateHistory: this.gateHistory,
+      polyphony: this.polyphony,
+      articulation: this.articulation,
+      expression: this.expression,
+      expressionHistory: this.expressionHistory,
+      chordBuffer: this.chordBuffer,
+      chordBufferTime: this.chordBufferTime,
+      chordBufferLast: this.chordBufferLast,
+      chordHistory: this.chordHistory,
+      harmonicContext: this.harmonicContext,
+      scaleContext: this.scaleContext,
+      beatTracker: this.beatTracker.toJSON(),
+      beat: this.beat,
+      tempo: this.tempo,
+      habituation: this.habituation.toJSON(),
+      novelty: this.novelty,
+      musicalityScore: this.musicalityScore,
+      metrics
+    });
+  }
 
-    const delta = this.musicalityScore - this.ema; // -100..100
-    const normDelta = clamp(delta / 100, -1, 1);   // -1 .. 1
+  // Replace this engine's memory with a saved state (object or JSON string).
+  // Metrics in the state that are not registered here are ignored.
+  restore(saved) {
+    let state = typeof saved === 'string' ? JSON.parse(saved) : structuredClone(saved);
+    if (!state || typeof state.version !== 'number') {
+      throw new Error('Not a MusicalityEngine state');
+    }
+    if (state.version > STATE_VERSION) {
+      throw new Error(`Engine state version ${state.version} is newer than supported (${STATE_VERSION})`);
+    }
+    while (state.version < STATE_VERSION) {
+      const migrate = STATE_MIGRATIONS[state.version];
+      if (!migrate) throw new Error(`No migration from engine state version ${state.version}`);
+      state = migrate(state);
+    }
 
-    if (normDelta > 0) {
-      return normDelta * MODEL_PARAMS.BOOST_POS; // positive boost
+    this.reset();
+    this.noteHistory = state.noteHistory;
+    this.timeHistory = state.timeHistory;
+    this.durHistory = state.durHistory;
+    this.rhythmPattern = state.rhythmPattern;
+    this.velHistory = state.velHistory;
+    this.heldNotes = new Map(state.heldNotes.map(({ note, ...held }) => [note, held]));
+    this.gateHistory = state.gateHistory;
+    this.polyphony = state.polyphony;
+    this.articulation = state.articulation;
+    this.expression = state.expression;
+    this.expressionHistory = state.expressionHistory;
+    this.chordBuffer = state.chordBuffer;
+    this.chordBufferTime = state.chordBufferTime;
+    this.chordBufferLast = state.chordBufferLast;
+    this.chordHistory = state.chordHistory;
+    this.harmonicContext = state.harmonicContext;
+    this.scaleContext = state.scaleContext;
+    this.beatTracker = BeatTracker.fromJSON(state.beatTracker);
+    this.beat = state.beat;
+    this.tempo = state.tempo;
+    this.habituation = Habituation.fromJSON(state.habituation, MODEL_PARAMS);
+    this.novelty = state.novelty ?? 1;
+    this.musicalityScore = state.musicalityScore;
+
+    for (const [name, saved] of Object.entries(state.metrics || {})) {
+      const entry = this.registry.get(name);
+      if (!entry) continue;
+      entry.enabled = saved.enabled;
+      entry.value = saved.value;
+      if (!entry.metric.builtin && 'value' in entry.metric) entry.metric.value = saved.value;
+      if (saved.state !== undefined && typeof entry.metric.fromJSON === 'function') {
+        entry.metric.fromJSON(saved.state);
+      }
     }
-    return normDelta * MODEL_PARAMS.BOOST_NEG; // negative (decay) value
+    this.syncMetrics();
+    return this;
+  }
+
+  static fromJSON(saved, options) {
+    return new MusicalityEngine(options).restore(saved);
+  }
+
+  // Excitement change for a note: novelty to the machine's attention
+  // channels, counted in proportion to how musical the playing is, less a
+  // penalty for whatever the channels are already tired of
+  calculateExcitementBoost(midiNote, timestamp, velocity) {
+    this.novelty = this.habituation.observe(midiNote, timestamp, velocity).novelty;
+    const quality = this.musicalityScore / 100;
+    return this.novelty * quality * MODEL_PARAMS.BOOST_POS - (1 - this.novelty) * MODEL_PARAMS.BOOST_NEG;
+  }
+
+  // Excitement lost per second as of `timestamp`: faster while the
+  // attention channels are worn down, easing as they recover in silence
+  decayRate(timestamp = this.clock.now()) {
+    return MODEL_PARAMS.DECAY * (1 + 2 * this.habituation.boredom(timestamp));
   }
 }
 
@@ -1,5 +1,7 @@
 // Comprehensive tests for the Musicality Engine
-import MusicalityEngine from './musicalityEngine.js';
+import MusicalityEngine, { MODEL_PARAMS, DEFAULT_WEIGHTS, STATE_VERSION } from './musicalityEngine.js';
+import { createContourMetric, createSyncopationMetric } from './experimentalMetrics.js';
+import { ManualClock, SeededRandom } from './runtime.js';
 
 class MusicalityTests {
   constructor() {
@@ -13,9 +15,20 @@ class MusicalityTests {
     // Reset before each test
     this.testSimpleScale();
     this.testRhythmicConsistency();
+    this.testBeatTracking();
+    this.testExternalClock();
     this.testMelodicCoherence();
     this.testScaleAdherence();
+    this.testKeyDetection();
     this.testChordProgression();
+    this.testTransposedProgression();
+    this.testArticulation();
+    this.testMetricRegistry();
+    this.testMetricWeights();
+    this.testSerialization();
+    this.testDeterminism();
+    this.testExpression();
+    this.testHabituation();
     this.testRandomPlaying();
     this.testMusicalPhrase();
     this.testDoReMiFa();
@@ -76,6 +89,82 @@ class MusicalityTests {
     console.log(passed ? "✓ PASSED" : "✗ FAILED");
   }
 
+  // Test 2b: Syncopated playing in time beats merely even playing
+  testBeatTracking() {
+    console.log("\nTest 2b: Beat Tracking (syncopation, rests, meter)");
+
+    // Syncopated bar at 120 BPM: beats 1, 2&, 4, 4& – uneven IOIs, all on the grid
+    this.engine.reset();
+    for (let bar = 0; bar < 6; bar++) {
+      [0, 1.5, 3, 3.5].forEach((beat, i) => this.engine.processNote(60 + i, bar * 2000 + beat * 500));
+    }
+    const syncTempo = this.engine.tempo;
+    const syncRhythm = this.engine.metrics.rhythmicConsistency;
+    console.log(`Syncopated: ${syncTempo.toFixed(1)} BPM, rhythmic consistency ${syncRhythm.toFixed(3)}`);
+
+    // Waltz accents at 150 BPM
+    this.engine.reset();
+    for (let i = 0; i < 30; i++) {
+      this.engine.processNote(60, i * 400, i % 3 === 0 ? 1 : 0.4);
+    }
+    console.log(`Waltz: meter ${this.engine.beat.meter}, ${this.engine.tempo.toFixed(1)} BPM`);
+    const waltz = this.engine.beat.meter === 3 && Math.abs(this.engine.tempo - 150) < 2;
+
+    // Phrases of 7 quarter notes + a half-note rest at 120 BPM; 2 bars beat 3
+    const phraseScore = (barsPerPhrase) => {
+      this.engine.reset();
+      for (let phrase = 0; phrase < 4; phrase++) {
+        for (let beat = 0; beat < 4 * barsPerPhrase - 1; beat++) {
+          this.engine.processNote(60 + (beat % 5), phrase * barsPerPhrase * 2000 + beat * 500);
+        }
+      }
+      return this.engine.metrics.phraseStructure;
+    };
+    const twoBars = phraseScore(2);
+    const threeBars = phraseScore(3);
+    console.log(`Phrase structure: 2-bar phrases ${twoBars.toFixed(3)}, 3-bar phrases ${threeBars.toFixed(3)}`);
+    const phrase = twoBars > 0.8 && twoBars > threeBars;
+
+    const passed = Math.abs(syncTempo - 120) < 2 && syncRhythm > 0.8 && waltz && phrase;
+    this.testResults.push({ name: "Beat Tracking", passed });
+    console.log(passed ? "✓ PASSED" : "✗ FAILED");
+  }
+
+  // Test 2c: An external clock sets the grid the notes are judged against
+  testExternalClock() {
+    console.log("\nTest 2c: External Clock");
+    // Quarter notes at 100 BPM (600 ms), steady but 75 ms off the clock's grid
+    const play = (engine) => {
+      for (let i = 0; i < 16; i++) engine.processNote(60 + (i % 5), 75 + i * 600);
+      return engine.metrics.rhythmicConsistency;
+    };
+    const free = play(new MusicalityEngine());
+
+    const synced = new MusicalityEngine();
+    synced.followClock(600, 0);
+    const offBeat = play(synced);
+    const tempo = synced.tempo;
+
+    // A saved session keeps following the clock; saves from before it was induced
+    const saved = JSON.parse(JSON.stringify(synced));
+    const restored = MusicalityEngine.fromJSON(saved).beatTracker;
+    delete saved.beatTracker.external;
+    const kept = restored.external && restored.period === 600 && !MusicalityEngine.fromJSON(saved).beatTracker.external;
+
+    // and a reset (e.g. seeking a replay) keeps following it
+    synced.reset();
+    const lock = synced.beatTracker.external && synced.beatTracker.period === 600 && synced.tempo === 100;
+
+    synced.releaseClock();
+    synced.reset();
+    const released = !synced.beatTracker.external && Math.abs(play(synced) - free) < 1e-9;
+    console.log(`Free ${free.toFixed(3)}, against the clock ${offBeat.toFixed(3)} (${tempo} BPM), released ${released}, restored ${kept}, kept through reset ${lock}`);
+
+    const passed = free > 0.8 && tempo === 100 && offBeat < free && released && kept && lock;
+    this.testResults.push({ name: "External Clock", passed });
+    console.log(passed ? "✓ PASSED" : "✗ FAILED");
+  }
+
   // Test 3: Melodic phrases with good contour
   testMelodicCoherence() {
     console.log("\nTest 3: Melodic Coherence");
@@ -112,13 +201,46 @@ class MusicalityTests {
     });
     
     console.log(`Scale adherence: ${this.engine.metrics.scaleAdherence.toFixed(3)}`);
-    console.log(`Detected scale: ${this.engine.scaleContext?.name || 'None'}`);
+    const key = this.engine.scaleContext;
+    console.log(`Detected key: ${key ? `${key.tonic} ${key.mode} (${key.confidence.toFixed(2)})` : 'None'}`);
     
     const passed = this.engine.metrics.scaleAdherence > 0.9;
     this.testResults.push({ name: "Scale Adherence", passed });
     console.log(passed ? "✓ PASSED" : "✗ FAILED");
   }
 
+  // Test 4b: Key finding works in any key, not just C
+  testKeyDetection() {
+    console.log("\nTest 4b: Key Detection (all tonics)");
+
+    const detect = (notes) => {
+      this.engine.reset();
+      let timestamp = 0;
+      notes.forEach(note => {
+        this.engine.processNote(note, timestamp);
+        timestamp += 400;
+      });
+      return this.engine.scaleContext;
+    };
+
+    const cases = [
+      { name: "E-flat major", notes: [63, 65, 67, 68, 70, 72, 74, 75, 70, 67, 63], tonic: 3, mode: 'major' },
+      { name: "A minor", notes: [69, 71, 72, 74, 76, 77, 79, 81, 76, 72, 69, 64, 69], tonic: 9, mode: 'minor' },
+      { name: "D dorian", notes: [62, 64, 65, 67, 69, 71, 72, 74, 69, 65, 62, 62, 71, 69, 62], tonic: 2, mode: 'dorian' }
+    ];
+
+    let passed = true;
+    cases.forEach(c => {
+      const key = detect(c.notes);
+      const ok = key.tonic === c.tonic && key.mode === c.mode && this.engine.metrics.scaleAdherence > 0.9;
+      console.log(`${c.name}: tonic ${key.tonic} ${key.mode} (${key.confidence.toFixed(2)}) ${ok ? '✓' : '✗'}`);
+      passed = passed && ok;
+    });
+
+    this.testResults.push({ name: "Key Detection", passed });
+    console.log(passed ? "✓ PASSED" : "✗ FAILED");
+  }
+
   // Test 5: Chord progressions
   testChordProgression() {
     console.log("\nTest 5: Chord Progression");
@@ -148,6 +270,291 @@ class MusicalityTests {
     console.log(passed ? "✓ PASSED" : "✗ FAILED");
   }
 
+  // Test 5c: Progressions match in any key, with inversions and sevenths
+  testTransposedProgression() {
+    console.log("\nTest 5c: Transposed Progressions");
+
+    const playChords = (chords, tonic) => {
+      this.engine.reset();
+      let timestamp = 0;
+      chords.forEach(chord => {
+        chord.forEach(note => this.engine.processNote(note, timestamp));
+        timestamp += 600;
+      });
+      this.engine.processNote(tonic, timestamp); // flush the last chord
+      return this.engine.harmonicContext;
+    };
+
+    // I–V–vi–IV in E-flat, V in first inversion
+    const pop = playChords([[63, 67, 70], [62, 65, 70], [60, 63, 67], [56, 60, 63], [63, 67, 70]], 63);
+    const popScore = this.engine.metrics.harmonicProgression;
+    const inversion = this.engine.chordHistory[1]?.inversion;
+    console.log(`E-flat I–V–vi–IV: ${pop.progression} V inversion=${inversion} ${popScore.toFixed(3)}`);
+
+    // ii7–V7–Imaj7 in A
+    const jazz = playChords([[59, 62, 66, 69], [64, 68, 71, 74], [57, 61, 64, 68], [59, 62, 66, 69], [64, 68, 71, 74], [57, 61, 64, 68]], 57);
+    const jazzScore = this.engine.metrics.harmonicProgression;
+    console.log(`A ii–V–I: ${jazz.progression} cadence=${jazz.cadence} chord=${jazz.chord} ${jazzScore.toFixed(3)}`);
+
+    const passed = pop.progression === 'I_V_vi_IV' && inversion === 1 && popScore > 0.7 &&
+      jazz.progression === 'ii_V_I' && jazz.cadence === 'authentic' && jazz.chord === 'I7' && jazzScore > 0.7;
+    this.testResults.push({ name: "Transposed Progressions", passed });
+    console.log(passed ? "✓ PASSED" : "✗ FAILED");
+  }
+
+  // Test 5b: Note-offs drive articulation and polyphony tracking
+  testArticulation() {
+    console.log("\nTest 5b: Articulation (note-off awareness)");
+
+    const play = (gate) => {
+      this.engine.reset();
+      let timestamp = 0;
+      [0, 2, 4, 5, 7, 5, 4, 2, 0].forEach(note => {
+        this.engine.processNote(note, timestamp);
+        this.engine.processNoteOff(note, timestamp + 400 * gate);
+        timestamp += 400;
+      });
+      return { style: this.engine.articulation, value: this.engine.metrics.articulation };
+    };
+
+    const legato = play(0.95);
+    const staccato = play(0.3);
+    console.log(`Legato: ${legato.style} ${legato.value.toFixed(3)}, staccato: ${staccato.style} ${staccato.value.toFixed(3)}`);
+
+    // Held chord: polyphony counts notes sounding together
+    this.engine.reset();
+    [0, 4, 7].forEach(n => this.engine.processNote(n, 0));
+    const polyphony = this.engine.polyphony;
+    const unknown = this.engine.processNoteOff(11, 100);
+    console.log(`Chord polyphony: ${polyphony}`);
+
+    const passed = legato.style === 'legato' && staccato.style === 'staccato' &&
+      legato.value > 0.8 && staccato.value > 0.8 && polyphony === 3 && unknown === null;
+    this.testResults.push({ name: "Articulation", passed });
+    console.log(passed ? "✓ PASSED" : "✗ FAILED");
+  }
+
+  // Test 5d: Custom metrics plug into the score and can be toggled at runtime
+  testMetricRegistry() {
+    console.log("\nTest 5d: Metric Registry");
+    const engine = new MusicalityEngine();
+    let calls = 0;
+    engine.registerMetric({
+      name: 'alwaysOne',
+      defaultWeight: 1,
+      update() {
+        calls++;
+        return 1;
+      }
+    }, { enabled: false });
+    engine.registerMetric(createContourMetric());
+
+    const play = () => {
+      engine.reset();
+      let timestamp = 0;
+      [60, 62, 64, 65, 67, 65, 64, 62, 60, 64, 67, 72].forEach(note => {
+        engine.processNote(note, timestamp, 0.6);
+        timestamp += 500;
+      });
+      return engine.musicalityScore;
+    };
+
+    const baseline = play();
+    const skipped = calls === 0 && !('alwaysOne' in engine.metrics);
+    engine.setMetricEnabled('alwaysOne', true);
+    const boosted = play();
+    const listed = engine.getMetrics().find(m => m.name === 'alwaysOne');
+    engine.unregisterMetric('alwaysOne');
+    const restored = play();
+    console.log(`Baseline ${baseline}, with alwaysOne ${boosted}, removed ${restored}, contour ${engine.metrics.contour.toFixed(3)}`);
+
+    const passed = skipped && boosted > baseline && listed.enabled && listed.value === 1 &&
+      restored === baseline && !('alwaysOne' in engine.metrics) && engine.metrics.contour > 0;
+    this.testResults.push({ name: "Metric Registry", passed });
+    console.log(passed ? "✓ PASSED" : "✗ FAILED");
+  }
+
+  // Test 5e: Weights are live parameters; sliders renormalise the rest
+  testMetricWeights() {
+    console.log("\nTest 5e: Metric Weights");
+    const engine = new MusicalityEngine();
+    const enabledSum = () => engine.getMetrics().filter(m => m.enabled).reduce((s, m) => s + m.weight, 0);
+    const play = () => {
+      engine.reset();
+      let timestamp = 0;
+      [60, 64, 67, 72, 67, 64, 60, 62, 59, 60].forEach(note => {
+        engine.processNote(note, timestamp, 0.6);
+        timestamp += 500;
+      });
+      return engine.musicalityScore;
+    };
+
+    const before = play();
+    engine.setMetricWeight('harmonicProgression', 0.5, { normalise: true });
+    const share = MODEL_PARAMS.WEIGHTS.harmonicProgression;
+    const sum = enabledSum();
+    // Relative proportions of the other metrics are preserved
+    const ratio = MODEL_PARAMS.WEIGHTS.melodicCoherence / MODEL_PARAMS.WEIGHTS.rhythmicConsistency;
+
+    // Only scale adherence counts: score equals that metric
+    engine.getMetrics().forEach(m => engine.setMetricWeight(m.name, m.name === 'scaleAdherence' ? 1 : 0));
+    const scaleOnly = play();
+    const scaleValue = Math.round(engine.metrics.scaleAdherence * 100);
+
+    engine.resetWeights();
+    const restored = play();
+    console.log(`Harmony share ${share.toFixed(2)}, sum ${sum.toFixed(3)}, scale-only ${scaleOnly}/${scaleValue}, restored ${restored}/${before}`);
+
+    const passed = share === 0.5 && Math.abs(sum - 1) < 1e-9 &&
+      Math.abs(ratio - DEFAULT_WEIGHTS.melodicCoherence / DEFAULT_WEIGHTS.rhythmicConsistency) < 1e-9 &&
+      scaleOnly === scaleValue && restored === before;
+    this.testResults.push({ name: "Metric Weights", passed });
+    console.log(passed ? "✓ PASSED" : "✗ FAILED");
+  }
+
+  // Test 5f: A snapshot taken mid-performance resumes exactly where it left off
+  testSerialization() {
+    console.log("\nTest 5f: State Serialization");
+    const engine = new MusicalityEngine();
+    engine.registerMetric(createSyncopationMetric());
+    const melody = [60, 64, 67, 64, 65, 69, 72, 69, 67, 71, 74, 71, 72, 67, 64, 60];
+    const playFrom = (target, from, to) => {
+      for (let i = from; i < to; i++) {
+        target.processNote(melody[i], i * 500, 0.5 + (i % 4) * 0.1);
+        if (i % 3 !== 2) target.processNoteOff(melody[i], i * 500 + 400);
+      }
+    };
+
+    playFrom(engine, 0, 8);
+    const json = JSON.stringify(engine);
+    const restored = MusicalityEngine.fromJSON(json);
+    restored.registerMetric(createSyncopationMetric());
+    restored.restore(json); // metric state applies once the metric is registered
+    const sameSnapshot = JSON.stringify(restored) === json;
+
+    playFrom(engine, 8, melody.length);
+    playFrom(restored, 8, melody.length);
+    const sameResult = JSON.stringify(restored) === JSON.stringify(engine) &&
+      restored.musicalityScore === engine.musicalityScore;
+    console.log(`Snapshot ${json.length} bytes, score after resume ${restored.musicalityScore}/${engine.musicalityScore}`);
+
+    const rejects = (state) => {
+      try {
+        new MusicalityEngine().restore(state);
+        return false;
+      } catch {
+        return true;
+      }
+    };
+    const versioned = rejects({ ...JSON.parse(json), version: STATE_VERSION + 1 }) && rejects({ noteHistory: [] });
+
+    const passed = sameSnapshot && sameResult && versioned;
+    this.testResults.push({ name: "State Serialization", passed });
+    console.log(passed ? "✓ PASSED" : "✗ FAILED");
+  }
+
+  // Test 5g: Same seed + manual clock → identical performance, no timestamps needed
+  testDeterminism() {
+    console.log("\nTest 5g: Clock & Seeded RNG");
+    const perform = (seed) => {
+      const clock = new ManualClock(1000);
+      const random = new SeededRandom(seed);
+      const engine = new MusicalityEngine({ clock, random });
+      for (let i = 0; i < 16; i++) {
+        const note = 60 + Math.floor(random.next() * 12);
+        engine.processNote(note, undefined, random.range(0.5, 1));
+        clock.advance(250 + Math.floor(random.next() * 4) * 125);
+        engine.processNoteOff(note);
+      }
+      return JSON.stringify(engine);
+    };
+
+    const a = perform(42);
+    const b = perform(42);
+    const c = perform(7);
+    const times = JSON.parse(a).timeHistory;
+    const random = new SeededRandom(42);
+    const first = [random.next(), random.next()];
+    random.reset();
+    const replayed = [random.next(), random.next()];
+    console.log(`Same seed identical: ${a === b}, other seed differs: ${a !== c}, first onset ${times[0]}`);
+
+    const passed = a === b && a !== c && times[0] === 1000 &&
+      first.every((v, i) => v === replayed[i] && v >= 0 && v < 1);
+    this.testResults.push({ name: "Clock & Seeded RNG", passed });
+    console.log(passed ? "✓ PASSED" : "✗ FAILED");
+  }
+
+  // Test 5h: Continuous controls feed expressiveness only while they are used
+  testExpression() {
+    console.log("\nTest 5h: Expression");
+    const engine = new MusicalityEngine();
+    const melody = [60, 62, 64, 65, 67, 65, 64, 62];
+    melody.forEach((note, i) => engine.processNote(note, i * 500, 0.6));
+    const plain = engine.musicalityScore;
+    const inactive = !engine.getMetrics().find(m => m.name === 'expressiveness').value;
+
+    // A vibrato-like bend wobble on a held note
+    engine.processNote(60, 4000, 0.6);
+    let result;
+    for (let i = 0; i <= 20; i++) {
+      result = engine.processExpression('pitchBend', 0.2 * Math.sin(i / 2), 4000 + i * 50);
+    }
+    const shaped = result.metrics.expressiveness;
+
+    // Constant full-range thrashing is not rewarded
+    const wild = new MusicalityEngine();
+    wild.processNote(60, 0, 0.6);
+    for (let i = 0; i < 40; i++) wild.processExpression('aftertouch', i % 2, i * 50);
+    const thrashed = wild.metrics.expressiveness;
+
+    // Once the controls rest for the window, the metric drops out of the score
+    engine.processNote(62, 10000, 0.6);
+    const lapsed = engine.expressionHistory.length === 0;
+
+    const unknown = engine.processExpression('breath', 0.5, 10100) === null;
+    const migrated = MusicalityEngine.fromJSON({ ...JSON.parse(JSON.stringify(engine)), version: 1, expression: undefined, expressionHistory: undefined });
+    console.log(`Plain score ${plain}, bent ${shaped.toFixed(3)}, thrashed ${thrashed.toFixed(3)}, lapsed ${lapsed}`);
+
+    const passed = inactive && shaped > 0.8 && thrashed < 0.2 && lapsed && unknown &&
+      result.expression.pitchBend === engine.expression.pitchBend &&
+      migrated.expressionHistory.length === 0 && migrated.expression.pitchBend === 0;
+    this.testResults.push({ name: "Expression", passed });
+    console.log(passed ? "✓ PASSED" : "✗ FAILED");
+  }
+
+  // Test 5i: Excitement follows novelty, not a moving average of the score
+  testHabituation() {
+    console.log("\nTest 5i: Habituation");
+    const loop = new MusicalityEngine();
+    const looped = [];
+    for (let i = 0; i < 64; i++) looped.push(loop.processNote([60, 62, 64, 65][i % 4], i * 375, 0.6).excitement);
+    const early = looped.slice(4, 12).reduce((a, b) => a + b, 0);
+    const late = looped.slice(-8).reduce((a, b) => a + b, 0);
+
+    // The same scale, but moving through registers, rhythms and dynamics
+    const varied = new MusicalityEngine();
+    let time = 0;
+    let gained = 0;
+    for (let i = 0; i < 64; i++) {
+      const octave = 12 * (Math.floor(i / 8) % 3);
+      gained += varied.processNote([60, 62, 64, 65, 67, 65, 64, 62][i % 8] + octave, time, 0.3 + 0.15 * (Math.floor(i / 16) % 4)).excitement;
+      time += [375, 375, 750, 375, 187.5, 187.5, 375, 750][(i + Math.floor(i / 8)) % 8];
+    }
+    const repeated = looped.reduce((a, b) => a + b, 0);
+
+    const bored = loop.decayRate(64 * 375);
+    const rested = loop.decayRate(64 * 375 + 120000);
+    const restored = MusicalityEngine.fromJSON(JSON.parse(JSON.stringify(loop)));
+    const migrated = MusicalityEngine.fromJSON({ ...JSON.parse(JSON.stringify(loop)), version: 2, habituation: undefined, ema: 40 });
+    console.log(`Loop early ${early.toFixed(3)} late ${late.toFixed(3)} total ${repeated.toFixed(3)}, varied ${gained.toFixed(3)}, decay ${bored.toFixed(4)} → ${rested.toFixed(4)}/s`);
+
+    const passed = early > 0 && late < 0 && gained > repeated && gained > 0 && bored > rested &&
+      restored.decayRate(64 * 375) === bored && migrated.decayRate(0) === MODEL_PARAMS.DECAY && !('ema' in loop);
+    this.testResults.push({ name: "Habituation", passed });
+    console.log(passed ? "✓ PASSED" : "✗ FAILED");
+  }
+
   // Test 6: Random playing should score low
   testRandomPlaying() {
     console.log("\nTest 6: Random Playing (Should Score Low)");
@@ -0,0 +1,110 @@
+/* global process */
+// Tests for sustain, sostenuto and soft pedal handling (run with `node src/pedalTests.js`)
+import Pedals, { SUSTAIN_CC, SOSTENUTO_CC, SOFT_CC, HALF_PEDAL_RING, SOFT_VELOCITY } from './pedals.js';
+
+const notes = (released) => released.map(([note]) => note).sort().join(',');
+
+class PedalTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  runAllTests() {
+    console.log("=== PEDAL TESTS ===\n");
+
+    this.testSustain();
+    this.testHalfPedal();
+    this.testSostenuto();
+    this.testSoft();
+
+    console.log("\n=== TEST SUMMARY ===");
+    const passed = this.testResults.filter(r => r.passed).length;
+    const total = this.testResults.length;
+    console.log(`Passed: ${passed}/${total}`);
+
+    return passed === total;
+  }
+
+  check(name, passed, detail = '') {
+    this.testResults.push({ name, passed });
+    console.log(`${passed ? "✓" : "✗"} ${name}${detail ? ` (${detail})` : ''}`);
+  }
+
+  // Test 1: sustain defers every release until lifted
+  testSustain() {
+    console.log("\nTest 1: Sustain");
+    const pedals = new Pedals();
+    pedals.press('C4');
+    this.check("released at once without a pedal", pedals.release('C4', 'midi') === true);
+
+    pedals.controlChange(SUSTAIN_CC, 127);
+    pedals.press('E4');
+    pedals.press('G4');
+    this.check("held under the pedal", pedals.release('E4', 'midi') === false && pedals.release('G4', 'qwerty') === false);
+
+    this.check("keys never pressed are not held", pedals.release('A4') === true && !pedals.deferred.has('A4'));
+
+    pedals.press('E4'); // re-struck: its key is down again
+    const released = pedals.controlChange(SUSTAIN_CC, 0);
+    this.check("lift releases the rest", notes(released) === 'G4' && released[0][1] === 'qwerty',
+      JSON.stringify(released));
+    this.check("nothing left deferred", pedals.deferred.size === 0);
+  }
+
+  // Test 2: half pedal lets notes go, ringing on a while
+  testHalfPedal() {
+    console.log("\nTest 2: Half pedal");
+    const pedals = new Pedals();
+    pedals.setSustain(127);
+    pedals.press('C4');
+    pedals.release('C4');
+
+    const released = pedals.setSustain(50);
+    this.check("half pedal releases", notes(released) === 'C4' && pedals.sustainStage === 'half');
+    this.check("ringing on", pedals.ringTime > 0 && pedals.ringTime < HALF_PEDAL_RING, pedals.ringTime.toFixed(2));
+    pedals.setSustain(0);
+    this.check("damped when lifted", pedals.ringTime === 0 && pedals.sustainStage === 'off');
+  }
+
+  // Test 3: sostenuto holds only the notes down at its press
+  testSostenuto() {
+    console.log("\nTest 3: Sostenuto");
+    const pedals = new Pedals();
+    pedals.press('C3');
+    pedals.controlChange(SOSTENUTO_CC, 127);
+    pedals.press('E4');
+
+    this.check("caught note held", pedals.release('C3') === false);
+    this.check("later note released", pedals.release('E4') === true);
+
+    // A later press of the pedal does not re-catch
+    pedals.press('G4');
+    pedals.controlChange(SOSTENUTO_CC, 127);
+    this.check("repeat press keeps the catch", pedals.release('G4') === true);
+
+    // Sustain still holds a caught note after sostenuto lifts
+    pedals.setSustain(127);
+    this.check("sostenuto lift under sustain", pedals.controlChange(SOSTENUTO_CC, 0).length === 0);
+    this.check("sustain lift releases", notes(pedals.setSustain(0)) === 'C3');
+  }
+
+  // Test 4: soft pedal scales velocity; unknown controllers are ignored
+  testSoft() {
+    console.log("\nTest 4: Soft pedal");
+    const pedals = new Pedals();
+    pedals.controlChange(SOFT_CC, 127);
+    this.check("soft velocity", pedals.soft && pedals.velocityScale === SOFT_VELOCITY);
+    pedals.controlChange(SOFT_CC, 0);
+    this.check("soft off", pedals.velocityScale === 1);
+    this.check("other controllers", pedals.controlChange(1, 127) === null);
+  }
+}
+
+// Run tests if this file is executed directly
+if (typeof window === 'undefined') {
+  const tester = new PedalTests();
+  const allPassed = tester.runAllTests();
+  process.exit(allPassed ? 0 : 1);
+}
+
+export default PedalTests;
@@ -0,0 +1,133 @@
+// Pedals – sustain (CC64, with half-pedalling), sostenuto (CC66) and soft
+// (CC67) for live playing. Key releases go through release(): a pedal that
+// holds the note defers it, and lifting the pedal hands the deferred notes
+// back to be released. Notes are keyed by name ('C4'); each deferred note
+// keeps a payload (e.g. the source that played it) for its later release.
+
+// ---------- CONSTANTS ----------
+export const SUSTAIN_CC = 64;
+export const SOSTENUTO_CC = 66;
+export const SOFT_CC = 67;
+export const PEDAL_CCS = [SUSTAIN_CC, SOSTENUTO_CC, SOFT_CC];
+
+// Sustain depth 0‒1 (CC64 / 127). Below HALF_PEDAL the dampers are down;
+// from FULL_PEDAL up they are clear of the strings. In between they only
+// brush the strings: notes are released, but ring on a while first.
+export const HALF_PEDAL = 0.1;
+export const FULL_PEDAL = 0.75;
+
+// Seconds a released note rings on at the edge of full pedal
+export const HALF_PEDAL_RING = 3;
+
+// Soft pedal: velocity scale and low-pass cutoff (Hz) for a muted timbre
+export const SOFT_VELOCITY = 0.6;
+export const SOFT_CUTOFF = 2500;
+export const OPEN_CUTOFF = 20000;
+
+// ---------- PEDAL STATE ----------
+class Pedals {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.sustain = 0;          // depth 0‒1
+    this.sostenuto = false;
+    this.soft = false;
+    this.held = new Set();      // notes whose keys are down
+    this.caught = new Set();    // notes the sostenuto pedal caught when pressed
+    this.deferred = new Map();  // released notes the pedals hold → payload
+  }
+
+  get sustainDown() {
+    return this.sustain >= FULL_PEDAL;
+  }
+
+  // 'off' | 'half' | 'full', for the indicator
+  get sustainStage() {
+    if (this.sustainDown) return 'full';
+    return this.sustain >= HALF_PEDAL ? 'half' : 'off';
+  }
+
+  // Seconds a note let go now rings on before its release: longer the
+  // deeper a half pedal goes, none with the dampers down
+  get ringTime() {
+    if (this.sustain < HALF_PEDAL) return 0;
+    return HALF_PEDAL_RING * (this.sustain - HALF_PEDAL) / (FULL_PEDAL - HALF_PEDAL);
+  }
+
+  get velocityScale() {
+    return this.soft ? SOFT_VELOCITY : 1;
+  }
+
+  holds(note) {
+    return this.sustainDown || (this.sostenuto && this.caught.has(note));
+  }
+
+  // ---------- KEYS ----------
+  press(note) {
+    this.held.add(note);
+    this.deferred.delete(note);
+  }
+
+  // true when the note should be released now, false if a pedal holds it.
+  // A key that was not down (e.g. the mouse leaving it) has nothing to hold.
+  release(note, payload) {
+    if (!this.held.delete(note) || !this.holds(note)) return true;
+    this.deferred.set(note, payload);
+    return false;
+  }
+
+  // Deferred notes no pedal holds any more, removed from the deferred set
+  // → [[note, payload]]
+  flush() {
+    const released = [];
+    this.deferred.forEach((payload, note) => {
+      if (!this.holds(note)) released.push([note, payload]);
+    });
+    released.forEach(([note]) => this.deferred.delete(note));
+    return released;
+  }
+
+  // Drop a note without going through the pedals (e.g. its device is gone)
+  forget(note) {
+    this.held.delete(note);
+    this.deferred.delete(note);
+  }
+
+  // ---------- PEDALS ----------
+  // Each returns the notes to release now (see flush)
+  setSustain(value) {
+    this.sustain = Math.max(0, Math.min(1, value / 127));
+    return this.flush();
+  }
+
+  // Catches the notes sounding at the press: keys down and notes the
+  // sustain pedal is holding
+  setSostenuto(down) {
+    if (down && !this.sostenuto) this.caught = new Set([...this.held, ...this.deferred.keys()]);
+    if (!down) this.caught.clear();
+    this.sostenuto = down;
+    return this.flush();
+  }
+
+  setSoft(down) {
+    this.soft = down;
+    return [];
+  }
+
+  // Raw controller change → notes to release, or null for other controllers
+  controlChange(controller, value) {
+    if (controller === SUSTAIN_CC) return this.setSustain(value);
+    if (controller === SOSTENUTO_CC) return this.setSostenuto(value >= 64);
+    if (controller === SOFT_CC) return this.setSoft(value >= 64);
+    return null;
+  }
+
+  // For the on-screen indicator
+  snapshot() {
+    return { sustain: this.sustain, stage: this.sustainStage, sostenuto: this.sostenuto, soft: this.soft };
+  }
+}
+
+export default Pedals;
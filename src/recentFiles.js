@@ -0,0 +1,73 @@
+// Recent Files – remembers the last MIDI files the user opened, bytes included,
+// in IndexedDB so they can be played again without going through the picker.
+
+// ---------- CONSTANTS ----------
+export const RECENT_FILES_DB = 'musicolour';
+export const RECENT_FILES_STORE = 'recentMidiFiles';
+export const RECENT_FILES_LIMIT = 10;
+
+// IDBRequest → Promise
+const settle = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// ---------- RECENT FILES ----------
+// Entries are { name, size, openedAt, bytes } keyed by file name, so opening
+// the same file again moves it to the top instead of adding a duplicate.
+class RecentFiles {
+  constructor({ indexedDB = globalThis.indexedDB, limit = RECENT_FILES_LIMIT } = {}) {
+    this.indexedDB = indexedDB;
+    this.limit = limit;
+    this.db = null; // Promise<IDBDatabase>, opened on first use
+  }
+
+  get available() {
+    return Boolean(this.indexedDB);
+  }
+
+  open() {
+    if (!this.available) return Promise.reject(new Error('IndexedDB is not available'));
+    if (!this.db) {
+      const req = this.indexedDB.open(RECENT_FILES_DB, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(RECENT_FILES_STORE, { keyPath: 'name' });
+      this.db = settle(req);
+    }
+    return this.db;
+  }
+
+  async store(mode) {
+    const db = await this.open();
+    return db.transaction(RECENT_FILES_STORE, mode).objectStore(RECENT_FILES_STORE);
+  }
+
+  // Newest first, without the file bytes
+  async list() {
+    const entries = await settle((await this.store('readonly')).getAll());
+    return entries
+      .sort((a, b) => b.openedAt - a.openedAt)
+      .map(({ name, size, openedAt }) => ({ name, size, openedAt }));
+  }
+
+  async get(name) {
+    return settle((await this.store('readonly')).get(name));
+  }
+
+  // Remember a file (ArrayBuffer) and drop the oldest beyond the limit
+  async add(name, bytes) {
+    await settle((await this.store('readwrite')).put({ name, size: bytes.byteLength, openedAt: Date.now(), bytes }));
+    const entries = await this.list();
+    await Promise.all(entries.slice(this.limit).map(e => this.remove(e.name)));
+    return entries.slice(0, this.limit);
+  }
+
+  async remove(name) {
+    await settle((await this.store('readwrite')).delete(name));
+  }
+
+  async clear() {
+    await settle((await this.store('readwrite')).clear());
+  }
+}
+
+export default RecentFiles;
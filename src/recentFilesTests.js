@@ -0,0 +1,149 @@
+/* global process */
+// Tests for the recent files list (run with `node src/recentFilesTests.js`)
+import RecentFiles, { RECENT_FILES_STORE } from './recentFiles.js';
+
+// Just enough of IndexedDB for RecentFiles: one database of object stores
+// keyed by `name`, with requests that settle asynchronously like the real ones
+class FakeIndexedDB {
+  constructor() {
+    this.stores = new Map(); // store name → Map(key → record)
+    this.opened = 0;
+    this.failing = false;    // make every request fail
+  }
+
+  request(run) {
+    const req = {};
+    setTimeout(() => {
+      if (this.failing) {
+        req.error = new Error('storage failed');
+        req.onerror?.();
+        return;
+      }
+      req.result = run();
+      req.onsuccess?.();
+    }, 0);
+    return req;
+  }
+
+  open() {
+    this.opened++;
+    const db = {
+      createObjectStore: (name) => this.stores.set(name, new Map()),
+      transaction: (name) => ({ objectStore: () => this.objectStore(this.stores.get(name)) })
+    };
+    const req = this.request(() => {
+      if (this.stores.size === 0) {
+        req.result = db;
+        req.onupgradeneeded?.();
+      }
+      return db;
+    });
+    return req;
+  }
+
+  objectStore(records) {
+    return {
+      getAll: () => this.request(() => [...records.values()].map(r => ({ ...r }))),
+      get: (key) => this.request(() => records.get(key)),
+      put: (record) => this.request(() => records.set(record.name, { ...record })),
+      delete: (key) => this.request(() => records.delete(key)),
+      clear: () => this.request(() => records.clear())
+    };
+  }
+}
+
+const bytes = (length) => new Uint8Array(length).buffer;
+const later = () => new Promise(resolve => setTimeout(resolve, 2)); // a new openedAt
+
+class RecentFilesTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runAllTests() {
+    console.log("=== RECENT FILES TESTS ===\n");
+
+    await this.testStore();
+    await this.testList();
+    await this.testRemove();
+    await this.testUnavailable();
+
+    console.log("\n=== TEST SUMMARY ===");
+    const passed = this.testResults.filter(r => r.passed).length;
+    const total = this.testResults.length;
+    console.log(`Passed: ${passed}/${total}`);
+
+    return passed === total;
+  }
+
+  check(name, passed, detail = '') {
+    this.testResults.push({ name, passed });
+    console.log(`${passed ? "✓" : "✗"} ${name}${detail ? ` (${detail})` : ''}`);
+  }
+
+  // Test 1: opened files are stored with their bytes, once per name
+  async testStore() {
+    console.log("\nTest 1: Store");
+    const indexedDB = new FakeIndexedDB();
+    const recent = new RecentFiles({ indexedDB });
+    await recent.add('bach.mid', bytes(120));
+    await later();
+    const listed = await recent.add('bach.mid', bytes(130));
+    const entry = await recent.get('bach.mid');
+    this.check("bytes kept", entry.bytes.byteLength === 130 && entry.size === 130);
+    this.check("same name replaces", listed.length === 1 && indexedDB.stores.get(RECENT_FILES_STORE).size === 1);
+    this.check("database opened once", indexedDB.opened === 1);
+    this.check("unknown name", (await recent.get('satie.mid')) === undefined);
+  }
+
+  // Test 2: newest first, without bytes, and no more than the limit
+  async testList() {
+    console.log("\nTest 2: List");
+    const recent = new RecentFiles({ indexedDB: new FakeIndexedDB(), limit: 3 });
+    for (const name of ['a.mid', 'b.mid', 'c.mid', 'd.mid']) {
+      await recent.add(name, bytes(10));
+      await later();
+    }
+    await recent.add('b.mid', bytes(10));
+    const listed = await recent.list();
+    this.check("newest first", listed.map(e => e.name).join(',') === 'b.mid,d.mid,c.mid', listed.map(e => e.name).join(','));
+    this.check("oldest dropped past the limit", (await recent.get('a.mid')) === undefined);
+    this.check("listed without bytes", listed.every(e => !('bytes' in e) && e.size === 10));
+  }
+
+  // Test 3: removing one file or all of them
+  async testRemove() {
+    console.log("\nTest 3: Remove");
+    const indexedDB = new FakeIndexedDB();
+    const recent = new RecentFiles({ indexedDB });
+    await recent.add('a.mid', bytes(10));
+    await later();
+    await recent.add('b.mid', bytes(10));
+    await recent.remove('a.mid');
+    this.check("remove one", (await recent.list()).map(e => e.name).join(',') === 'b.mid');
+    await recent.remove('missing.mid');
+    this.check("removing an unknown name is harmless", (await recent.list()).length === 1);
+    await recent.clear();
+    this.check("clear", (await recent.list()).length === 0);
+
+    indexedDB.failing = true;
+    const failure = await recent.remove('b.mid').then(() => null, error => error);
+    this.check("storage errors reject", failure?.message === 'storage failed');
+  }
+
+  // Test 4: without IndexedDB (private windows, Node) calls reject
+  async testUnavailable() {
+    console.log("\nTest 4: Unavailable");
+    const recent = new RecentFiles({ indexedDB: undefined });
+    const failure = await recent.list().then(() => null, error => error);
+    this.check("not available", !recent.available && failure instanceof Error);
+  }
+}
+
+// Run tests if this file is executed directly
+if (typeof window === 'undefined') {
+  const tester = new RecentFilesTests();
+  tester.runAllTests().then(allPassed => process.exit(allPassed ? 0 : 1));
+}
+
+export default RecentFilesTests;
@@ -0,0 +1,171 @@
+// Response Voice – Musicolour answering the player's phrase with a short
+// phrase of its own, made from what was just played and the key the engine
+// hears: an imitation, a transposition or an inversion of it, or, once the
+// machine is bored, something that contrasts with it.
+import { SCALES } from './musicalityEngine.js';
+
+// ---------- CONSTANTS ----------
+export const RESPONSE_MODE_KEY = 'musicolour-response-mode';
+
+export const STRATEGIES = {
+  IMITATION: 'imitation',
+  TRANSPOSITION: 'transposition',
+  INVERSION: 'inversion',
+  CONTRAST: 'contrast'
+};
+
+export const PHRASE_GAP = 1200;     // ms of silence that ends a phrase with no tempo known
+export const PHRASE_GAP_BEATS = 1.5; // …or this many beats once there is one
+export const MIN_PHRASE_NOTES = 3;   // shorter phrases get no answer
+export const MAX_RESPONSE_NOTES = 12;
+export const BORED_EXCITEMENT = 0.2; // below this the machine answers with contrast
+
+const LOW = 36;  // C2
+const HIGH = 96; // C7
+const DEFAULT_DURATION = 400; // ms, for notes still held or never released
+const MAX_LENGTH = 6000;      // ms, the longest answer
+
+// Key-finding modes (see MusicalityEngine.scaleContext) → scale steps
+const MODE_SCALES = {
+  major: SCALES.MAJOR,
+  minor: SCALES.NATURAL_MINOR,
+  dorian: SCALES.DORIAN,
+  phrygian: SCALES.PHRYGIAN,
+  lydian: SCALES.LYDIAN,
+  mixolydian: SCALES.MIXOLYDIAN,
+  locrian: SCALES.LOCRIAN
+};
+// Below this key confidence the answer stays chromatic
+const MIN_KEY_CONFIDENCE = 0.3;
+
+const clampPitch = (note) => {
+  let n = note;
+  while (n < LOW) n += 12;
+  while (n > HIGH) n -= 12;
+  return n;
+};
+
+// ---------- SCALE ----------
+// Pitches of the key as a sorted list over the usable range, or null
+const scalePitches = (scaleContext) => {
+  if (!scaleContext || scaleContext.confidence < MIN_KEY_CONFIDENCE) return null;
+  const steps = MODE_SCALES[scaleContext.mode] || SCALES.MAJOR;
+  const pitches = [];
+  for (let n = LOW; n <= HIGH; n++) {
+    if (steps.includes((((n - scaleContext.tonic) % 12) + 12) % 12)) pitches.push(n);
+  }
+  return pitches;
+};
+
+// Index of the scale pitch nearest to `note`
+const nearestIndex = (pitches, note) => pitches.reduce(
+  (best, p, i) => (Math.abs(p - note) < Math.abs(pitches[best] - note) ? i : best), 0
+);
+
+// ---------- PHRASE ----------
+/**
+ * The player's latest phrase from the engine's histories: the notes after
+ * the last silence of at least `gap` ms.
+ * @returns {Array<{ note, time, duration }>} times in ms from the first note
+ */
+export function phraseFromHistory({ noteHistory, timeHistory, durHistory }, gap = PHRASE_GAP) {
+  let start = noteHistory.length - 1;
+  while (start > 0 && timeHistory[start] - timeHistory[start - 1] < gap) start--;
+  const origin = timeHistory[start];
+  return noteHistory.slice(start).map((note, i) => {
+    const index = start + i;
+    const next = timeHistory[index + 1];
+    const fallback = next !== undefined ? Math.min(next - timeHistory[index], DEFAULT_DURATION) : DEFAULT_DURATION;
+    return { note, time: timeHistory[index] - origin, duration: durHistory[index] ?? fallback };
+  });
+}
+
+// The bored machine changes the subject; otherwise it takes the player's
+// material one of three ways
+export function chooseStrategy(excitement, random) {
+  if (excitement < BORED_EXCITEMENT) return STRATEGIES.CONTRAST;
+  const options = [STRATEGIES.IMITATION, STRATEGIES.TRANSPOSITION, STRATEGIES.INVERSION];
+  return options[Math.min(options.length - 1, Math.floor(random.next() * options.length))];
+}
+
+// ---------- TRANSFORMS ----------
+// Each takes the phrase's pitches and returns the answer's pitches
+
+const imitate = (notes) => notes;
+
+// Up a third or a fifth within the key (or a fourth/fifth chromatically)
+const transpose = (notes, pitches, random) => {
+  const up = random.next() < 0.5;
+  if (!pitches) return notes.map(n => n + (up ? 5 : 7));
+  const steps = up ? 2 : 4;
+  return notes.map(n => pitches[Math.min(pitches.length - 1, nearestIndex(pitches, n) + steps)]);
+};
+
+// Mirror every interval around the first note: by scale steps within the
+// key, so a rising third becomes a falling third of the same key
+const invert = (notes, pitches) => {
+  if (!pitches) return notes.map(n => 2 * notes[0] - n);
+  const axis = nearestIndex(pitches, notes[0]);
+  return notes.map(n => pitches[Math.max(0, Math.min(pitches.length - 1, 2 * axis - nearestIndex(pitches, n)))]);
+};
+
+// New material: an octave away from the phrase, moving the other way from
+// its overall contour, in the key when there is one
+const contrast = (notes, pitches, random) => {
+  const mean = notes.reduce((a, b) => a + b, 0) / notes.length;
+  const register = mean < 66 ? mean + 12 : mean - 12;
+  const falling = notes[notes.length - 1] >= notes[0];
+  const pool = pitches || Array.from({ length: HIGH - LOW + 1 }, (_, i) => LOW + i);
+  let index = nearestIndex(pool, register + (falling ? 5 : -5));
+  return notes.map(() => {
+    const pitch = pool[index];
+    const step = 1 + Math.floor(random.next() * 2);
+    index = Math.max(0, Math.min(pool.length - 1, index + (falling ? -step : step)));
+    return pitch;
+  });
+};
+
+// ---------- RESPONSE ----------
+/**
+ * Build an answer to a phrase.
+ * @param {Array<{ note, time, duration }>} phrase - e.g. from phraseFromHistory
+ * @param {object} options
+ * @param {object} options.scaleContext - the engine's { tonic, mode, confidence }
+ * @param {string} options.strategy - one of STRATEGIES
+ * @param {object} options.random - SeededRandom (or anything with next())
+ * @returns {{ strategy, notes: Array<{ note, time, duration, velocity }> }}
+ *   times and durations in ms from the start of the answer
+ */
+export function generateResponse(phrase, { scaleContext = null, strategy = STRATEGIES.IMITATION, random }) {
+  const source = phrase.slice(-MAX_RESPONSE_NOTES);
+  const origin = source.length ? source[0].time : 0;
+  const pitches = scalePitches(scaleContext);
+  const input = source.map(n => n.note);
+
+  let output;
+  if (strategy === STRATEGIES.TRANSPOSITION) output = transpose(input, pitches, random);
+  else if (strategy === STRATEGIES.INVERSION) output = invert(input, pitches);
+  else if (strategy === STRATEGIES.CONTRAST) output = contrast(input, pitches, random);
+  else output = imitate(input);
+
+  // Contrast also turns the rhythm around: a busy phrase gets long notes,
+  // a slow one a run of short ones
+  const span = source.length > 1 ? source[source.length - 1].time - origin : DEFAULT_DURATION;
+  const meanGap = source.length > 1 ? span / (source.length - 1) : DEFAULT_DURATION;
+  const contrastGap = meanGap < 300 ? meanGap * 2.5 : meanGap / 2.5;
+
+  const notes = [];
+  source.forEach((n, i) => {
+    const time = strategy === STRATEGIES.CONTRAST ? i * contrastGap : n.time - origin;
+    if (time > MAX_LENGTH) return;
+    const duration = strategy === STRATEGIES.CONTRAST ? contrastGap * 0.9 : n.duration;
+    notes.push({
+      note: clampPitch(Math.round(output[i])),
+      time,
+      duration: Math.max(60, Math.min(duration, 2000)),
+      // Gentler than the player, and fading towards the end
+      velocity: 0.6 - 0.2 * (i / Math.max(1, source.length - 1))
+    });
+  });
+  return { strategy, notes };
+}
@@ -0,0 +1,114 @@
+/* global process */
+// Tests for the response voice (run with `node src/responseVoiceTests.js`)
+import {
+  phraseFromHistory, chooseStrategy, generateResponse, STRATEGIES, BORED_EXCITEMENT
+} from './responseVoice.js';
+import { SeededRandom } from './runtime.js';
+
+const C_MAJOR = { tonic: 0, mode: 'major', confidence: 0.9 };
+const IN_C_MAJOR = [0, 2, 4, 5, 7, 9, 11];
+
+// C D E G, a note every 250 ms
+const phrase = () => [60, 62, 64, 67].map((note, i) => ({ note, time: i * 250, duration: 200 }));
+const pitches = (response) => response.notes.map(n => n.note);
+
+class ResponseVoiceTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  runAllTests() {
+    console.log("=== RESPONSE VOICE TESTS ===\n");
+
+    this.testPhrase();
+    this.testStrategy();
+    this.testTransforms();
+    this.testContrast();
+
+    console.log("\n=== TEST SUMMARY ===");
+    const passed = this.testResults.filter(r => r.passed).length;
+    const total = this.testResults.length;
+    console.log(`Passed: ${passed}/${total}`);
+
+    return passed === total;
+  }
+
+  check(name, passed, detail = '') {
+    this.testResults.push({ name, passed });
+    console.log(`${passed ? "✓" : "✗"} ${name}${detail ? ` (${detail})` : ''}`);
+  }
+
+  // Test 1: the latest phrase is the notes after the last long silence
+  testPhrase() {
+    console.log("\nTest 1: Phrase");
+    const history = {
+      noteHistory: [48, 50, 60, 62, 64],
+      timeHistory: [0, 300, 3000, 3250, 3500],
+      durHistory: [200, 200, 150, null, 300]
+    };
+    const latest = phraseFromHistory(history, 1200);
+    this.check("split at the silence", latest.map(n => n.note).join(',') === '60,62,64');
+    this.check("times from the first note", latest.map(n => n.time).join(',') === '0,250,500');
+    this.check("unreleased notes last until the next", latest[1].duration === 250 && latest[2].duration === 300);
+    this.check("shorter gap, shorter phrase", phraseFromHistory(history, 200).length === 1);
+    this.check("empty history", phraseFromHistory({ noteHistory: [], timeHistory: [], durHistory: [] }).length === 0);
+  }
+
+  // Test 2: boredom brings contrast, otherwise a variation of the phrase
+  testStrategy() {
+    console.log("\nTest 2: Strategy");
+    const random = new SeededRandom(7);
+    this.check("bored → contrast", chooseStrategy(BORED_EXCITEMENT / 2, random) === STRATEGIES.CONTRAST);
+    const chosen = new Set(Array.from({ length: 50 }, () => chooseStrategy(0.8, random)));
+    this.check("engaged → the three variations", chosen.size === 3 && !chosen.has(STRATEGIES.CONTRAST),
+      [...chosen].join(','));
+  }
+
+  // Test 3: imitation, transposition and inversion of the phrase
+  testTransforms() {
+    console.log("\nTest 3: Transforms");
+    const random = new SeededRandom(1);
+    const imitation = generateResponse(phrase(), { scaleContext: C_MAJOR, strategy: STRATEGIES.IMITATION, random });
+    this.check("imitation repeats the phrase", pitches(imitation).join(',') === '60,62,64,67' &&
+      imitation.notes.map(n => n.time).join(',') === '0,250,500,750');
+    this.check("answers more softly", imitation.notes.every(n => n.velocity > 0 && n.velocity <= 0.6));
+
+    const transposed = generateResponse(phrase(), { scaleContext: C_MAJOR, strategy: STRATEGIES.TRANSPOSITION, random });
+    const shift = pitches(transposed)[0] - 60;
+    this.check("transposition moves up in the key", (shift === 4 || shift === 7) &&
+      pitches(transposed).every(n => IN_C_MAJOR.includes(n % 12)), pitches(transposed).join(','));
+
+    const inverted = generateResponse(phrase(), { scaleContext: C_MAJOR, strategy: STRATEGIES.INVERSION, random });
+    this.check("inversion mirrors the contour", pitches(inverted).join(',') === '60,59,57,53', pitches(inverted).join(','));
+
+    const chromatic = generateResponse(phrase(), {
+      scaleContext: { ...C_MAJOR, confidence: 0.1 }, strategy: STRATEGIES.INVERSION, random
+    });
+    this.check("no confident key → chromatic", pitches(chromatic).join(',') === '60,58,56,53', pitches(chromatic).join(','));
+
+    const low = [{ note: 30, time: 0, duration: 100 }, { note: 100, time: 100, duration: 100 }];
+    const clamped = generateResponse(low, { strategy: STRATEGIES.IMITATION, random });
+    this.check("kept in range", pitches(clamped).join(',') === '42,88');
+  }
+
+  // Test 4: contrast changes register, direction and density
+  testContrast() {
+    console.log("\nTest 4: Contrast");
+    const response = generateResponse(phrase(), { scaleContext: C_MAJOR, strategy: STRATEGIES.CONTRAST, random: new SeededRandom(3) });
+    const notes = pitches(response);
+    const mean = notes.reduce((a, b) => a + b, 0) / notes.length;
+    this.check("another register", mean > 70, mean.toFixed(1));
+    this.check("against the contour", notes.at(-1) < notes[0], notes.join(','));
+    this.check("in the key", notes.every(n => IN_C_MAJOR.includes(n % 12)));
+    this.check("busy phrase → slower answer", response.notes[1].time > 250, `${response.notes[1].time}`);
+  }
+}
+
+// Run tests if this file is executed directly
+if (typeof window === 'undefined') {
+  const tester = new ResponseVoiceTests();
+  const allPassed = tester.runAllTests();
+  process.exit(allPassed ? 0 : 1);
+}
+
+export default ResponseVoiceTests;
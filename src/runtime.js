@@ -0,0 +1,77 @@
+// Shared clock and seeded random source.
+// Everything that reads the time or rolls dice (engine, key handling, splats)
+// takes these instead of Date.now()/Math.random(), so a performance can be
+// replayed bit-for-bit and headless tests are reproducible.
+
+// ---------- CLOCKS ----------
+export class SystemClock {
+  now() {
+    return Date.now();
+  }
+}
+
+// Clock that only moves when told to – for tests and replays
+export class ManualClock {
+  constructor(start = 0) {
+    this.time = start;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  advance(ms) {
+    this.time += ms;
+    return this.time;
+  }
+
+  set(time) {
+    this.time = time;
+  }
+}
+
+// ---------- RANDOM ----------
+// mulberry32: tiny, fast, and good enough for velocities and splat placement
+export class SeededRandom {
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+  }
+
+  // Uniform float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Back to the first value of the sequence
+  reset() {
+    this.state = this.seed;
+  }
+}
+
+export const systemClock = new SystemClock();
+
+// Clock + RNG pair handed to the engine, key handling and fluid splats.
+// `?seed=1234` in the page URL pins the seed for reproducible sessions.
+export const createRuntime = ({ clock = systemClock, seed } = {}) => ({
+  clock,
+  random: new SeededRandom(seed)
+});
+
+export const seedFromUrl = () => {
+  if (typeof window === 'undefined') return undefined;
+  const seed = new URLSearchParams(window.location.search).get('seed');
+  return seed !== null && /^\d+$/.test(seed) ? Number(seed) : undefined;
+};
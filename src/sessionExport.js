@@ -0,0 +1,92 @@
+// Session export – turns a recorded performance into a Standard MIDI File.
+import { encodeMidi } from './midiFile.js';
+import { PEDAL_CCS } from './pedals.js';
+
+// ---------- CONSTANTS ----------
+export const EXPORT_DEFAULTS = {
+  bpm: 120,                // tempo written to the file (timing is exact at any tempo)
+  meter: 4,                // beats per bar for the time signature
+  ticksPerQuarter: 480,
+  channel: 0,
+  excitementTrack: true,   // add a second track with excitement as a CC curve
+  excitementController: 20 // undefined CC, free for automation in most DAWs
+};
+
+// ---------- CONVERSION ----------
+/**
+ * Build a format 1 MIDI file from a recorded session.
+ *
+ * Track 0 holds tempo and time signature, track 1 the performance (notes with
+ * velocities and durations, pedals) and, optionally, track 2 the
+ * machine's excitement after each note as a 0–127 controller curve.
+ *
+ * @param {object} session - SessionRecorder or its toJSON() output
+ * @param {object} options - see EXPORT_DEFAULTS
+ * @returns {Uint8Array} .mid file bytes
+ */
+export function sessionToMidi(session, options = {}) {
+  const { bpm, meter, ticksPerQuarter, channel, excitementTrack, excitementController } = {
+    ...EXPORT_DEFAULTS,
+    ...options
+  };
+  const events = session.events || [];
+  const toTick = (ms) => Math.round((ms / (60000 / bpm)) * ticksPerQuarter);
+  const endTick = toTick(events.reduce((end, e) => Math.max(end, e.time), session.duration || 0));
+
+  // Performance: pair note-ons with note-offs; a re-struck pitch closes the
+  // previous note, notes still held at the end close with the take
+  const performance = [];
+  const sounding = new Map(); // pitch → true while a note-on is open
+  for (const event of events) {
+    const tick = toTick(event.time);
+    if (event.type === 'noteOn') {
+      if (sounding.has(event.note)) performance.push({ type: 'noteOff', tick, channel, note: event.note });
+      sounding.set(event.note, true);
+      const velocity = Math.max(1, Math.min(127, Math.round(event.velocity * 127)));
+      performance.push({ type: 'noteOn', tick, channel, note: event.note, velocity });
+    } else if (event.type === 'noteOff' && sounding.has(event.note)) {
+      sounding.delete(event.note);
+      performance.push({ type: 'noteOff', tick, channel, note: event.note });
+    } else if (event.type === 'controlChange' && PEDAL_CCS.includes(event.controller)) {
+      performance.push({ type: 'controlChange', tick, channel, controller: event.controller, value: event.value });
+    }
+  }
+  sounding.forEach((_, note) => performance.push({ type: 'noteOff', tick: endTick, channel, note }));
+
+  const tracks = [
+    {
+      name: 'Musicolour',
+      events: [
+        { type: 'tempo', tick: 0, bpm },
+        { type: 'timeSignature', tick: 0, numerator: meter, denominator: 4 },
+        { type: 'endOfTrack', tick: endTick }
+      ]
+    },
+    { name: 'Performance', events: [...performance, { type: 'endOfTrack', tick: endTick }] }
+  ];
+
+  if (excitementTrack) {
+    const curve = [];
+    events
+      .filter(e => e.type === 'noteOn' && typeof e.excitement === 'number')
+      .forEach(e => {
+        const value = Math.round(Math.max(0, Math.min(1, e.excitement)) * 127);
+        if (curve.length && curve.at(-1).value === value) return; // skip repeats
+        curve.push({ type: 'controlChange', tick: toTick(e.time), channel, controller: excitementController, value });
+      });
+    tracks.push({ name: 'Excitement', events: [...curve, { type: 'endOfTrack', tick: endTick }] });
+  }
+
+  return encodeMidi({ format: 1, ticksPerQuarter, tracks });
+}
+
+// Offer the bytes as a file download (browser only)
+export function downloadMidi(bytes, filename = 'musicolour-session.mid') {
+  const blob = new Blob([bytes], { type: 'audio/midi' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,145 @@
+// Session Player – replays a recorded take in real time with pause, seek and
+// speed. It only schedules; the app decides what each event does (normally it
+// feeds them back through handleKeyPress/handleKeyRelease and the engine).
+import { systemClock } from './runtime.js';
+
+export const REPLAY_SPEEDS = [0.5, 0.75, 1, 1.5, 2];
+
+// ---------- SESSION PLAYER ----------
+// Positions are in take time (ms since the recording started), so the engine
+// sees the original rhythm at any playback speed.
+class SessionPlayer {
+  constructor({
+    clock = systemClock,
+    onEvent = () => {},
+    onSeek = () => {},
+    onEnd = () => {},
+    setTimer = (fn, ms) => setTimeout(fn, ms),
+    clearTimer = (id) => clearTimeout(id)
+  } = {}) {
+    this.clock = clock;
+    this.onEvent = onEvent;   // (event) for each event as its time is reached
+    this.onSeek = onSeek;     // (position, pastEvents) after a jump; rebuild state from pastEvents
+    this.onEnd = onEnd;       // () when the take has played to the end
+    this.setTimer = setTimer;
+    this.clearTimer = clearTimer;
+    this.listeners = new Set();
+    this.load({ events: [], duration: 0 });
+  }
+
+  // Accepts a SessionRecorder or its toJSON() output
+  load(session) {
+    this.stopTimer();
+    this.events = (session.events || []).map(e => ({ ...e })).sort((a, b) => a.time - b.time);
+    this.duration = Math.max(session.duration || 0, this.events.at(-1)?.time ?? 0);
+    this.speed = this.speed || 1;
+    this.playing = false;
+    this.anchorPosition = 0; // take time at anchorTime
+    this.anchorTime = 0;     // clock time when playback (re)started
+    this.nextIndex = 0;      // first event not yet dispatched
+    this.emit();
+  }
+
+  // Current take time in ms
+  get position() {
+    if (!this.playing) return this.anchorPosition;
+    const elapsed = (this.clock.now() - this.anchorTime) * this.speed;
+    return Math.min(this.duration, this.anchorPosition + elapsed);
+  }
+
+  // Lets the player stand in as the engine's clock during replay
+  now() {
+    return this.position;
+  }
+
+  // ---------- TRANSPORT ----------
+  play() {
+    if (this.playing || this.events.length === 0) return;
+    if (this.anchorPosition >= this.duration) this.seek(0);
+    this.anchorTime = this.clock.now();
+    this.playing = true;
+    this.schedule();
+    this.emit();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.anchorPosition = this.position;
+    this.playing = false;
+    this.stopTimer();
+    this.emit();
+  }
+
+  // Back to the start without playing
+  stop() {
+    this.pause();
+    this.seek(0);
+  }
+
+  // Jump to a take time; events before it are handed to onSeek, not replayed
+  seek(position) {
+    const target = Math.max(0, Math.min(this.duration, position));
+    this.stopTimer();
+    this.anchorPosition = target;
+    this.anchorTime = this.clock.now();
+    this.nextIndex = this.events.findIndex(e => e.time >= target);
+    if (this.nextIndex === -1) this.nextIndex = this.events.length;
+    this.onSeek(target, this.events.slice(0, this.nextIndex));
+    if (this.playing) this.schedule();
+    this.emit();
+  }
+
+  setSpeed(speed) {
+    if (!(speed > 0)) return;
+    this.anchorPosition = this.position;
+    this.anchorTime = this.clock.now();
+    this.speed = speed;
+    if (this.playing) {
+      this.stopTimer();
+      this.schedule();
+    }
+    this.emit();
+  }
+
+  // ---------- SCHEDULING ----------
+  // Dispatch everything that is due, then sleep until the next event
+  tick() {
+    this.timer = null;
+    if (!this.playing) return;
+    const position = this.position;
+    while (this.nextIndex < this.events.length && this.events[this.nextIndex].time <= position) {
+      this.onEvent(this.events[this.nextIndex++]);
+    }
+    if (this.nextIndex >= this.events.length && position >= this.duration) {
+      this.anchorPosition = this.duration;
+      this.playing = false;
+      this.emit();
+      this.onEnd();
+      return;
+    }
+    this.schedule();
+  }
+
+  schedule() {
+    const next = this.nextIndex < this.events.length ? this.events[this.nextIndex].time : this.duration;
+    const wait = Math.max(0, (next - this.position) / this.speed);
+    this.timer = this.setTimer(() => this.tick(), wait);
+  }
+
+  stopTimer() {
+    if (this.timer != null) this.clearTimer(this.timer);
+    this.timer = null;
+  }
+
+  // ---------- SUBSCRIPTIONS ----------
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+export default SessionPlayer;
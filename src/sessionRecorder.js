@@ -0,0 +1,124 @@
+// Session Recorder – keeps every input event of a performance in memory,
+// together with how the machine reacted (score, metrics, excitement).
+import { systemClock } from './runtime.js';
+
+// ---------- CONSTANTS ----------
+// Where an event came from
+export const SOURCES = {
+  QWERTY: 'qwerty',
+  MOUSE: 'mouse',
+  MIDI: 'midi',         // external MIDI device
+  MPE: 'mpe',           // MPE controller in MPE mode (voiced per note)
+  FILE: 'file',         // loaded MIDI file
+  AUTOPLAYER: 'autoplayer',
+  REPLAY: 'replay'      // a recorded take played back (never re-recorded)
+};
+
+export const SESSION_VERSION = 1;
+
+// ---------- SESSION RECORDER ----------
+// Events are { type, time, source, ... } with `time` in ms since start():
+//   noteOn:        note (MIDI pitch), velocity (0‒1), score, metrics, excitement
+//   noteOff:       note, score, metrics
+//   controlChange: controller, value (0‒127) – e.g. 64 = sustain pedal
+class SessionRecorder {
+  constructor({ clock = systemClock } = {}) {
+    this.clock = clock;
+    this.listeners = new Set();
+    this.recording = false;
+    this.startedAt = null; // clock time of start()
+    this.stoppedAt = null;
+    this.events = [];
+  }
+
+  start() {
+    this.events = [];
+    this.startedAt = this.clock.now();
+    this.stoppedAt = null;
+    this.recording = true;
+    this.emit();
+  }
+
+  stop() {
+    if (!this.recording) return;
+    this.recording = false;
+    this.stoppedAt = this.clock.now();
+    this.emit();
+  }
+
+  toggle() {
+    if (this.recording) this.stop();
+    else this.start();
+    return this.recording;
+  }
+
+  clear() {
+    this.events = [];
+    this.startedAt = this.recording ? this.clock.now() : null;
+    this.stoppedAt = null;
+    this.emit();
+  }
+
+  // Length of the take in ms (still growing while recording)
+  get duration() {
+    if (this.startedAt === null) return 0;
+    return (this.recording ? this.clock.now() : this.stoppedAt) - this.startedAt;
+  }
+
+  // ---------- CAPTURE ----------
+  recordNoteOn(note, velocity, source, reaction = {}) {
+    return this.push({
+      type: 'noteOn',
+      note,
+      velocity,
+      source,
+      score: reaction.score ?? null,
+      metrics: reaction.metrics ? { ...reaction.metrics } : null,
+      excitement: reaction.excitement ?? null
+    });
+  }
+
+  recordNoteOff(note, source, reaction = {}) {
+    return this.push({
+      type: 'noteOff',
+      note,
+      source,
+      score: reaction.score ?? null,
+      metrics: reaction.metrics ? { ...reaction.metrics } : null
+    });
+  }
+
+  recordControlChange(controller, value, source) {
+    return this.push({ type: 'controlChange', controller, value, source });
+  }
+
+  push(event) {
+    if (!this.recording) return null;
+    const recorded = { ...event, time: this.clock.now() - this.startedAt };
+    this.events.push(recorded);
+    this.emit();
+    return recorded;
+  }
+
+  // ---------- SUBSCRIPTIONS ----------
+  // listener(recorder) runs after every change; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  // ---------- SERIALIZATION ----------
+  toJSON() {
+    return {
+      version: SESSION_VERSION,
+      duration: this.duration,
+      events: this.events.map(e => ({ ...e }))
+    };
+  }
+}
+
+export default SessionRecorder;
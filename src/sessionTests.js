@@ -0,0 +1,234 @@
+/* global process */
+// Tests for session recording, export and replay (run with `node src/sessionTests.js`)
+import SessionRecorder, { SOURCES } from './sessionRecorder.js';
+import MusicalityEngine from './musicalityEngine.js';
+import { ManualClock } from './runtime.js';
+import { sessionToMidi } from './sessionExport.js';
+import { parseMidi } from './midiFile.js';
+import SessionPlayer from './sessionPlayer.js';
+
+class SessionTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  runAllTests() {
+    console.log("=== SESSION TESTS ===\n");
+
+    this.testRecorder();
+    this.testMidiExport();
+    this.testReplay();
+    this.testLongTake();
+
+    console.log("\n=== TEST SUMMARY ===");
+    const passed = this.testResults.filter(r => r.passed).length;
+    const total = this.testResults.length;
+    console.log(`Passed: ${passed}/${total}`);
+
+    return passed === total;
+  }
+
+  check(name, passed, detail = '') {
+    this.testResults.push({ name, passed });
+    console.log(`${passed ? "✓" : "✗"} ${name}${detail ? ` (${detail})` : ''}`);
+  }
+
+  // Test 1: events are captured with relative times, sources and the engine's reaction
+  testRecorder() {
+    console.log("\nTest 1: Recorder");
+    const clock = new ManualClock(5000);
+    const engine = new MusicalityEngine({ clock });
+    const recorder = new SessionRecorder({ clock });
+    let notifications = 0;
+    const unsubscribe = recorder.subscribe(() => notifications++);
+
+    recorder.recordNoteOn(60, 0.7, SOURCES.QWERTY); // ignored: not recording
+    recorder.start();
+    [60, 64, 67].forEach((note, i) => {
+      const result = engine.processNote(note, undefined, 0.6);
+      recorder.recordNoteOn(note, 0.6, i ? SOURCES.MIDI : SOURCES.MOUSE, { ...result, excitement: 0.1 * i });
+      clock.advance(300);
+      recorder.recordNoteOff(note, SOURCES.MIDI, engine.processNoteOff(note));
+      clock.advance(200);
+    });
+    recorder.recordControlChange(64, 127, SOURCES.MIDI);
+    clock.advance(100);
+    recorder.stop();
+    recorder.recordNoteOn(72, 0.5, SOURCES.MIDI); // ignored: stopped
+    unsubscribe();
+
+    const [first, firstOff] = recorder.events;
+    const pedal = recorder.events.at(-1);
+    this.check("seven events", recorder.events.length === 7, `${recorder.events.length}`);
+    this.check("times relative to start", first.time === 0 && firstOff.time === 300 && pedal.time === 1500);
+    this.check("source kept", first.source === SOURCES.MOUSE && recorder.events[2].source === SOURCES.MIDI);
+    this.check("reaction captured", typeof first.score === 'number' && 'melodicCoherence' in first.metrics &&
+      recorder.events[4].excitement === 0.2);
+    this.check("note-off carries score", firstOff.type === 'noteOff' && typeof firstOff.score === 'number');
+    this.check("sustain pedal", pedal.type === 'controlChange' && pedal.controller === 64 && pedal.value === 127);
+    this.check("duration", recorder.duration === 1600);
+    this.check("subscribers notified", notifications === 9, `${notifications}`);
+
+    const json = JSON.parse(JSON.stringify(recorder));
+    this.check("serializable", json.version === 1 && json.events.length === 7);
+
+    recorder.start();
+    this.check("start clears previous take", recorder.events.length === 0 && recorder.recording);
+  }
+
+  // Test 2: a take exports as a format 1 file with notes, pedal and excitement curve
+  testMidiExport() {
+    console.log("\nTest 2: MIDI export");
+    const clock = new ManualClock(0);
+    const recorder = new SessionRecorder({ clock });
+    recorder.start();
+    const play = (note, velocity, length, excitement) => {
+      recorder.recordNoteOn(note, velocity, SOURCES.QWERTY, { excitement });
+      clock.advance(length);
+      recorder.recordNoteOff(note, SOURCES.QWERTY);
+    };
+    play(60, 1, 400, 0.2);
+    recorder.recordControlChange(64, 127, SOURCES.MIDI);
+    play(64, 0.5, 250, 0.2);
+    clock.advance(250);
+    recorder.recordControlChange(64, 0, SOURCES.MIDI);
+    recorder.recordNoteOn(67, 0.8, SOURCES.MIDI, { excitement: 0.6 }); // never released
+    recorder.recordControlChange(67, 127, SOURCES.MIDI); // soft pedal
+    clock.advance(600);
+    recorder.stop();
+
+    const midi = parseMidi(sessionToMidi(recorder, { bpm: 90 }));
+    const [c, e, g] = midi.notes;
+    this.check("format 1, three tracks", midi.format === 1 && midi.tracks.length === 3,
+      midi.tracks.map(t => t.name).join(','));
+    this.check("tempo meta", Math.abs(midi.tempoMap[0].bpm - 90) < 0.01);
+    this.check("note timing", Math.abs(c.duration - 400) < 2 && Math.abs(e.time - 400) < 2 && Math.abs(e.duration - 250) < 2);
+    this.check("velocities", c.velocity === 1 && Math.abs(e.velocity - 64 / 127) < 0.01);
+    this.check("held note closed at end", Math.abs(g.time - 900) < 2 && Math.abs(g.duration - 600) < 2);
+    const pedal = midi.tracks[1].events.filter(ev => ev.type === 'controlChange' && ev.controller === 64);
+    this.check("sustain pedal", pedal.length === 2 && pedal[0].value === 127 && Math.abs(pedal[1].time - 900) < 2);
+    this.check("soft pedal", midi.tracks[1].events.some(ev => ev.type === 'controlChange' && ev.controller === 67));
+    const curve = midi.tracks[2].events.filter(ev => ev.type === 'controlChange');
+    this.check("excitement curve", curve.length === 2 && curve[0].value === 25 && curve[1].value === 76,
+      curve.map(ev => ev.value).join(','));
+
+    const plain = parseMidi(sessionToMidi(recorder, { excitementTrack: false }));
+    this.check("excitement track optional", plain.tracks.length === 2);
+  }
+
+  // Test 3: replay dispatches events on time, honours pause/seek/speed
+  testReplay() {
+    console.log("\nTest 3: Replay");
+    const clock = new ManualClock(0);
+    // Fake timers driven by the manual clock
+    let timers = [];
+    const setTimer = (fn, ms) => {
+      const timer = { fn, at: clock.now() + ms };
+      timers.push(timer);
+      return timer;
+    };
+    const clearTimer = (timer) => { timers = timers.filter(t => t !== timer); };
+    const advance = (ms) => {
+      const until = clock.now() + ms;
+      for (;;) {
+        const due = timers.filter(t => t.at <= until).sort((a, b) => a.at - b.at)[0];
+        if (!due) break;
+        clearTimer(due);
+        clock.set(due.at);
+        due.fn();
+      }
+      clock.set(until);
+    };
+
+    const heard = [];
+    let seekState = null;
+    let ended = false;
+    const player = new SessionPlayer({
+      clock, setTimer, clearTimer,
+      onEvent: e => heard.push(`${e.type}:${e.note}@${e.time}`),
+      onSeek: (position, past) => { seekState = { position, past: past.length }; },
+      onEnd: () => { ended = true; }
+    });
+    player.load({
+      duration: 2000,
+      events: [
+        { type: 'noteOn', note: 60, time: 0 },
+        { type: 'noteOff', note: 60, time: 400 },
+        { type: 'noteOn', note: 64, time: 1000 },
+        { type: 'noteOff', note: 64, time: 1500 }
+      ]
+    });
+
+    player.play();
+    advance(500);
+    this.check("dispatch on time", heard.join() === 'noteOn:60@0,noteOff:60@400' && player.position === 500);
+
+    player.pause();
+    advance(5000);
+    this.check("pause holds position", heard.length === 2 && player.position === 500);
+
+    player.setSpeed(2);
+    player.play();
+    advance(250); // 500 ms of take time
+    this.check("double speed", heard.length === 3 && player.position === 1000, `${player.position}`);
+
+    player.seek(200);
+    this.check("seek back reports past events", seekState.position === 200 && seekState.past === 1);
+    advance(100); // → 400
+    this.check("events after seek replay", heard.at(-1) === 'noteOff:60@400');
+
+    advance(10000);
+    this.check("plays to the end", ended && !player.playing && player.position === 2000 && heard.length === 6);
+
+    player.play(); // from the end restarts
+    this.check("restart from end", player.playing && seekState.position === 0);
+    player.stop();
+    this.check("stop rewinds", !player.playing && player.position === 0 && timers.length === 0);
+  }
+
+  // Test 4: a long take (about an hour of steady playing) still exports and replays
+  testLongTake() {
+    console.log("\nTest 4: Long take export");
+    const clock = new ManualClock(0);
+    const recorder = new SessionRecorder({ clock });
+    recorder.start();
+    for (let i = 0; i < 40000; i++) {
+      recorder.recordNoteOn(48 + (i % 24), 0.7, SOURCES.MIDI, { excitement: (i % 100) / 100 });
+      clock.advance(45);
+      recorder.recordNoteOff(48 + (i % 24), SOURCES.MIDI);
+      clock.advance(45);
+    }
+    recorder.stop();
+
+    let midi = null;
+    try {
+      midi = parseMidi(sessionToMidi(recorder));
+    } catch (error) {
+      console.log(error);
+    }
+    this.check("40k notes exported", midi?.notes.length === 40000, `${midi?.notes.length}`);
+    this.check("ends with the take", midi && Math.abs(midi.duration - 3600000) < 2, midi?.duration.toFixed(0));
+
+    // Replaying it too, with pedalling on top of the notes
+    const events = recorder.events.flatMap((e, i) => [e, { type: 'controlChange', controller: 64, value: i % 2 ? 0 : 127, time: e.time }]);
+    const player = new SessionPlayer({ clock });
+    let loaded = false;
+    try {
+      player.load({ events });
+      loaded = true;
+    } catch (error) {
+      console.log(error);
+    }
+    this.check("long take loads for replay", loaded && events.length === 160000 && player.duration === events.at(-1).time,
+      `${player.duration}`);
+  }
+}
+
+// Run tests if this file is executed directly
+if (typeof window === 'undefined') {
+  const tester = new SessionTests();
+  const allPassed = tester.runAllTests();
+  process.exit(allPassed ? 0 : 1);
+}
+
+export default SessionTests;
@@ -2,13 +2,16 @@
 // This wraps the original webgl-fluid.js to work with React and piano interactions
 
 import { initializeFluidSimulation } from './webgl-fluid.js';
+import { systemClock, SeededRandom } from './runtime.js';
 
-export function createFluidSimulation(canvas) {
+// clock/random come from the app runtime so splat placement is reproducible
+export function createFluidSimulation(canvas, { clock = systemClock, random = new SeededRandom() } = {}) {
   // Initialize the fluid simulation with our canvas
   const fluidSim = initializeFluidSimulation(canvas);
   
   // Store the splat function reference
   const splatFunction = fluidSim.splat;
+  const baseCurl = fluidSim.config ? fluidSim.config.CURL : 0;
 
   // Track recent splats for brightness adjustment
   const recentSplats = [];
@@ -18,7 +21,7 @@ export function createFluidSimulation(canvas) {
 
   // Clean up old splats from tracking
   function cleanupRecentSplats() {
-    const now = Date.now();
+    const now = clock.now();
     const cutoffTime = now - SPLAT_WINDOW;
     
     // Remove splats older than the window
@@ -46,9 +49,9 @@ export function createFluidSimulation(canvas) {
     return 1.0 - (dimFactor * (1.0 - MIN_BRIGHTNESS_MULTIPLIER));
   }
 
-  // Generate color based on excitement level
-  function generateExcitementColor(excitementLevel) {
-    const hue = Math.random();
+  // Generate color based on excitement level (intensity scales the result)
+  function generateExcitementColor(excitementLevel, intensity = 1) {
+    const hue = random.next();
     const saturation = excitementLevel; // Direct mapping: 0 = gray, 1 = vibrant
     const brightness = 1.0; // Always max brightness
     
@@ -65,7 +68,7 @@ export function createFluidSimulation(canvas) {
     // Then apply the multiplier like multipleSplats does (10.0)
     // But scale it based on excitement for visibility AND recent activity
     const baseMultiplier = 8.0 + (excitementLevel * 4.0); // Range: 8.0 to 12.0
-    const finalMultiplier = baseMultiplier * brightnessMultiplier;
+    const finalMultiplier = baseMultiplier * brightnessMultiplier * intensity;
     
     c.r *= finalMultiplier;
     c.g *= finalMultiplier;
@@ -96,24 +99,51 @@ export function createFluidSimulation(canvas) {
 
   // Public API
   return {
-    triggerSplat: (excitementLevel) => {
+    // intensity (default 1) scales force and colour, e.g. from key pressure
+    triggerSplat: (excitementLevel, intensity = 1) => {
       if (!splatFunction) return;
       
       // Track this splat
-      recentSplats.push(Date.now());
+      recentSplats.push(clock.now());
       
       // Generate random position and direction
-      const x = Math.random();
-      const y = Math.random();
-      const dx = 1000 * (Math.random() - 0.5);
-      const dy = 1000 * (Math.random() - 0.5);
+      const x = random.next();
+      const y = random.next();
+      const dx = 1000 * intensity * (random.next() - 0.5);
+      const dy = 1000 * intensity * (random.next() - 0.5);
       
       // Generate color based on excitement
-      const color = generateExcitementColor(excitementLevel);
+      const color = generateExcitementColor(excitementLevel, intensity);
       
       // Call the original splat function
       splatFunction(x, y, dx, dy, color);
     },
+
+    // Push the fluid around the centre without adding dye; amount −1‒1
+    // (e.g. pitch bend) sets direction and strength
+    swirl: (amount) => {
+      if (!splatFunction || !amount) return;
+      const angle = random.next() * Math.PI * 2;
+      const x = 0.5 + 0.25 * Math.cos(angle);
+      const y = 0.5 + 0.25 * Math.sin(angle);
+      const force = 1500 * amount;
+      splatFunction(x, y, -Math.sin(angle) * force, Math.cos(angle) * force, { r: 0, g: 0, b: 0 });
+    },
+
+    // One step of a held note's own stream (e.g. an MPE note): position,
+    // push and hue come from the caller; intensity 0‒1 (e.g. pressure). Meant
+    // to be called many times a second, so each step adds little dye.
+    streamSplat: ({ x, y, dx = 0, dy = 0, hue, excitementLevel, intensity }) => {
+      if (!splatFunction) return;
+      const c = HSVtoRGB(hue, Math.max(0.3, excitementLevel), 1.0);
+      const scale = 0.1 + 0.5 * intensity;
+      splatFunction(x, y, dx, dy, { r: c.r * scale, g: c.g * scale, b: c.b * scale });
+    },
+
+    // Extra vorticity, 0‒1 (e.g. mod wheel): up to four times the base curl
+    setTurbulence: (amount) => {
+      if (fluidSim.config) fluidSim.config.CURL = baseCurl * (1 + 3 * amount);
+    },
     
     destroy: () => {
       // Clean up WebGL resources if needed